@@ -0,0 +1,119 @@
+const format = require('./match-format');
+
+// Around the Clock match engine - players hit 1 to 20 in order, then the bull if the room
+// includes it. With `multipliersSkip` a double or treble of the target moves two or three
+// numbers on. The first player past the last target wins the leg
+
+const DEFAULT_SETTINGS = {
+  ...format.FORMAT_DEFAULTS,
+  includeBull: true,
+  multipliersSkip: false
+};
+
+const SETTINGS_SCHEMA = {
+  includeBull: { type: 'boolean' },
+  multipliersSkip: { type: 'boolean' }
+};
+
+function normalizeSettings(settings = {}) {
+  const merged = { ...DEFAULT_SETTINGS, ...settings };
+  return {
+    ...format.normalizeFormat(merged),
+    includeBull: merged.includeBull !== false,
+    multipliersSkip: merged.multipliersSkip === true
+  };
+}
+
+function describe(settings) {
+  const s = normalizeSettings(settings);
+  const rules = [s.includeBull ? '1 to bull' : '1 to 20', s.multipliersSkip && 'doubles and trebles skip'].filter(Boolean);
+  return `Around the Clock (${rules.join(', ')}), ${format.describeFormat(s)}`;
+}
+
+function formatKey(settings) {
+  const s = normalizeSettings(settings);
+  return `around-the-clock:${s.includeBull ? 'B' : 'NB'}${s.multipliersSkip ? 'X' : ''}:L${s.legsToWin}:S${s.setsToWin}`;
+}
+
+function targetsFor(settings) {
+  const targets = Array.from({ length: 20 }, (_, index) => index + 1);
+  return settings.includeBull ? [...targets, 25] : targets;
+}
+
+function startLeg(match) {
+  match.progress = [0, 0]; // index into the targets of each player's next number
+}
+
+function createMatch(settings, players) {
+  const match = format.createMatchState('around-the-clock', 'Around the Clock', normalizeSettings(settings), players);
+  startLeg(match);
+  return match;
+}
+
+function targetOf(match, playerIndex) {
+  const targets = targetsFor(match.settings);
+  return targets[match.progress[playerIndex]] ?? null;
+}
+
+function applyVisit(match, playerIndex, visit) {
+  format.checkTurn(match, playerIndex);
+  if (!visit || visit.darts === undefined) {
+    throw new Error('An Around the Clock visit needs darts');
+  }
+
+  const targets = targetsFor(match.settings);
+  const targetBefore = targetOf(match, playerIndex);
+  const thrown = [];
+  let hits = 0;
+
+  for (const dart of format.parseDarts(visit.darts)) {
+    thrown.push(dart);
+    if (dart.segment !== targets[match.progress[playerIndex]]) continue;
+
+    hits += 1;
+    const step = match.settings.multipliersSkip ? dart.multiplier : 1;
+    match.progress[playerIndex] = Math.min(match.progress[playerIndex] + step, targets.length);
+    if (match.progress[playerIndex] === targets.length) break;
+  }
+
+  const legWon = match.progress[playerIndex] === targets.length;
+  const entry = {
+    ...format.visitBase(match, playerIndex),
+    darts: thrown,
+    dartsUsed: thrown.length,
+    hits,
+    targetBefore,
+    targetAfter: targetOf(match, playerIndex),
+    legWon,
+    timestamp: new Date().toISOString()
+  };
+  match.visits.push(entry);
+
+  if (legWon) {
+    if (!format.completeLeg(match, playerIndex)) startLeg(match);
+  } else {
+    match.currentPlayer = 1 - playerIndex;
+  }
+
+  return entry;
+}
+
+function serializeMatch(match) {
+  return format.serializeFormat(match, index => ({
+    target: targetOf(match, index),
+    hit: match.progress[index]
+  }));
+}
+
+module.exports = {
+  MODE: 'around-the-clock',
+  NAME: 'Around the Clock',
+  DEFAULT_SETTINGS,
+  SETTINGS_SCHEMA,
+  normalizeSettings,
+  describe,
+  formatKey,
+  createMatch,
+  applyVisit,
+  serializeMatch
+};
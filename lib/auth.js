@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { timeExternal } = require('./metrics');
+
+// Player identity - signed session tokens, or Supabase auth JWTs when Supabase is configured
+
+const TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+const USERNAME_PATTERN = /^[A-Za-z0-9_\-. ]{2,32}$/;
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Session tokens are `<payload>.<signature>`; Supabase JWTs have three parts
+function signToken(payload, secret, ttlSeconds = TOKEN_TTL_SECONDS) {
+  const body = base64url(JSON.stringify({
+    ...payload,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  }));
+  return `${body}.${sign(body, secret)}`;
+}
+
+function verifyToken(token, secret) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 2) return null;
+
+  const [body, signature] = parts;
+  const expected = sign(body, secret);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    if (!payload.exp || payload.exp < Date.now() / 1000) return null;
+    return payload;
+  } catch (e) {
+    return null;
+  }
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored || '').split(':');
+  if (!salt || !hash) return false;
+
+  const candidate = crypto.scryptSync(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+function publicPlayer(player) {
+  if (!player) return null;
+  const { password_hash, username_key, ...rest } = player;
+  return rest;
+}
+
+function bearerToken(header) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  return match ? match[1].trim() : null;
+}
+
+function createAuthenticator({ secret, players, supabase = null }) {
+  if (!secret) {
+    throw new Error('A session secret is required');
+  }
+
+  function issue(player) {
+    return {
+      player: publicPlayer(player),
+      token: signToken({ sub: player.id, username: player.username }, secret)
+    };
+  }
+
+  // A username for a new Supabase user that no other player has: the one in their metadata (or
+  // their email's local part), with part of their id added if it is taken or cannot be used
+  async function uniqueUsername(user) {
+    const wanted = String((user.user_metadata && user.user_metadata.username) ||
+      (user.email ? user.email.split('@')[0] : '')).trim().slice(0, 23);
+    const base = USERNAME_PATTERN.test(wanted) ? wanted : 'player';
+    const suffix = user.id.replace(/-/g, '');
+
+    for (const candidate of [base, `${base}_${suffix.slice(0, 8)}`]) {
+      if (!(await players.findByUsername(candidate))) return candidate;
+    }
+    return `player_${suffix.slice(0, 25)}`;
+  }
+
+  // Supabase users get a player record the first time they are seen. The username is settled
+  // then: later changes to their Supabase metadata do not rename the player
+  async function playerFromSupabase(token) {
+    const { data, error } = await timeExternal('supabase', 'auth.getUser', () => supabase.auth.getUser(token));
+    if (error || !data || !data.user) return null;
+
+    const user = data.user;
+    const existing = await players.get(user.id);
+    if (existing) return existing;
+
+    return players.create({
+      id: user.id,
+      username: await uniqueUsername(user),
+      password_hash: null,
+      provider: 'supabase',
+      created: new Date().toISOString()
+    });
+  }
+
+  return {
+    async register(rawUsername, password) {
+      // Stored and looked up trimmed, so "alice " is "alice"
+      const username = typeof rawUsername === 'string' ? rawUsername.trim() : '';
+      if (!USERNAME_PATTERN.test(username)) {
+        return { error: 'Username must be 2-32 letters, numbers, spaces or _-.', statusCode: 400 };
+      }
+      if (typeof password !== 'string' || password.length < 8) {
+        return { error: 'Password must be at least 8 characters', statusCode: 400 };
+      }
+      if (await players.findByUsername(username)) {
+        return { error: 'Username is already taken', statusCode: 409 };
+      }
+
+      const player = await players.create({
+        id: crypto.randomUUID(),
+        username,
+        password_hash: hashPassword(password),
+        provider: 'local',
+        created: new Date().toISOString()
+      });
+      return issue(player);
+    },
+
+    async login(username, password) {
+      const player = await players.findByUsername(typeof username === 'string' ? username.trim() : '');
+      if (!player || !verifyPassword(String(password || ''), player.password_hash)) {
+        return { error: 'Invalid username or password', statusCode: 401 };
+      }
+      return issue(player);
+    },
+
+    // Resolve a bearer token to a player record, or null
+    async authenticate(token) {
+      if (!token) return null;
+
+      const payload = verifyToken(token, secret);
+      if (payload) {
+        return players.get(payload.sub);
+      }
+
+      if (supabase) {
+        try {
+          return await playerFromSupabase(token);
+        } catch (error) {
+          logger.warn('Supabase token verification failed', { err: error });
+        }
+      }
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  signToken,
+  verifyToken,
+  hashPassword,
+  verifyPassword,
+  publicPlayer,
+  bearerToken,
+  createAuthenticator
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+
+// Room chat: players talk in the room's `players` channel, spectators in its `spectators` channel.
+// Messages are free text (run through the word filter) or one of the preset darts emotes
+
+const EMOTES = {
+  'game-on': 'Game on',
+  'good-luck': 'Good luck',
+  'nice-180': 'Nice 180',
+  'ton-plus': 'Ton plus!',
+  'nice-checkout': 'Nice checkout',
+  'good-darts': 'Good darts',
+  'unlucky': 'Unlucky',
+  'well-played': 'Well played'
+};
+
+const CHANNELS = ['players', 'spectators'];
+
+const DEFAULT_FILTER_WORDS = ['fuck', 'shit', 'shitty', 'shitting', 'cunt', 'bitch', 'bastard', 'wanker', 'twat', 'dick', 'prick', 'asshole'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Masks every filtered word (whole words, any case, optional trailing s/es/ing/ed) with asterisks
+function createWordFilter(words = DEFAULT_FILTER_WORDS) {
+  const list = words.map(word => word.trim()).filter(Boolean);
+  if (list.length === 0) return text => ({ text, filtered: false });
+
+  const pattern = new RegExp(`\\b(?:${list.map(escapeRegExp).join('|')})(?:s|es|ing|ed)?\\b`, 'gi');
+  return text => {
+    let filtered = false;
+    const masked = text.replace(pattern, match => {
+      filtered = true;
+      return '*'.repeat(match.length);
+    });
+    return { text: masked, filtered };
+  };
+}
+
+function publicMessage(record) {
+  return {
+    id: record.id,
+    roomCode: record.room_id,
+    channel: record.channel,
+    playerId: record.player_id,
+    username: record.username,
+    kind: record.kind,
+    text: record.text,
+    emote: record.emote,
+    filtered: record.filtered,
+    created: record.created
+  };
+}
+
+function createChatService({ supabase = null, filterWords, historyLimit = 50 } = {}) {
+  const messages = createCollection('chat_messages', { supabase });
+  const filter = createWordFilter(filterWords || DEFAULT_FILTER_WORDS);
+
+  return {
+    async post(roomId, channel, player, { text, emote }) {
+      if (!CHANNELS.includes(channel)) {
+        return { error: `Channel must be one of: ${CHANNELS.join(', ')}`, statusCode: 400 };
+      }
+      if ((text === undefined) === (emote === undefined)) {
+        return { error: 'A chat message needs either text or an emote', statusCode: 400 };
+      }
+      if (emote !== undefined && !EMOTES[emote]) {
+        return { error: `Emote must be one of: ${Object.keys(EMOTES).join(', ')}`, statusCode: 400 };
+      }
+
+      let content = { kind: 'emote', text: EMOTES[emote], emote, filtered: false };
+      if (text !== undefined) {
+        const trimmed = text.trim();
+        if (!trimmed) return { error: 'Message is empty', statusCode: 400 };
+        content = { kind: 'text', emote: null, ...filter(trimmed) };
+      }
+
+      const record = await messages.insert({
+        id: crypto.randomUUID(),
+        room_id: roomId,
+        channel,
+        player_id: player.id,
+        username: player.username,
+        ...content,
+        created: new Date().toISOString()
+      });
+      return { message: publicMessage(record) };
+    },
+
+    // The latest messages in a channel, oldest first
+    async history(roomId, channel, { limit = historyLimit } = {}) {
+      const recent = await messages.list({
+        where: { room_id: roomId, channel },
+        orderBy: 'created',
+        ascending: false,
+        limit
+      });
+      return recent.reverse().map(publicMessage);
+    },
+
+    async clearRoom(roomId) {
+      const stored = await messages.list({ where: { room_id: roomId } });
+      await Promise.all(stored.map(message => messages.remove(message.id)));
+    }
+  };
+}
+
+module.exports = {
+  EMOTES,
+  CHANNELS,
+  DEFAULT_FILTER_WORDS,
+  createWordFilter,
+  createChatService
+};
@@ -0,0 +1,142 @@
+// Checkout suggestions for X01 - the recommended finish for a remaining score with one, two or
+// three darts, the way a caller would call it: trebles of the big numbers to set up, a double
+// players practise (D20, D16, D8, ...) to finish, and the bull only when nothing else goes out
+
+// Finishing doubles, most preferred first
+const PREFERRED_DOUBLES = [20, 16, 8, 18, 12, 10, 4, 14, 6, 2, 25, 9, 13, 17, 19, 15, 11, 7, 5, 3, 1];
+
+function label(segment, multiplier) {
+  if (segment === 25) return multiplier === 2 ? 'Bull' : '25';
+  return `${['S', 'D', 'T'][multiplier - 1]}${segment}`;
+}
+
+function dart(segment, multiplier) {
+  return { segment, multiplier, score: segment * multiplier, label: label(segment, multiplier) };
+}
+
+// Every scoring dart, highest score first
+const DARTS = [];
+for (let segment = 1; segment <= 20; segment++) {
+  [1, 2, 3].forEach(multiplier => DARTS.push(dart(segment, multiplier)));
+}
+DARTS.push(dart(25, 1), dart(25, 2));
+DARTS.sort((a, b) => b.score - a.score || b.multiplier - a.multiplier);
+
+// Lower is better. A finishing double costs its place in the preference list, and the bull more
+// than any of them (bestRoute also ranks any double finish above a bull finish). A set-up dart costs more the harder or less usual it is to aim at: T20 is the
+// usual set-up, T19 to T17 the usual switches, and another treble or the bull only pays off to
+// avoid a double well down the list
+function finishCost(finish) {
+  if (finish.multiplier !== 2) return 10 + (finish.multiplier === 3 ? 3 : 0);
+  if (finish.segment === 25) return 30;
+  return PREFERRED_DOUBLES.indexOf(finish.segment);
+}
+
+const SETUP_TREBLES = { 20: 2, 19: 3, 18: 3, 17: 4 };
+
+function setupCost(setup) {
+  if (setup.segment === 25) return setup.multiplier === 2 ? 12 : 6;
+  if (setup.multiplier === 1) return 1;
+  if (setup.multiplier === 3) return SETUP_TREBLES[setup.segment] || 12;
+  return 13;
+}
+
+function routeCost(darts) {
+  const setups = darts.slice(0, -1);
+  return setups.reduce((total, setup) => total + setupCost(setup), finishCost(darts[darts.length - 1]));
+}
+
+function isBullFinish(darts) {
+  return darts[darts.length - 1].segment === 25;
+}
+
+// A route that finishes on a double always beats one that needs the bull, however its set-up
+// darts are weighted; between the two, the cheaper route wins
+function isBetter(route, best) {
+  if (!best) return true;
+  if (route.bull !== best.bull) return !route.bull;
+  return route.cost < best.cost;
+}
+
+// The best route that finishes `remaining` with exactly `count` darts, or null. With doubleIn the
+// first dart must be a double as well
+function bestRoute(remaining, count, { doubleOut, doubleIn }) {
+  let best = null;
+
+  function search(setups, left, minIndex) {
+    if (setups.length === count - 1) {
+      // Several darts can score what is left (S20, D10); keep the best allowed finish
+      DARTS.forEach(finish => {
+        if (finish.score !== left) return;
+        if ((doubleOut || (doubleIn && setups.length === 0)) && finish.multiplier !== 2) return;
+
+        const darts = [...setups, finish];
+        const route = { darts, cost: routeCost(darts), bull: isBullFinish(darts) };
+        if (isBetter(route, best)) best = route;
+      });
+      return;
+    }
+
+    // Set-up darts are taken in score order so each combination is only tried once, except that
+    // with doubleIn the first one has to be a double
+    const first = setups.length === 0;
+    DARTS.forEach((setup, index) => {
+      if (index < minIndex || setup.score >= left) return;
+      if (doubleIn && first && setup.multiplier !== 2) return;
+      search([...setups, setup], left - setup.score, doubleIn && first ? 0 : index);
+    });
+  }
+
+  if (remaining >= 1 && remaining <= 180) search([], remaining, 0);
+  return best ? { darts: best.darts, label: best.darts.map(d => d.label).join(' ') } : null;
+}
+
+// The most one visit can check out with these rules
+function maxCheckout({ doubleOut, doubleIn }) {
+  if (doubleIn) return doubleOut ? 160 : 170;
+  return doubleOut ? 170 : 180;
+}
+
+const cache = new Map(); // "remaining:doubleOut:doubleIn" -> routes for one, two and three darts
+
+// Only the fewest darts that finish get a route: nobody throws set-up darts at 40 to reach D16
+// when D20 finishes, so the longer counts are null
+function routesFor(remaining, options) {
+  const key = `${remaining}:${options.doubleOut}:${options.doubleIn}`;
+  if (!cache.has(key)) {
+    const routes = [1, 2, 3].map(count => bestRoute(remaining, count, options));
+    const fewest = routes.findIndex(Boolean);
+    cache.set(key, routes.map((route, index) => (index === fewest ? route : null)));
+  }
+  return cache.get(key);
+}
+
+// { remaining, dartsLeft, doubleOut, doubleIn, checkout, bogey, recommended, routes: { 1, 2, 3 } }.
+// `doubleIn` means the player still has to double in. `routes` has the route for the fewest darts
+// that finish, if that is within dartsLeft, and null for the other counts; it is also
+// `recommended`. `checkout` is false when nothing finishes with the darts left; `bogey` marks
+// scores under the maximum checkout that three darts cannot finish
+function suggestCheckout(remaining, { dartsLeft = 3, doubleOut = true, doubleIn = false } = {}) {
+  const options = { doubleOut, doubleIn };
+  const all = routesFor(remaining, options);
+
+  const routes = {};
+  all.slice(0, dartsLeft).forEach((route, index) => { routes[index + 1] = route; });
+  const recommended = Object.values(routes).find(Boolean) || null;
+
+  return {
+    remaining,
+    dartsLeft,
+    doubleOut,
+    doubleIn,
+    checkout: !!recommended,
+    bogey: remaining > 1 && remaining <= maxCheckout(options) && !all.some(Boolean),
+    recommended,
+    routes
+  };
+}
+
+module.exports = {
+  PREFERRED_DOUBLES,
+  suggestCheckout
+};
@@ -0,0 +1,121 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const { logger } = require('./logger');
+
+// Pub/sub bus and the Socket.IO adapter built on it, so events reach sockets on every instance.
+// A bus is { publish(channel, message) -> Promise, subscribe(channel, handler) -> unsubscribe }
+
+// In-process bus: instances created in the same process share it, which is how a cluster runs
+// locally. Messages are copied and delivered asynchronously, as they would be over a network
+function createMemoryBus() {
+  const subscribers = new Map(); // channel -> Set of handlers
+
+  return {
+    kind: 'memory',
+
+    async publish(channel, message) {
+      (subscribers.get(channel) || []).forEach(handler => {
+        const copy = structuredClone(message);
+        setImmediate(() => handler(copy));
+      });
+    },
+
+    subscribe(channel, handler) {
+      if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+      subscribers.get(channel).add(handler);
+
+      return () => {
+        const handlers = subscribers.get(channel);
+        if (!handlers) return;
+        handlers.delete(handler);
+        if (handlers.size === 0) subscribers.delete(channel);
+      };
+    }
+  };
+}
+
+// Supabase Realtime broadcast: one realtime channel per bus channel, joined on first use
+function createSupabaseBus(supabase) {
+  const channels = new Map(); // name -> { channel, handlers, ready }
+
+  function join(name) {
+    if (channels.has(name)) return channels.get(name);
+
+    const handlers = new Set();
+    const channel = supabase.channel(name, { config: { broadcast: { self: false } } });
+    channel.on('broadcast', { event: 'message' }, ({ payload }) => {
+      handlers.forEach(handler => handler(payload));
+    });
+
+    const ready = new Promise((resolve, reject) => {
+      channel.subscribe((status, error) => {
+        if (status === 'SUBSCRIBED') resolve();
+        if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          reject(error || new Error(`Realtime channel ${name}: ${status}`));
+        }
+      });
+    });
+    ready.catch(error => logger.error('Cluster bus subscription failed', { channel: name, err: error }));
+
+    const entry = { channel, handlers, ready };
+    channels.set(name, entry);
+    return entry;
+  }
+
+  return {
+    kind: 'supabase',
+
+    async publish(name, message) {
+      const { channel, ready } = join(name);
+      await ready;
+      await channel.send({ type: 'broadcast', event: 'message', payload: message });
+    },
+
+    subscribe(name, handler) {
+      const { handlers } = join(name);
+      handlers.add(handler);
+
+      return () => {
+        handlers.delete(handler);
+        if (handlers.size === 0 && channels.has(name)) {
+          supabase.removeChannel(channels.get(name).channel);
+          channels.delete(name);
+        }
+      };
+    }
+  };
+}
+
+// Socket.IO adapter class for `new Server(httpServer, { adapter })`: requests go out on a channel
+// per namespace, responses come back on a channel per adapter
+function createBusAdapter(bus, { prefix = 'ddl-arena', ...options } = {}) {
+  return class BusAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, options);
+      this.channel = `${prefix}#${nsp.name}#`;
+      this.unsubscribers = [
+        bus.subscribe(this.channel, message => this.onMessage(message)),
+        bus.subscribe(`${this.channel}${this.uid}#`, response => this.onResponse(response))
+      ];
+    }
+
+    async doPublish(message) {
+      await bus.publish(this.channel, message);
+      return '';
+    }
+
+    async doPublishResponse(requesterUid, response) {
+      await bus.publish(`${this.channel}${requesterUid}#`, response);
+    }
+
+    close() {
+      super.close();
+      this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+  };
+}
+
+module.exports = {
+  createMemoryBus,
+  createSupabaseBus,
+  createBusAdapter
+};
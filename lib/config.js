@@ -0,0 +1,335 @@
+const fs = require('fs');
+
+// Typed, validated configuration. Each setting is resolved from, in increasing priority:
+// its default, the profile for NODE_ENV, the optional JSON file named by CONFIG_FILE (and that
+// file's own `profiles` section), then its environment variable. Every problem is collected and
+// reported at once so a bad deploy fails at startup with the full list
+
+const DEFAULT_ORIGINS = [
+  'https://discorddartsleagues.netlify.app',
+  'http://localhost:3000',
+  'http://localhost:8080',
+  'http://127.0.0.1:3000',
+  'http://127.0.0.1:8080'
+];
+
+const SETTINGS = {
+  'port': { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3000 },
+  'cors.origins': { env: 'CORS_ORIGINS', type: 'list', default: DEFAULT_ORIGINS },
+  // By player id: usernames can be changed (Supabase users set their own), ids cannot
+  'admin.playerIds': { env: 'ADMIN_PLAYER_IDS', type: 'list', default: [] },
+  // Reverse proxies in front of the server whose X-Forwarded-For entries are trusted
+  'http.trustProxy': { env: 'TRUST_PROXY', type: 'integer', min: 0, max: 10, default: 0 },
+  'http.bodyLimitBytes': { env: 'BODY_LIMIT_BYTES', type: 'integer', min: 1024, default: 64 * 1024 },
+
+  'log.level': { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+  'log.format': { env: 'LOG_FORMAT', type: 'enum', values: ['json', 'pretty'], default: 'json' },
+  // When set, /metrics needs `Authorization: Bearer <token>`
+  'metrics.token': { env: 'METRICS_TOKEN', type: 'string', secret: true },
+
+  'rateLimit.httpBurst': { env: 'RATE_LIMIT_HTTP_BURST', type: 'integer', min: 1, default: 60 },
+  'rateLimit.httpPerMinute': { env: 'RATE_LIMIT_HTTP_PER_MINUTE', type: 'integer', min: 1, default: 600 },
+  'rateLimit.roomCreateBurst': { env: 'RATE_LIMIT_ROOM_CREATE_BURST', type: 'integer', min: 1, default: 5 },
+  'rateLimit.roomCreatePerMinute': { env: 'RATE_LIMIT_ROOM_CREATE_PER_MINUTE', type: 'integer', min: 1, default: 10 },
+  'rateLimit.socketBurst': { env: 'RATE_LIMIT_SOCKET_BURST', type: 'integer', min: 1, default: 100 },
+  'rateLimit.socketPerMinute': { env: 'RATE_LIMIT_SOCKET_PER_MINUTE', type: 'integer', min: 1, default: 1200 },
+  'rateLimit.chatBurst': { env: 'RATE_LIMIT_CHAT_BURST', type: 'integer', min: 1, default: 5 },
+  'rateLimit.chatPerMinute': { env: 'RATE_LIMIT_CHAT_PER_MINUTE', type: 'integer', min: 1, default: 20 },
+
+  // Unset uses the built-in list in lib/chat.js; an empty value (e.g. "[]" in the file) disables it
+  'chat.filterWords': { env: 'CHAT_FILTER_WORDS', type: 'list' },
+  'chat.historyLimit': { env: 'CHAT_HISTORY_LIMIT', type: 'integer', min: 0, max: 500, default: 50 },
+
+  'supabase.url': { env: 'SUPABASE_URL', type: 'url' },
+  'supabase.key': { env: 'SUPABASE_KEY', type: 'string', secret: true },
+  'session.secret': { env: 'SESSION_SECRET', type: 'string', secret: true, minLength: 16 },
+
+  'rooms.maxPlayers': { env: 'ROOM_MAX_PLAYERS', type: 'integer', min: 2, default: 2 },
+  'rooms.maxSpectators': { env: 'ROOM_MAX_SPECTATORS', type: 'integer', min: 0, default: 20 },
+  'rooms.reconnectGraceMs': { env: 'RECONNECT_GRACE_MS', type: 'integer', min: 0, default: 30 * 1000 },
+  'rooms.defaultGameSettings': {
+    env: 'DEFAULT_GAME_SETTINGS',
+    type: 'object',
+    default: { startingScore: 501, legsToWin: 3, setsToWin: 1, doubleOut: true }
+  },
+
+  // After the winning visit the players have confirmWindowMs to confirm, undo or dispute it before
+  // the result is recorded; 0 records it straight away
+  'match.confirmWindowMs': { env: 'MATCH_CONFIRM_WINDOW_MS', type: 'integer', min: 0, default: 60 * 1000 },
+
+  'cleanup.intervalMs': { env: 'CLEANUP_INTERVAL_MS', type: 'integer', min: 1000, default: 5 * 60 * 1000 },
+  'cleanup.staleRoomMs': { env: 'STALE_ROOM_MS', type: 'integer', min: 0, default: 30 * 60 * 1000 },
+
+  // Scheduled matches open their room openWindowMs before kick-off, remind both players
+  // reminderMinutes before it, and award a forfeit noShowGraceMs after it; checked every tickMs
+  'schedule.openWindowMs': { env: 'SCHEDULE_OPEN_WINDOW_MS', type: 'integer', min: 0, default: 15 * 60 * 1000 },
+  'schedule.reminderMinutes': { env: 'SCHEDULE_REMINDER_MINUTES', type: 'integer-list', min: 1, default: [1440, 60, 15] },
+  'schedule.noShowGraceMs': { env: 'SCHEDULE_NO_SHOW_GRACE_MS', type: 'integer', min: 0, default: 10 * 60 * 1000 },
+  'schedule.tickMs': { env: 'SCHEDULE_TICK_MS', type: 'integer', min: 1000, default: 30 * 1000 },
+
+  // Webhook deliveries give up on a request after timeoutMs and on a delivery after maxAttempts,
+  // waiting backoffMs (doubling each time) between attempts; each webhook keeps logLimit deliveries
+  'webhooks.timeoutMs': { env: 'WEBHOOK_TIMEOUT_MS', type: 'integer', min: 100, default: 5 * 1000 },
+  'webhooks.maxAttempts': { env: 'WEBHOOK_MAX_ATTEMPTS', type: 'integer', min: 1, max: 20, default: 5 },
+  'webhooks.backoffMs': { env: 'WEBHOOK_BACKOFF_MS', type: 'integer', min: 0, default: 2 * 1000 },
+  'webhooks.retryIntervalMs': { env: 'WEBHOOK_RETRY_INTERVAL_MS', type: 'integer', min: 100, default: 5 * 1000 },
+  'webhooks.logLimit': { env: 'WEBHOOK_LOG_LIMIT', type: 'integer', min: 1, max: 10000, default: 100 },
+
+  // On SIGTERM/SIGINT: exit after deadlineMs at the latest; clients are told to retry after retryAfterMs.
+  // Rooms are snapshotted for the next instance, but only Supabase keeps them (and the players
+  // whose tokens resume them) past the process: without it a restart ends every room
+  'shutdown.deadlineMs': { env: 'SHUTDOWN_DEADLINE_MS', type: 'integer', min: 1000, default: 10 * 1000 },
+  'shutdown.retryAfterMs': { env: 'SHUTDOWN_RETRY_AFTER_MS', type: 'integer', min: 0, default: 5 * 1000 },
+
+  // Readiness results are reused for cacheMs; a dependency check slower than timeoutMs fails
+  'health.cacheMs': { env: 'HEALTH_CACHE_MS', type: 'integer', min: 0, default: 5 * 1000 },
+  'health.timeoutMs': { env: 'HEALTH_TIMEOUT_MS', type: 'integer', min: 100, default: 2 * 1000 },
+
+  'cluster.backend': { env: 'CLUSTER_BACKEND', type: 'enum', values: ['memory', 'supabase'], default: 'memory' },
+  'cluster.heartbeatMs': { env: 'INSTANCE_HEARTBEAT_MS', type: 'integer', min: 1000, default: 15 * 1000 },
+  'cluster.instanceTimeoutMs': { env: 'INSTANCE_TIMEOUT_MS', type: 'integer', min: 1000, default: 60 * 1000 },
+
+  'ice.provider': { env: 'ICE_PROVIDER', type: 'enum', values: ['xirsys', 'coturn', 'static'] },
+  'ice.ttl': { env: 'ICE_TTL', type: 'integer', min: 60, default: 3600 },
+  'ice.servers': { env: 'ICE_SERVERS', type: 'array' },
+  'ice.turnUrls': { env: 'TURN_URLS', type: 'list', default: [] },
+  'ice.stunUrls': { env: 'STUN_URLS', type: 'list', default: [] },
+  'ice.turnSecret': { env: 'TURN_SECRET', type: 'string', secret: true },
+
+  'xirsys.ident': { env: 'XIRSYS_IDENT', type: 'string', default: 'ddlarena' },
+  'xirsys.secret': { env: 'XIRSYS_SECRET', type: 'string', secret: true },
+  'xirsys.gateway': { env: 'XIRSYS_GATEWAY', type: 'string', default: 'global.xirsys.net' },
+  'xirsys.path': { env: 'XIRSYS_PATH', type: 'string', default: '/ddlarena' }
+};
+
+// Per-environment defaults and the settings each environment cannot run without
+const PROFILES = {
+  development: { values: { 'log.format': 'pretty' }, required: [] },
+  test: { values: {}, required: [] },
+  // Render terminates TLS in a proxy that adds one X-Forwarded-For entry
+  production: { values: { 'http.trustProxy': 1 }, required: ['session.secret'] }
+};
+
+// Parse a raw value (an env string, or anything from the config file) into the setting's type
+function coerce(setting, raw) {
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+
+  switch (setting.type) {
+    case 'integer': {
+      const value = typeof text === 'string' && /^-?\d+$/.test(text) ? parseInt(text, 10) : text;
+      if (!Number.isInteger(value)) return { error: `must be an integer, got ${JSON.stringify(raw)}` };
+      if (setting.min !== undefined && value < setting.min) return { error: `must be at least ${setting.min}` };
+      if (setting.max !== undefined && value > setting.max) return { error: `must be at most ${setting.max}` };
+      return { value };
+    }
+
+    case 'list': {
+      const value = typeof text === 'string' ? text.split(',').map(item => item.trim()).filter(Boolean) : text;
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+        return { error: 'must be a comma-separated list or an array of strings' };
+      }
+      return { value };
+    }
+
+    case 'integer-list': {
+      const items = typeof text === 'string' ? text.split(',').map(item => item.trim()).filter(Boolean) : text;
+      if (!Array.isArray(items)) return { error: 'must be a comma-separated list or an array of integers' };
+
+      const value = items.map(item => (typeof item === 'string' && /^-?\d+$/.test(item.trim()) ? parseInt(item, 10) : item));
+      if (!value.every(Number.isInteger)) {
+        return { error: `must be a comma-separated list or an array of integers, got ${JSON.stringify(raw)}` };
+      }
+      if (setting.min !== undefined && value.some(item => item < setting.min)) {
+        return { error: `must all be at least ${setting.min}, got ${JSON.stringify(raw)}` };
+      }
+      return { value };
+    }
+
+    case 'object':
+    case 'array': {
+      let value = text;
+      if (typeof text === 'string') {
+        try {
+          value = JSON.parse(text);
+        } catch (error) {
+          return { error: `must be valid JSON (${error.message})` };
+        }
+      }
+      const isArray = Array.isArray(value);
+      if (setting.type === 'array' ? !isArray : (isArray || !value || typeof value !== 'object')) {
+        return { error: `must be a JSON ${setting.type}` };
+      }
+      return { value };
+    }
+
+    case 'enum':
+      if (!setting.values.includes(text)) return { error: `must be one of ${setting.values.join(', ')}, got ${JSON.stringify(raw)}` };
+      return { value: text };
+
+    case 'url':
+      try {
+        new URL(text);
+        return { value: text };
+      } catch (error) {
+        return { error: `must be a URL, got ${JSON.stringify(raw)}` };
+      }
+
+    default:
+      if (typeof text !== 'string' || text === '') return { error: 'must be a non-empty string' };
+      if (setting.minLength && text.length < setting.minLength) {
+        return { error: `must be at least ${setting.minLength} characters` };
+      }
+      return { value: text };
+  }
+}
+
+// { a: { b: 1 } } -> { 'a.b': 1 }, stopping at setting paths so object/array values stay whole
+function flatten(object, prefix = '', into = {}) {
+  Object.entries(object || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (!SETTINGS[path] && value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, path, into);
+    } else {
+      into[path] = value;
+    }
+  });
+  return into;
+}
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), object);
+  parent[last] = value;
+}
+
+function deepFreeze(object) {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') deepFreeze(value);
+  });
+  return Object.freeze(object);
+}
+
+function readConfigFile(file, problems) {
+  if (!file) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    problems.push(`CONFIG_FILE ${file} could not be read: ${error.message}`);
+    return {};
+  }
+}
+
+// Returns { config, sources } - sources maps each setting to where its value came from
+function loadConfig(env = process.env) {
+  const problems = [];
+  const profileName = env.NODE_ENV || 'development';
+  const profile = PROFILES[profileName];
+  if (!profile) {
+    problems.push(`NODE_ENV must be one of ${Object.keys(PROFILES).join(', ')}, got "${profileName}"`);
+  }
+
+  const { profiles: fileProfiles = {}, ...fileBase } = readConfigFile(env.CONFIG_FILE, problems);
+  const layers = [
+    ['profile', profile ? profile.values : {}],
+    ['file', flatten(fileBase)],
+    ['file', flatten(fileProfiles[profileName])]
+  ];
+
+  layers.forEach(([source, values]) => {
+    Object.keys(values).forEach(path => {
+      if (!SETTINGS[path]) problems.push(`Unknown setting "${path}" in ${source === 'file' ? env.CONFIG_FILE : `the ${profileName} profile`}`);
+    });
+  });
+
+  const config = { env: profileName };
+  const sources = {};
+
+  Object.entries(SETTINGS).forEach(([path, setting]) => {
+    let raw = setting.default;
+    let source = 'default';
+
+    layers.forEach(([layerSource, values]) => {
+      if (values[path] !== undefined) {
+        raw = values[path];
+        source = layerSource;
+      }
+    });
+
+    if (env[setting.env] !== undefined && env[setting.env] !== '') {
+      raw = env[setting.env];
+      source = 'env';
+    }
+
+    let value = null;
+    if (raw !== undefined && raw !== null) {
+      const result = coerce(setting, raw);
+      if (result.error) {
+        problems.push(`${setting.env} (${path}) ${result.error}`);
+      } else {
+        value = result.value;
+      }
+    }
+
+    if (value === null && profile && profile.required.includes(path)) {
+      problems.push(`${setting.env} (${path}) is required when NODE_ENV=${profileName}`);
+    }
+
+    setPath(config, path, value);
+    sources[path] = value === null ? 'unset' : source;
+  });
+
+  // Settings that only make sense together
+  if (!!config.supabase.url !== !!config.supabase.key) {
+    problems.push('SUPABASE_URL and SUPABASE_KEY must be set together');
+  }
+  if (config.cluster.backend === 'supabase' && !config.supabase.url) {
+    problems.push('CLUSTER_BACKEND=supabase needs SUPABASE_URL and SUPABASE_KEY');
+  }
+
+  if (!config.ice.provider) {
+    config.ice.provider = config.xirsys.secret ? 'xirsys' : 'static';
+    sources['ice.provider'] = 'derived';
+  }
+  if (config.ice.provider === 'xirsys' && !config.xirsys.secret) {
+    problems.push('ICE_PROVIDER=xirsys needs XIRSYS_SECRET');
+  }
+  if (config.ice.provider === 'coturn' && (config.ice.turnUrls.length === 0 || !config.ice.turnSecret)) {
+    problems.push('ICE_PROVIDER=coturn needs TURN_URLS and TURN_SECRET');
+  }
+
+  // Reminders go out earliest first, once per offset
+  if (config.schedule.reminderMinutes) {
+    config.schedule.reminderMinutes = Array.from(new Set(config.schedule.reminderMinutes)).sort((a, b) => b - a);
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  return { config: deepFreeze(config), sources };
+}
+
+// Copy of the config with secrets replaced, safe to log or serve
+function redactConfig(config) {
+  const copy = JSON.parse(JSON.stringify(config));
+  Object.entries(SETTINGS).forEach(([path, setting]) => {
+    if (!setting.secret) return;
+
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => node && node[key], copy);
+    if (parent && parent[last] !== null && parent[last] !== undefined) parent[last] = '[redacted]';
+  });
+  return copy;
+}
+
+module.exports = {
+  SETTINGS,
+  PROFILES,
+  loadConfig,
+  redactConfig
+};
@@ -0,0 +1,143 @@
+const format = require('./match-format');
+
+// Cricket match engine - players close 15 to 20 and the bull with three marks each (a double is
+// two marks, a treble three). Marks on a number you have closed and your opponent has not score
+// its value: for you in standard cricket, against your opponent in cut-throat. The leg goes to
+// the first player to close everything while ahead (standard) or not behind (cut-throat)
+
+const NUMBERS = [20, 19, 18, 17, 16, 15, 25];
+const MARKS_TO_CLOSE = 3;
+
+const DEFAULT_SETTINGS = {
+  ...format.FORMAT_DEFAULTS,
+  cutThroat: false
+};
+
+const SETTINGS_SCHEMA = {
+  cutThroat: { type: 'boolean' }
+};
+
+function normalizeSettings(settings = {}) {
+  const merged = { ...DEFAULT_SETTINGS, ...settings };
+  return {
+    ...format.normalizeFormat(merged),
+    cutThroat: merged.cutThroat === true
+  };
+}
+
+function describe(settings) {
+  const s = normalizeSettings(settings);
+  return `${s.cutThroat ? 'Cut-throat cricket' : 'Cricket'}, ${format.describeFormat(s)}`;
+}
+
+function formatKey(settings) {
+  const s = normalizeSettings(settings);
+  return `cricket:${s.cutThroat ? 'CT' : 'STD'}:L${s.legsToWin}:S${s.setsToWin}`;
+}
+
+function emptyMarks() {
+  return Object.fromEntries(NUMBERS.map(number => [number, 0]));
+}
+
+function startLeg(match) {
+  match.marks = [emptyMarks(), emptyMarks()];
+  match.points = [0, 0];
+}
+
+function createMatch(settings, players) {
+  const match = format.createMatchState('cricket', 'Cricket', normalizeSettings(settings), players);
+  startLeg(match);
+  return match;
+}
+
+function isClosed(match, playerIndex, number) {
+  return match.marks[playerIndex][number] >= MARKS_TO_CLOSE;
+}
+
+function hasWonLeg(match, playerIndex) {
+  if (!NUMBERS.every(number => isClosed(match, playerIndex, number))) return false;
+
+  const own = match.points[playerIndex];
+  const opponent = match.points[1 - playerIndex];
+  return match.settings.cutThroat ? own <= opponent : own >= opponent;
+}
+
+// Darts only: a cricket visit is scored from the numbers hit, not a total
+function applyVisit(match, playerIndex, visit) {
+  format.checkTurn(match, playerIndex);
+  if (!visit || visit.darts === undefined) {
+    throw new Error('A cricket visit needs darts');
+  }
+
+  const thrown = [];
+  const opponentIndex = 1 - playerIndex;
+  const { cutThroat } = match.settings;
+  let marks = 0;
+  let points = 0;
+  let legWon = false;
+
+  for (const dart of format.parseDarts(visit.darts)) {
+    thrown.push(dart);
+    if (!NUMBERS.includes(dart.segment)) continue;
+
+    const before = match.marks[playerIndex][dart.segment];
+    const after = before + dart.multiplier;
+    match.marks[playerIndex][dart.segment] = Math.min(after, MARKS_TO_CLOSE);
+    marks += Math.min(after, MARKS_TO_CLOSE) - before;
+
+    // Marks past closing score only while the opponent still has the number open
+    const extra = after - Math.max(before, MARKS_TO_CLOSE);
+    if (extra > 0 && !isClosed(match, opponentIndex, dart.segment)) {
+      const scored = extra * dart.segment;
+      match.points[cutThroat ? opponentIndex : playerIndex] += scored;
+      points += scored;
+      marks += extra;
+    }
+
+    if (hasWonLeg(match, playerIndex)) {
+      legWon = true;
+      break;
+    }
+  }
+
+  const entry = {
+    ...format.visitBase(match, playerIndex),
+    darts: thrown,
+    dartsUsed: thrown.length,
+    marks,
+    points,
+    pointsAfter: match.points.slice(),
+    legWon,
+    timestamp: new Date().toISOString()
+  };
+  match.visits.push(entry);
+
+  if (legWon) {
+    if (!format.completeLeg(match, playerIndex)) startLeg(match);
+  } else {
+    match.currentPlayer = opponentIndex;
+  }
+
+  return entry;
+}
+
+function serializeMatch(match) {
+  return format.serializeFormat(match, index => ({
+    marks: match.marks[index],
+    points: match.points[index]
+  }));
+}
+
+module.exports = {
+  MODE: 'cricket',
+  NAME: 'Cricket',
+  NUMBERS,
+  DEFAULT_SETTINGS,
+  SETTINGS_SCHEMA,
+  normalizeSettings,
+  describe,
+  formatKey,
+  createMatch,
+  applyVisit,
+  serializeMatch
+};
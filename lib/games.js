@@ -0,0 +1,82 @@
+const x01 = require('./x01');
+const cricket = require('./cricket');
+const aroundTheClock = require('./around-the-clock');
+const shanghai = require('./shanghai');
+
+// Game mode registry. A room's game_settings name its mode ({ mode: 'cricket', cutThroat: true,
+// legsToWin: 3, ... }); settings without one are X01, as every room was before modes existed.
+// Each mode module exports its settings schema, normalizeSettings, createMatch, applyVisit,
+// serializeMatch, describe and formatKey
+
+const DEFAULT_MODE = 'x01';
+
+const GAME_MODES = {
+  [x01.MODE]: x01,
+  [cricket.MODE]: cricket,
+  [aroundTheClock.MODE]: aroundTheClock,
+  [shanghai.MODE]: shanghai
+};
+
+function modeOf(settings) {
+  return (settings && settings.mode) || DEFAULT_MODE;
+}
+
+function isMode(mode) {
+  return Object.prototype.hasOwnProperty.call(GAME_MODES, mode);
+}
+
+function engineFor(mode) {
+  if (!isMode(mode)) throw new Error(`Unknown game mode "${mode}"`);
+  return GAME_MODES[mode];
+}
+
+// Mode defaults filled in, with the mode itself included
+function normalizeSettings(settings) {
+  const mode = modeOf(settings);
+  return { mode, ...engineFor(mode).normalizeSettings(settings || {}) };
+}
+
+function createMatch(settings, players) {
+  return engineFor(modeOf(settings)).createMatch(normalizeSettings(settings), players);
+}
+
+// Matches recorded before modes existed have game 'x01' and settings without a mode
+function applyVisit(match, playerIndex, visit) {
+  return engineFor(match.game || DEFAULT_MODE).applyVisit(match, playerIndex, visit);
+}
+
+function serializeMatch(match) {
+  return engineFor(match.game || DEFAULT_MODE).serializeMatch(match);
+}
+
+function describe(settings) {
+  return engineFor(modeOf(settings)).describe(settings || {});
+}
+
+function formatKey(settings) {
+  return engineFor(modeOf(settings)).formatKey(settings || {});
+}
+
+// [{ mode, name, defaults }] for clients building a mode picker or filter
+function listModes() {
+  return Object.values(GAME_MODES).map(engine => ({
+    mode: engine.MODE,
+    name: engine.NAME,
+    defaults: engine.DEFAULT_SETTINGS
+  }));
+}
+
+module.exports = {
+  DEFAULT_MODE,
+  GAME_MODES,
+  modeOf,
+  isMode,
+  engineFor,
+  normalizeSettings,
+  createMatch,
+  applyVisit,
+  serializeMatch,
+  describe,
+  formatKey,
+  listModes
+};
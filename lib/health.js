@@ -0,0 +1,56 @@
+// Readiness checks for /health/ready. A check is { name, critical, run() -> details }: it passes
+// when run() resolves within the timeout. A failing critical check makes the server unhealthy
+// (503, it cannot serve matches); any other failing check only makes it degraded
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} check timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Results are cached for `cacheMs` and concurrent callers share one run, so probes from load
+// balancers and monitors do not each hit Supabase or the ICE provider
+function createHealthChecker({ checks, cacheMs = 5000, timeoutMs = 2000, now = Date.now }) {
+  let cached = null; // { report, checkedAt }
+  let pending = null;
+
+  async function runCheck({ name, critical = true, run }) {
+    const started = now();
+    try {
+      const details = await withTimeout(Promise.resolve().then(run), timeoutMs, name);
+      return { name, critical, status: 'up', latencyMs: now() - started, ...(details || {}) };
+    } catch (error) {
+      return { name, critical, status: 'down', latencyMs: now() - started, error: error.message };
+    }
+  }
+
+  async function runAll() {
+    const results = await Promise.all(checks.map(runCheck));
+    const failed = results.filter(result => result.status === 'down');
+
+    let status = 'healthy';
+    if (failed.some(result => result.critical)) status = 'unhealthy';
+    else if (failed.length > 0) status = 'degraded';
+
+    const report = {
+      status,
+      checkedAt: new Date(now()).toISOString(),
+      checks: Object.fromEntries(results.map(({ name, ...result }) => [name, result]))
+    };
+    cached = { report, checkedAt: now() };
+    return report;
+  }
+
+  return {
+    // { status: healthy | degraded | unhealthy, checkedAt, checks: { name: { status, critical, latencyMs, error? } } }
+    async check() {
+      if (cached && now() - cached.checkedAt < cacheMs) return cached.report;
+      if (!pending) pending = runAll().finally(() => { pending = null; });
+      return pending;
+    }
+  };
+}
+
+module.exports = { createHealthChecker };
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { timeExternal } = require('./metrics');
+
+// ICE (STUN/TURN) server providers for /api/ice-servers.
+// A provider is { name, perUser, async getIceServers({ userId }) -> { iceServers, ttl } },
+// where ttl is how many seconds the credentials stay valid (null if they never expire)
+
+const PUBLIC_ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' },
+  { urls: 'turn:openrelay.metered.ca:80', username: 'openrelayproject', credential: 'openrelayproject' },
+  { urls: 'turn:openrelay.metered.ca:443', username: 'openrelayproject', credential: 'openrelayproject' }
+];
+
+const DEFAULT_TTL = 3600;
+
+function createStaticProvider({ iceServers = PUBLIC_ICE_SERVERS } = {}) {
+  return {
+    name: 'static',
+    perUser: false,
+
+    async getIceServers() {
+      return { iceServers, ttl: null };
+    }
+  };
+}
+
+// Xirsys issues short-lived TURN credentials for a channel
+function createXirsysProvider({ ident, secret, gateway = 'global.xirsys.net', path = '/ddlarena', ttl = DEFAULT_TTL }) {
+  if (!ident || !secret) {
+    throw new Error('The Xirsys ICE provider needs an ident and a secret');
+  }
+
+  return {
+    name: 'xirsys',
+    perUser: false,
+
+    getIceServers() {
+      return timeExternal('xirsys', 'turn', async () => {
+        const response = await fetch(`https://${gateway}/_turn${path}`, {
+          method: 'PUT',
+          headers: {
+            'Authorization': `Basic ${Buffer.from(`${ident}:${secret}`).toString('base64')}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ format: 'urls', expire: ttl })
+        });
+
+        if (!response.ok) {
+          throw new Error(`Xirsys API error: ${response.status} - ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        if (data.s !== 'ok' || !data.v || !data.v.iceServers) {
+          throw new Error(`Xirsys returned no ICE servers: ${data.v || data.s}`);
+        }
+
+        const iceServers = Array.isArray(data.v.iceServers) ? data.v.iceServers : [data.v.iceServers];
+        return { iceServers, ttl };
+      });
+    }
+  };
+}
+
+// TURN REST API credentials (coturn `use-auth-secret`): the username carries its own expiry
+// and the password is an HMAC of the username, so coturn can check it without a lookup
+function turnCredentials(secret, userId, ttl, now = Date.now()) {
+  const expiresAt = Math.floor(now / 1000) + ttl;
+  const username = `${expiresAt}:${userId}`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+  return { username, credential };
+}
+
+function createCoturnProvider({ urls, secret, stunUrls = [], ttl = DEFAULT_TTL }) {
+  if (!secret || !urls || urls.length === 0) {
+    throw new Error('The coturn ICE provider needs TURN urls and a shared secret');
+  }
+
+  return {
+    name: 'coturn',
+    perUser: true,
+
+    async getIceServers({ userId = 'anonymous' } = {}) {
+      const iceServers = [{ urls, ...turnCredentials(secret, userId, ttl) }];
+      if (stunUrls.length > 0) iceServers.unshift({ urls: stunUrls });
+      return { iceServers, ttl };
+    }
+  };
+}
+
+function createIceProvider({ provider, xirsys, coturn, iceServers }) {
+  switch (provider) {
+    case 'xirsys':
+      return createXirsysProvider(xirsys);
+    case 'coturn':
+      return createCoturnProvider(coturn);
+    case 'static':
+      return createStaticProvider({ iceServers });
+    default:
+      throw new Error(`Unknown ICE provider: ${provider}`);
+  }
+}
+
+// Caches what the provider hands out until shortly before it expires (`refreshRatio` of the ttl
+// before), sharing one in-flight request per cache key. If the provider fails, still-valid
+// cached credentials are served, then the fallback provider, and the provider is left alone
+// for `retryAfterMs`
+function createIceService({ provider, fallback = createStaticProvider(), refreshRatio = 0.2, retryAfterMs = 30 * 1000 }) {
+  const cache = new Map(); // userId (or '*' for shared credentials) -> { iceServers, ttl, expiresAt }
+  const pending = new Map(); // cache key -> Promise
+  let failedAt = 0;
+
+  function remaining(entry, now) {
+    return entry.expiresAt === null ? null : Math.floor((entry.expiresAt - now) / 1000);
+  }
+
+  function fresh(entry, now) {
+    if (!entry) return false;
+    if (entry.expiresAt === null) return true;
+    return entry.expiresAt - now > entry.ttl * 1000 * refreshRatio;
+  }
+
+  function prune(now) {
+    cache.forEach((entry, key) => {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) cache.delete(key);
+    });
+  }
+
+  async function load(key) {
+    const { iceServers, ttl } = await provider.getIceServers(provider.perUser ? { userId: key } : {});
+    const now = Date.now();
+    const entry = { iceServers, ttl, expiresAt: ttl ? now + ttl * 1000 : null };
+
+    prune(now);
+    cache.set(key, entry);
+    return entry;
+  }
+
+  return {
+    provider: provider.name,
+
+    async getIceServers({ userId = null } = {}) {
+      const key = provider.perUser ? userId || 'anonymous' : '*';
+      let entry = cache.get(key);
+      const now = Date.now();
+      const backingOff = now - failedAt < retryAfterMs;
+
+      if (!fresh(entry, now) && !backingOff) {
+        if (!pending.has(key)) {
+          pending.set(key, load(key).finally(() => pending.delete(key)));
+        }
+
+        try {
+          entry = await pending.get(key);
+        } catch (error) {
+          failedAt = Date.now();
+          logger.warn('ICE provider failed, using fallback', { provider: provider.name, err: error });
+        }
+      }
+
+      if (!entry || (entry.expiresAt !== null && entry.expiresAt <= Date.now())) {
+        const { iceServers, ttl } = await fallback.getIceServers({ userId: key });
+        return { iceServers, ttl, provider: fallback.name };
+      }
+
+      return { iceServers: entry.iceServers, ttl: remaining(entry, Date.now()), provider: provider.name };
+    }
+  };
+}
+
+module.exports = {
+  PUBLIC_ICE_SERVERS,
+  turnCredentials,
+  createStaticProvider,
+  createXirsysProvider,
+  createCoturnProvider,
+  createIceProvider,
+  createIceService
+};
@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+
+// Leagues -> seasons -> divisions, with registrations, round-robin fixtures and standings
+
+const DEFAULT_POINTS = { win: 2, draw: 1, loss: 0 };
+
+// Circle method: one player stays fixed while the rest rotate; null is a bye
+function roundRobin(playerIds, { doubleRoundRobin = false } = {}) {
+  const slots = [...playerIds];
+  if (slots.length % 2 === 1) slots.push(null);
+
+  const rounds = [];
+  const count = slots.length;
+
+  for (let round = 0; round < count - 1; round++) {
+    const pairings = [];
+    for (let i = 0; i < count / 2; i++) {
+      let home = slots[i];
+      let away = slots[count - 1 - i];
+      // Swap the fixed player's pairing every other round so home/away balances out
+      if (i === 0 && round % 2 === 1) [home, away] = [away, home];
+      if (home !== null && away !== null) pairings.push([home, away]);
+    }
+    rounds.push(pairings);
+    slots.splice(1, 0, slots.pop());
+  }
+
+  if (doubleRoundRobin) {
+    rounds.slice().forEach(pairings => rounds.push(pairings.map(([home, away]) => [away, home])));
+  }
+  return rounds;
+}
+
+function computeStandings(registrations, fixtures, points = DEFAULT_POINTS) {
+  const table = new Map();
+  registrations.forEach(reg => {
+    table.set(reg.player_id, {
+      playerId: reg.player_id,
+      username: reg.username,
+      played: 0,
+      won: 0,
+      drawn: 0,
+      lost: 0,
+      legsFor: 0,
+      legsAgainst: 0,
+      legDifference: 0,
+      points: 0
+    });
+  });
+
+  fixtures.filter(f => f.status === 'completed').forEach(fixture => {
+    const home = table.get(fixture.home_id);
+    const away = table.get(fixture.away_id);
+    if (!home || !away) return;
+
+    [[home, fixture.home_legs, fixture.away_legs], [away, fixture.away_legs, fixture.home_legs]]
+      .forEach(([row, legsFor, legsAgainst]) => {
+        row.played += 1;
+        row.legsFor += legsFor;
+        row.legsAgainst += legsAgainst;
+        row.legDifference = row.legsFor - row.legsAgainst;
+
+        if (legsFor > legsAgainst) {
+          row.won += 1;
+          row.points += points.win;
+        } else if (legsFor === legsAgainst) {
+          row.drawn += 1;
+          row.points += points.draw;
+        } else {
+          row.lost += 1;
+          row.points += points.loss;
+        }
+      });
+  });
+
+  return Array.from(table.values())
+    .sort((a, b) =>
+      b.points - a.points ||
+      b.legDifference - a.legDifference ||
+      b.legsFor - a.legsFor ||
+      a.username.localeCompare(b.username))
+    .map((row, index) => ({ position: index + 1, ...row }));
+}
+
+function createLeagueService({ supabase = null } = {}) {
+  const leagues = createCollection('leagues', { supabase });
+  const seasons = createCollection('league_seasons', { supabase });
+  const divisions = createCollection('league_divisions', { supabase });
+  const registrations = createCollection('league_registrations', { supabase });
+  const fixtures = createCollection('league_fixtures', { supabase });
+
+  async function loadDivision(divisionId) {
+    const division = await divisions.get(divisionId);
+    if (!division) return { error: 'Division not found', statusCode: 404 };
+
+    const league = await leagues.get(division.league_id);
+    return { division, league };
+  }
+
+  return {
+    roundRobin,
+
+    async createLeague({ name, description, points, gameSettings }, owner) {
+      if (!name || typeof name !== 'string') {
+        return { error: 'League name is required', statusCode: 400 };
+      }
+
+      const league = await leagues.insert({
+        id: crypto.randomUUID(),
+        name: name.trim(),
+        description: description || null,
+        points: { ...DEFAULT_POINTS, ...(points || {}) },
+        game_settings: gameSettings || null,
+        owner_id: owner.id,
+        created: new Date().toISOString()
+      });
+      return { league };
+    },
+
+    async listLeagues() {
+      return leagues.list({ orderBy: 'created', ascending: false });
+    },
+
+    async getLeague(leagueId) {
+      const league = await leagues.get(leagueId);
+      if (!league) return null;
+
+      return {
+        ...league,
+        seasons: await seasons.list({ where: { league_id: leagueId }, orderBy: 'created' })
+      };
+    },
+
+    async createSeason(leagueId, { name }, player) {
+      const league = await leagues.get(leagueId);
+      if (!league) return { error: 'League not found', statusCode: 404 };
+      if (league.owner_id !== player.id) return { error: 'Only the league owner can add seasons', statusCode: 403 };
+
+      const season = await seasons.insert({
+        id: crypto.randomUUID(),
+        league_id: leagueId,
+        name: name || `Season ${(await seasons.list({ where: { league_id: leagueId } })).length + 1}`,
+        status: 'registration',
+        created: new Date().toISOString()
+      });
+      return { season };
+    },
+
+    async getSeason(seasonId) {
+      const season = await seasons.get(seasonId);
+      if (!season) return null;
+
+      return {
+        ...season,
+        divisions: await divisions.list({ where: { season_id: seasonId }, orderBy: 'tier' })
+      };
+    },
+
+    async createDivision(seasonId, { name, tier }, player) {
+      const season = await seasons.get(seasonId);
+      if (!season) return { error: 'Season not found', statusCode: 404 };
+
+      const league = await leagues.get(season.league_id);
+      if (league.owner_id !== player.id) return { error: 'Only the league owner can add divisions', statusCode: 403 };
+
+      const existing = await divisions.list({ where: { season_id: seasonId } });
+      const division = await divisions.insert({
+        id: crypto.randomUUID(),
+        season_id: seasonId,
+        league_id: season.league_id,
+        name: name || `Division ${existing.length + 1}`,
+        tier: parseInt(tier, 10) || existing.length + 1,
+        fixtures_generated: false,
+        created: new Date().toISOString()
+      });
+      return { division };
+    },
+
+    async getDivision(divisionId) {
+      const division = await divisions.get(divisionId);
+      if (!division) return null;
+
+      return {
+        ...division,
+        players: await registrations.list({ where: { division_id: divisionId }, orderBy: 'registered' })
+      };
+    },
+
+    async register(divisionId, player) {
+      const { division, error, statusCode } = await loadDivision(divisionId);
+      if (error) return { error, statusCode };
+      if (division.fixtures_generated) {
+        return { error: 'Fixtures have already been generated for this division', statusCode: 409 };
+      }
+
+      // A player can only be in one division per season
+      const [existing] = await registrations.list({ where: { season_id: division.season_id, player_id: player.id } });
+      if (existing) {
+        return { error: 'Already registered for this season', statusCode: 409 };
+      }
+
+      const registration = await registrations.insert({
+        id: crypto.randomUUID(),
+        division_id: divisionId,
+        season_id: division.season_id,
+        player_id: player.id,
+        username: player.username,
+        registered: new Date().toISOString()
+      });
+      return { registration };
+    },
+
+    async generateFixtures(divisionId, { doubleRoundRobin = false } = {}, player) {
+      const { division, league, error, statusCode } = await loadDivision(divisionId);
+      if (error) return { error, statusCode };
+      if (league.owner_id !== player.id) return { error: 'Only the league owner can generate fixtures', statusCode: 403 };
+      if (division.fixtures_generated) return { error: 'Fixtures already generated', statusCode: 409 };
+
+      const players = await registrations.list({ where: { division_id: divisionId }, orderBy: 'registered' });
+      if (players.length < 2) return { error: 'A division needs at least two players', statusCode: 400 };
+
+      const names = new Map(players.map(p => [p.player_id, p.username]));
+      const rounds = roundRobin(players.map(p => p.player_id), { doubleRoundRobin });
+      const created = [];
+
+      for (let round = 0; round < rounds.length; round++) {
+        for (const [homeId, awayId] of rounds[round]) {
+          created.push(await fixtures.insert({
+            id: crypto.randomUUID(),
+            division_id: divisionId,
+            season_id: division.season_id,
+            league_id: division.league_id,
+            round: round + 1,
+            home_id: homeId,
+            home_name: names.get(homeId),
+            away_id: awayId,
+            away_name: names.get(awayId),
+            status: 'scheduled',
+            room_code: null,
+            home_legs: null,
+            away_legs: null,
+            winner_id: null,
+            match_id: null,
+            completed: null
+          }));
+        }
+      }
+
+      await divisions.update(divisionId, { fixtures_generated: true });
+      await seasons.update(division.season_id, { status: 'active' });
+      return { fixtures: created };
+    },
+
+    async listFixtures(divisionId) {
+      const list = await fixtures.list({ where: { division_id: divisionId } });
+      return list.sort((a, b) => a.round - b.round || a.home_name.localeCompare(b.home_name));
+    },
+
+    async getFixture(fixtureId) {
+      return fixtures.get(fixtureId);
+    },
+
+    async standings(divisionId) {
+      const { division, league, error, statusCode } = await loadDivision(divisionId);
+      if (error) return { error, statusCode };
+
+      const players = await registrations.list({ where: { division_id: divisionId } });
+      const played = await fixtures.list({ where: { division_id: divisionId } });
+      return { division, standings: computeStandings(players, played, league.points) };
+    },
+
+    async linkRoom(fixtureId, roomCode) {
+      return fixtures.update(fixtureId, { room_code: roomCode, status: 'in_progress' });
+    },
+
+    // `forfeit` marks a result awarded because a player did not turn up
+    async recordResult(fixtureId, { homeLegs, awayLegs, matchId = null, forfeit = false }) {
+      const fixture = await fixtures.get(fixtureId);
+      if (!fixture) return { error: 'Fixture not found', statusCode: 404 };
+
+      const home = parseInt(homeLegs, 10);
+      const away = parseInt(awayLegs, 10);
+      if (!Number.isInteger(home) || !Number.isInteger(away) || home < 0 || away < 0) {
+        return { error: 'homeLegs and awayLegs must be non-negative integers', statusCode: 400 };
+      }
+
+      const updated = await fixtures.update(fixtureId, {
+        status: 'completed',
+        home_legs: home,
+        away_legs: away,
+        winner_id: home === away ? null : (home > away ? fixture.home_id : fixture.away_id),
+        match_id: matchId,
+        forfeit,
+        completed: new Date().toISOString()
+      });
+      return { fixture: updated };
+    },
+
+    async isLeagueOwner(leagueId, player) {
+      const league = await leagues.get(leagueId);
+      return !!league && league.owner_id === player.id;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_POINTS,
+  roundRobin,
+  computeStandings,
+  createLeagueService
+};
@@ -0,0 +1,121 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging: one JSON object per line on stdout (stderr for errors), or a readable
+// single line in the `pretty` format for local development. Fields bound with withContext()
+// (the request ID of an HTTP request, the socket, player and room of a socket event) are added
+// to every line logged while handling it, including from library code
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+// Run fn with fields added to every log line inside it (nested contexts add to the outer one)
+function withContext(fields, fn) {
+  return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+// Add fields to the current context, e.g. the room once a handler has looked it up
+function addContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+function serialize(fields) {
+  const output = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined) return;
+    output[key] = value instanceof Error ? serializeError(value) : value;
+  });
+  return output;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, err, ...fields } = entry;
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  const line = `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra ? ` ${extra}` : ''}`;
+  return err && err.stack ? `${line}\n${err.stack}` : line;
+}
+
+function createLogger({ level = 'info', format = 'json', write = null } = {}) {
+  const settings = { level, format };
+
+  function output(levelName, line) {
+    if (write) return write(line, levelName);
+    (levelName === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+
+  function isLevelEnabled(levelName) {
+    return LEVELS[levelName] >= LEVELS[settings.level];
+  }
+
+  function log(bound, levelName, msg, extra = {}) {
+    if (!isLevelEnabled(levelName)) return;
+
+    // log.error('message', error) is shorthand for { err: error }
+    const details = extra instanceof Error ? { err: extra } : extra;
+    const entry = serialize({
+      time: new Date().toISOString(),
+      level: levelName,
+      msg,
+      ...bound,
+      ...(context.getStore() || {}),
+      ...details
+    });
+
+    let line;
+    try {
+      line = settings.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    } catch (error) {
+      line = JSON.stringify({ time: entry.time, level: levelName, msg, logError: error.message });
+    }
+    output(levelName, line);
+  }
+
+  // Loggers made with child() share the settings and add their bound fields to every line
+  function bind(bound) {
+    const boundLogger = {
+      configure(options = {}) {
+        if (options.level !== undefined) {
+          if (!LEVELS[options.level]) throw new Error(`Unknown log level "${options.level}"`);
+          settings.level = options.level;
+        }
+        if (options.format !== undefined) settings.format = options.format;
+        return boundLogger;
+      },
+
+      isLevelEnabled,
+
+      child(fields) {
+        return bind({ ...bound, ...fields });
+      }
+    };
+    Object.keys(LEVELS).forEach(levelName => {
+      boundLogger[levelName] = (msg, extra) => log(bound, levelName, msg, extra);
+    });
+    return boundLogger;
+  }
+
+  return bind({});
+}
+
+// The process-wide logger, configured from config.log at startup
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  logger,
+  withContext,
+  addContext
+};
@@ -0,0 +1,345 @@
+const games = require('./games');
+
+// Versioned match event protocol. Every change to a match is an event in the match's log with a
+// sequence number the server assigns, so clients can acknowledge, deduplicate and replay them.
+// Visits are never edited in place: an undo or a dispute outcome is appended as its own event and
+// the match is rebuilt from the visits still standing.
+//
+// The match-winning visit can still be undone or disputed while the result waits to be confirmed:
+// it is final once both players confirm it or `confirmWindowMs` after the win, whichever is first
+
+const PROTOCOL_VERSION = 1;
+
+// What the players (or an admin) can settle a disputed visit with
+const DISPUTE_OUTCOMES = ['stand', 'void', 'correct'];
+
+function append(match, type, fields = {}) {
+  const event = {
+    seq: match.seq + 1,
+    type,
+    playerIndex: null,
+    clientId: null,
+    ...fields,
+    at: new Date().toISOString()
+  };
+  match.seq = event.seq;
+  match.events.push(event);
+  return event;
+}
+
+function startMatch(settings, players, { confirmWindowMs = 0 } = {}) {
+  const match = games.createMatch(settings, players);
+  match.seq = 0;
+  match.events = [];
+  match.pendingUndo = null;
+  match.dispute = null;
+  match.confirmWindowMs = confirmWindowMs;
+  match.result = null;
+  append(match, 'match-started', { game: match.game, settings: match.settings, players: match.players });
+  return match;
+}
+
+// Matches started before the protocol (e.g. restored from an older snapshot) get an empty log
+function ensureLog(match) {
+  if (!Array.isArray(match.events)) {
+    match.seq = 0;
+    match.events = [];
+    match.pendingUndo = null;
+    match.dispute = null;
+  }
+  if (match.result === undefined) {
+    match.result = null;
+  }
+}
+
+// The visits still standing, in order, after undos and dispute outcomes
+function standingVisits(events) {
+  const visits = [];
+  events.forEach(event => {
+    if (event.type === 'visit') {
+      visits.push({ seq: event.seq, playerIndex: event.playerIndex, visit: event.visit, at: event.at });
+      return;
+    }
+
+    const index = visits.findIndex(visit => visit.seq === event.visitSeq);
+    if (index === -1) return;
+    if (event.type === 'visit-undone' || (event.type === 'dispute-resolved' && event.outcome === 'void')) {
+      visits.splice(index, 1);
+    } else if (event.type === 'dispute-resolved' && event.outcome === 'correct') {
+      visits[index] = { ...visits[index], visit: event.visit };
+    }
+  });
+  return visits;
+}
+
+// A fresh match with the standing visits played again. Throws if one no longer applies
+function replay(match, events) {
+  const rebuilt = games.createMatch({ ...match.settings, mode: match.game }, match.players);
+  rebuilt.startedAt = match.startedAt;
+  standingVisits(events).forEach(({ playerIndex, visit, at }) => {
+    games.applyVisit(rebuilt, playerIndex, visit).timestamp = at;
+  });
+  return rebuilt;
+}
+
+// Append an event that changes which visits stand, then rebuild the game state from the log.
+// The log is only changed if the rebuild succeeds
+function appendAndRebuild(match, type, fields) {
+  const rebuilt = replay(match, [...match.events, { type, ...fields }]);
+  const event = append(match, type, fields);
+  Object.assign(match, rebuilt);
+  return event;
+}
+
+function lastStandingVisit(match) {
+  const visits = standingVisits(match.events);
+  return visits[visits.length - 1] || null;
+}
+
+function requireInProgress(match) {
+  if (match.status !== 'in_progress') {
+    throw new Error('Match is not in progress');
+  }
+}
+
+// Won, but the result can still be changed
+function isResultPending(match) {
+  return !!match.result && !match.result.final;
+}
+
+// Visits can be taken back or disputed until the result is final
+function requireOpen(match) {
+  if (match.status !== 'in_progress' && !isResultPending(match)) {
+    throw new Error('Match is not in progress');
+  }
+}
+
+function requireUnpaused(match) {
+  if (match.dispute) {
+    throw new Error('The match is paused while a visit is disputed');
+  }
+  if (match.pendingUndo) {
+    throw new Error('Waiting for the opponent to answer the undo request');
+  }
+}
+
+function finalize(match, closedBy) {
+  match.result.final = true;
+  return append(match, 'result-final', { winner: match.winner, playerId: match.players[match.winner].id, closedBy });
+}
+
+// A win opens the confirmation window; a rebuild that takes the winning visit away reopens the match
+function finishedEvents(match, events) {
+  if (match.status === 'finished' && !match.result) {
+    const event = append(match, 'match-finished', { winner: match.winner, playerId: match.players[match.winner].id });
+    const windowMs = match.confirmWindowMs || 0;
+    match.result = {
+      seq: event.seq,
+      closesAt: new Date(Date.parse(event.at) + windowMs).toISOString(),
+      confirmed: [false, false],
+      final: false
+    };
+    events.push(event);
+    if (windowMs === 0) events.push(finalize(match, 'window'));
+  } else if (match.status !== 'finished' && match.result) {
+    events.push(append(match, 'match-reopened', { resultSeq: match.result.seq }));
+    match.result = null;
+  }
+  return events;
+}
+
+function submitVisit(match, playerIndex, { clientId, visit }) {
+  requireInProgress(match);
+  requireUnpaused(match);
+  const result = games.applyVisit(match, playerIndex, visit || {});
+  const event = append(match, 'visit', { playerIndex, clientId, visit, result });
+  return finishedEvents(match, [event]);
+}
+
+// A player can take back their own last visit once the opponent agrees
+function requestUndo(match, playerIndex, { clientId }) {
+  requireOpen(match);
+  requireUnpaused(match);
+  const last = lastStandingVisit(match);
+  if (!last || last.playerIndex !== playerIndex) {
+    throw new Error('You can only undo your own last visit');
+  }
+
+  const event = append(match, 'undo-requested', { playerIndex, clientId, visitSeq: last.seq });
+  match.pendingUndo = { seq: event.seq, visitSeq: last.seq, requestedBy: playerIndex };
+  return [event];
+}
+
+function respondUndo(match, playerIndex, { clientId, accept }) {
+  requireOpen(match);
+  const pending = match.pendingUndo;
+  if (!pending) {
+    throw new Error('There is no undo request to answer');
+  }
+  if (pending.requestedBy === playerIndex) {
+    throw new Error('Your opponent has to answer your undo request');
+  }
+
+  const fields = { playerIndex, clientId, visitSeq: pending.visitSeq, requestSeq: pending.seq };
+  match.pendingUndo = null;
+  if (!accept) return [append(match, 'undo-rejected', fields)];
+  return finishedEvents(match, [appendAndRebuild(match, 'visit-undone', fields)]);
+}
+
+// Disputing the last visit pauses the match until both players vote for the same outcome or an
+// admin settles it
+function raiseDispute(match, playerIndex, { clientId, visitSeq, reason = null }) {
+  requireOpen(match);
+  if (match.dispute) {
+    throw new Error('A visit is already disputed');
+  }
+  if (match.pendingUndo) {
+    throw new Error('Answer the undo request first');
+  }
+
+  const last = lastStandingVisit(match);
+  if (!last || (visitSeq !== undefined && visitSeq !== last.seq)) {
+    throw new Error('Only the last visit can be disputed');
+  }
+
+  const event = append(match, 'dispute-raised', { playerIndex, clientId, visitSeq: last.seq, reason });
+  match.dispute = { seq: event.seq, visitSeq: last.seq, raisedBy: playerIndex, reason, votes: [null, null] };
+  return [event];
+}
+
+function resolveDispute(match, { outcome, visit = null }, fields) {
+  const { visitSeq, seq: disputeSeq } = match.dispute;
+  const resolution = { ...fields, visitSeq, disputeSeq, outcome, visit: outcome === 'correct' ? visit : null };
+
+  const event = outcome === 'stand'
+    ? append(match, 'dispute-resolved', resolution)
+    : appendAndRebuild(match, 'dispute-resolved', resolution);
+  match.dispute = null;
+  return finishedEvents(match, [event]);
+}
+
+function checkOutcome(match, { outcome, visit }) {
+  if (!DISPUTE_OUTCOMES.includes(outcome)) {
+    throw new Error(`outcome must be one of: ${DISPUTE_OUTCOMES.join(', ')}`);
+  }
+  if (outcome !== 'correct') return;
+  if (!visit) {
+    throw new Error('A correction needs the corrected visit');
+  }
+
+  // Throws if the corrected visit cannot be scored in place of the disputed one
+  replay(match, [...match.events, { type: 'dispute-resolved', visitSeq: match.dispute.visitSeq, outcome, visit }]);
+}
+
+function voteOnDispute(match, playerIndex, { clientId, outcome, visit = null }) {
+  if (!match.dispute) {
+    throw new Error('There is no dispute to resolve');
+  }
+  checkOutcome(match, { outcome, visit });
+
+  const vote = { outcome, visit: outcome === 'correct' ? visit : null };
+  const events = [append(match, 'dispute-vote', { playerIndex, clientId, ...vote })];
+  match.dispute.votes[playerIndex] = vote;
+
+  const [first, second] = match.dispute.votes;
+  if (first && second && JSON.stringify(first) === JSON.stringify(second)) {
+    events.push(...resolveDispute(match, vote, { resolvedBy: 'players' }));
+  }
+  return events;
+}
+
+function adminResolve(match, adminName, { outcome, visit = null }) {
+  if (!match.dispute) {
+    throw new Error('There is no dispute to resolve');
+  }
+  checkOutcome(match, { outcome, visit });
+  return resolveDispute(match, { outcome, visit }, { resolvedBy: adminName });
+}
+
+// Each player confirms the result; the second confirmation makes it final
+function confirmResult(match, playerIndex, { clientId }) {
+  if (!isResultPending(match)) {
+    throw new Error('There is no result to confirm');
+  }
+  requireUnpaused(match);
+  if (match.result.confirmed[playerIndex]) {
+    throw new Error('You have already confirmed the result');
+  }
+
+  match.result.confirmed[playerIndex] = true;
+  const events = [append(match, 'result-confirmed', { playerIndex, clientId, resultSeq: match.result.seq })];
+  if (match.result.confirmed.every(Boolean)) events.push(finalize(match, 'players'));
+  return events;
+}
+
+// Make the result final once its confirmation window has closed at `now`, unless a dispute or an
+// undo request is still open. `force` closes it early, e.g. when the room goes away. Returns the
+// events appended (none if the result stays open)
+function closeResult(match, { now = Date.now(), force = false } = {}) {
+  if (!isResultPending(match) || match.dispute || match.pendingUndo) return [];
+  if (!force && now < Date.parse(match.result.closesAt)) return [];
+  return [finalize(match, force ? 'room-closed' : 'window')];
+}
+
+const HANDLERS = {
+  'visit': submitVisit,
+  'undo-request': requestUndo,
+  'undo-response': respondUndo,
+  'dispute': raiseDispute,
+  'dispute-vote': voteOnDispute,
+  'confirm-result': confirmResult
+};
+
+// Apply a client's event to the match (mutated in place). `actor` is { playerIndex } for a player
+// or { admin } for an admin settling a dispute. Returns { events, duplicate } with the events it
+// appended; an event whose clientId was already applied (a retry) returns that original event
+function applyEvent(match, actor, event) {
+  if (event.version !== undefined && event.version !== PROTOCOL_VERSION) {
+    throw new Error(`Unsupported match protocol version ${event.version} (this server speaks ${PROTOCOL_VERSION})`);
+  }
+  ensureLog(match);
+
+  if (actor.admin) {
+    return { events: adminResolve(match, actor.admin, event), duplicate: false };
+  }
+
+  const handler = Object.prototype.hasOwnProperty.call(HANDLERS, event.type) ? HANDLERS[event.type] : null;
+  if (!handler) {
+    throw new Error(`Unknown match event type "${event.type}"`);
+  }
+
+  if (event.clientId) {
+    const original = match.events.find(entry => entry.clientId === event.clientId && entry.playerIndex === actor.playerIndex);
+    if (original) return { events: [original], duplicate: true };
+  }
+
+  return { events: handler(match, actor.playerIndex, event), duplicate: false };
+}
+
+// Events after `fromSeq`, for clients catching up after joining late or reconnecting
+function eventsSince(match, fromSeq = 0) {
+  return (match.events || []).filter(event => event.seq > fromSeq);
+}
+
+function serializeMatch(match) {
+  return {
+    ...games.serializeMatch(match),
+    protocolVersion: PROTOCOL_VERSION,
+    seq: match.seq || 0,
+    paused: !!match.dispute,
+    pendingUndo: match.pendingUndo || null,
+    dispute: match.dispute || null,
+    result: match.result || null
+  };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  DISPUTE_OUTCOMES,
+  startMatch,
+  applyEvent,
+  closeResult,
+  isResultPending,
+  eventsSince,
+  serializeMatch
+};
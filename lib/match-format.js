@@ -0,0 +1,167 @@
+// Match structure shared by every game mode: two players, legs grouped into sets, alternating
+// throw order and dart parsing. Each mode keeps its own per-leg state and scoring rules
+
+const FORMAT_DEFAULTS = {
+  legsToWin: 3,
+  setsToWin: 1
+};
+
+// Settings schema properties common to every mode (see lib/schemas.js)
+const FORMAT_SCHEMA = {
+  legsToWin: { type: 'integer', min: 1, max: 21 },
+  setsToWin: { type: 'integer', min: 1, max: 13 }
+};
+
+function normalizeFormat(settings = {}) {
+  return {
+    legsToWin: parseInt(settings.legsToWin, 10) || FORMAT_DEFAULTS.legsToWin,
+    setsToWin: parseInt(settings.setsToWin, 10) || FORMAT_DEFAULTS.setsToWin
+  };
+}
+
+function parseDart(dart) {
+  const segment = Number(dart && dart.segment);
+  const multiplier = Number(dart && dart.multiplier !== undefined ? dart.multiplier : 1);
+
+  const validSegment = Number.isInteger(segment) && ((segment >= 0 && segment <= 20) || segment === 25);
+  const validMultiplier = [1, 2, 3].includes(multiplier) && !(segment === 25 && multiplier === 3);
+
+  if (!validSegment || !validMultiplier) {
+    throw new Error(`Invalid dart: ${JSON.stringify(dart)}`);
+  }
+
+  return {
+    segment,
+    multiplier: segment === 0 ? 1 : multiplier,
+    score: segment * (segment === 0 ? 1 : multiplier)
+  };
+}
+
+function parseDarts(darts) {
+  if (!Array.isArray(darts) || darts.length === 0 || darts.length > 3) {
+    throw new Error('A visit must contain between one and three darts');
+  }
+  return darts.map(parseDart);
+}
+
+// The state every mode starts from; the mode adds its own leg state on top
+function createMatchState(game, name, settings, players) {
+  if (!Array.isArray(players) || players.length !== 2) {
+    throw new Error(`A ${name} match needs exactly two players`);
+  }
+
+  return {
+    game,
+    settings,
+    players: players.map(player => ({ ...player })),
+    status: 'in_progress',
+    currentSet: 1,
+    currentLeg: 1,
+    legsPlayed: 0,
+    legStarter: 0,
+    currentPlayer: 0,
+    legs: [0, 0],
+    sets: [0, 0],
+    visits: [],
+    legWinners: [],
+    winner: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null
+  };
+}
+
+function checkTurn(match, playerIndex) {
+  if (match.status !== 'in_progress') {
+    throw new Error('Match is not in progress');
+  }
+  if (playerIndex !== match.currentPlayer) {
+    throw new Error('It is not your turn');
+  }
+}
+
+function visitBase(match, playerIndex) {
+  return {
+    set: match.currentSet,
+    leg: match.currentLeg,
+    playerIndex,
+    playerId: match.players[playerIndex].id
+  };
+}
+
+// Records the leg and moves on to the next leg or set. Returns true when that won the match;
+// otherwise the mode resets its leg state for the next leg
+function completeLeg(match, winnerIndex) {
+  const { legsToWin, setsToWin } = match.settings;
+
+  match.legWinners.push({ set: match.currentSet, leg: match.currentLeg, playerIndex: winnerIndex });
+  match.legs[winnerIndex] += 1;
+  match.legsPlayed += 1;
+
+  if (match.legs[winnerIndex] >= legsToWin) {
+    match.sets[winnerIndex] += 1;
+
+    if (match.sets[winnerIndex] >= setsToWin) {
+      match.status = 'finished';
+      match.winner = winnerIndex;
+      match.finishedAt = new Date().toISOString();
+      return true;
+    }
+
+    match.currentSet += 1;
+    match.currentLeg = 1;
+    match.legs = [0, 0];
+  } else {
+    match.currentLeg += 1;
+  }
+
+  // Throw order alternates every leg across the whole match
+  match.legStarter = match.legsPlayed % 2;
+  match.currentPlayer = match.legStarter;
+  return false;
+}
+
+// The serialized fields every mode shares; `playerFields(index)` adds the mode's per-player state
+function serializeFormat(match, playerFields) {
+  const currentLegVisits = match.visits.filter(v => v.set === match.currentSet && v.leg === match.currentLeg);
+
+  return {
+    game: match.game,
+    settings: match.settings,
+    players: match.players.map((player, index) => ({
+      ...player,
+      ...playerFields(index),
+      legs: match.legs[index],
+      sets: match.sets[index]
+    })),
+    status: match.status,
+    currentSet: match.currentSet,
+    currentLeg: match.currentLeg,
+    currentPlayer: match.currentPlayer,
+    legStarter: match.legStarter,
+    currentLegVisits,
+    lastVisit: match.visits[match.visits.length - 1] || null,
+    winner: match.winner,
+    startedAt: match.startedAt,
+    finishedAt: match.finishedAt
+  };
+}
+
+function describeFormat({ legsToWin, setsToWin }) {
+  const legs = legsToWin * 2 - 1;
+  const sets = setsToWin > 1 ? `, first to ${setsToWin} sets` : '';
+  return `best of ${legs} leg${legs === 1 ? '' : 's'}${sets}`;
+}
+
+module.exports = {
+  FORMAT_DEFAULTS,
+  FORMAT_SCHEMA,
+  normalizeFormat,
+  parseDart,
+  parseDarts,
+  createMatchState,
+  checkTurn,
+  visitBase,
+  completeLeg,
+  serializeFormat,
+  describeFormat
+};
@@ -0,0 +1,183 @@
+const { logger } = require('./logger');
+const games = require('./games');
+
+// Matchmaking queue - pairs players wanting the same format, widening the skill window over time
+
+const DEFAULT_OPTIONS = {
+  baseWindow: 100,          // rating points accepted immediately
+  widenPerSecond: 5,        // extra rating points per second waited
+  maxWindow: 600,
+  maxWaitMs: 5 * 60 * 1000, // tickets older than this time out
+  tickMs: 2000
+};
+
+// Queues are keyed by the settings that make two games interchangeable, game mode included
+function formatKey(gameSettings) {
+  return games.formatKey(games.normalizeSettings(gameSettings));
+}
+
+function formatLabel(gameSettings) {
+  return games.describe(games.normalizeSettings(gameSettings));
+}
+
+function createMatchmaker({ onMatch, onTimeout, onStatus, ...options } = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const queues = new Map(); // formatKey -> [ticket]
+  const tickets = new Map(); // playerId -> ticket
+  let timer = null;
+
+  function windowFor(ticket, now) {
+    const waitedSeconds = (now - ticket.enqueuedAt) / 1000;
+    return Math.min(config.baseWindow + waitedSeconds * config.widenPerSecond, config.maxWindow);
+  }
+
+  function removeTicket(ticket) {
+    tickets.delete(ticket.player.id);
+    const queue = queues.get(ticket.key);
+    if (!queue) return;
+
+    const index = queue.indexOf(ticket);
+    if (index !== -1) queue.splice(index, 1);
+    if (queue.length === 0) queues.delete(ticket.key);
+  }
+
+  function status(playerId, now = Date.now()) {
+    const ticket = tickets.get(playerId);
+    if (!ticket) return { queued: false };
+
+    return {
+      queued: true,
+      format: ticket.key,
+      label: formatLabel(ticket.settings),
+      position: queues.get(ticket.key).indexOf(ticket) + 1,
+      queueSize: queues.get(ticket.key).length,
+      waitingMs: now - ticket.enqueuedAt,
+      ratingWindow: Math.round(windowFor(ticket, now))
+    };
+  }
+
+  function enqueue(player, { gameSettings, rating = 1500, socketId = null } = {}) {
+    cancel(player.id);
+
+    // Handicaps are agreed between two players, not handed out to strangers
+    const settings = games.normalizeSettings(gameSettings);
+    delete settings.startingScores;
+    const ticket = {
+      player,
+      socketId,
+      rating,
+      settings,
+      key: formatKey(settings),
+      enqueuedAt: Date.now()
+    };
+
+    if (!queues.has(ticket.key)) queues.set(ticket.key, []);
+    queues.get(ticket.key).push(ticket);
+    tickets.set(player.id, ticket);
+
+    return status(player.id);
+  }
+
+  // With a socketId, only cancel if the ticket was queued from that socket
+  function cancel(playerId, socketId = null) {
+    const ticket = tickets.get(playerId);
+    if (!ticket || (socketId && ticket.socketId !== socketId)) return false;
+
+    removeTicket(ticket);
+    return true;
+  }
+
+  // Pair the longest-waiting players first, each with the closest rating both windows accept
+  function tick(now = Date.now()) {
+    const pairs = [];
+    const expired = [];
+
+    for (const queue of queues.values()) {
+      const waiting = [...queue].sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+      const paired = new Set();
+
+      for (const ticket of waiting) {
+        if (paired.has(ticket)) continue;
+
+        if (now - ticket.enqueuedAt > config.maxWaitMs) {
+          expired.push(ticket);
+          paired.add(ticket);
+          continue;
+        }
+
+        let best = null;
+        for (const candidate of waiting) {
+          if (candidate === ticket || paired.has(candidate)) continue;
+          if (now - candidate.enqueuedAt > config.maxWaitMs) continue;
+
+          const gap = Math.abs(ticket.rating - candidate.rating);
+          const allowed = Math.min(windowFor(ticket, now), windowFor(candidate, now));
+          if (gap <= allowed && (!best || gap < Math.abs(ticket.rating - best.rating))) {
+            best = candidate;
+          }
+        }
+
+        if (best) {
+          paired.add(ticket);
+          paired.add(best);
+          pairs.push([ticket, best]);
+        }
+      }
+    }
+
+    pairs.forEach(([a, b]) => {
+      removeTicket(a);
+      removeTicket(b);
+    });
+    expired.forEach(removeTicket);
+
+    pairs.forEach(([a, b]) => {
+      Promise.resolve(onMatch && onMatch(a, b)).catch(error => {
+        logger.error('Matchmaking pairing failed', { err: error });
+      });
+    });
+    expired.forEach(ticket => onTimeout && onTimeout(ticket));
+
+    if (onStatus) {
+      tickets.forEach(ticket => onStatus(ticket, status(ticket.player.id, now)));
+    }
+
+    return { pairs, expired };
+  }
+
+  function depth(now = Date.now()) {
+    return Array.from(queues.entries()).map(([key, queue]) => ({
+      format: key,
+      label: formatLabel(queue[0].settings),
+      gameSettings: queue[0].settings,
+      players: queue.length,
+      longestWaitMs: Math.max(...queue.map(ticket => now - ticket.enqueuedAt))
+    }));
+  }
+
+  return {
+    enqueue,
+    cancel,
+    status,
+    tick,
+    depth,
+
+    start() {
+      if (!timer) {
+        timer = setInterval(() => tick(), config.tickMs);
+        timer.unref();
+      }
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  formatKey,
+  formatLabel,
+  createMatchmaker
+};
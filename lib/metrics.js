@@ -0,0 +1,163 @@
+// Prometheus metrics in the text exposition format, without a client library. Metrics live in a
+// registry; `registry` below is the process-wide one that /metrics serves
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+}
+
+function formatLabels(labelNames, values, extra = {}) {
+  const pairs = labelNames.map((name, index) => [name, values[index]]).filter(([, value]) => value !== '');
+  Object.entries(extra).forEach(pair => pairs.push(pair));
+  return pairs.length ? `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+function createRegistry() {
+  const metrics = new Map(); // name -> metric
+
+  function register(metric) {
+    if (metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  // Counters and gauges: one value per label combination
+  function valueMetric(type, { name, help, labelNames = [], collect = null }) {
+    const values = new Map(); // labelKey -> number
+
+    function add(labels, amount) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    }
+
+    return register({
+      name,
+      type,
+
+      inc(labels = {}, amount = 1) {
+        add(labels, amount);
+      },
+
+      dec(labels = {}, amount = 1) {
+        add(labels, -amount);
+      },
+
+      set(labels = {}, value = 0) {
+        values.set(labelKey(labelNames, labels), value);
+      },
+
+      async render() {
+        if (collect) await collect(this);
+
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+        values.forEach((value, key) => {
+          lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+        });
+        return lines.join('\n');
+      }
+    });
+  }
+
+  return {
+    // `collect(metric)` runs before every scrape, for gauges read from elsewhere
+    counter: options => valueMetric('counter', options),
+    gauge: options => valueMetric('gauge', options),
+
+    histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+      const series = new Map(); // labelKey -> { counts, sum, count }
+
+      function observe(labels = {}, value) {
+        const key = labelKey(labelNames, labels);
+        if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+
+        const entry = series.get(key);
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      }
+
+      return register({
+        name,
+        type: 'histogram',
+        observe,
+
+        // Returns end(moreLabels) which observes the elapsed seconds
+        startTimer(labels = {}) {
+          const start = process.hrtime.bigint();
+          return (moreLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            observe({ ...labels, ...moreLabels }, seconds);
+            return seconds;
+          };
+        },
+
+        async render() {
+          const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+          series.forEach((entry, key) => {
+            const values = JSON.parse(key);
+            buckets.forEach((bound, index) => {
+              lines.push(`${name}_bucket${formatLabels(labelNames, values, { le: bound })} ${entry.counts[index]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels(labelNames, values, { le: '+Inf' })} ${entry.count}`);
+            lines.push(`${name}_sum${formatLabels(labelNames, values)} ${entry.sum}`);
+            lines.push(`${name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+          });
+          return lines.join('\n');
+        }
+      });
+    },
+
+    get(name) {
+      return metrics.get(name);
+    },
+
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+
+    async render() {
+      const sections = await Promise.all(Array.from(metrics.values()).map(metric => metric.render()));
+      return `${sections.join('\n\n')}\n`;
+    }
+  };
+}
+
+const registry = createRegistry();
+
+// Calls to Supabase and Xirsys: latency and failures per service and operation
+const externalDuration = registry.histogram({
+  name: 'ddl_external_call_duration_seconds',
+  help: 'Latency of calls to external services',
+  labelNames: ['service', 'operation']
+});
+const externalErrors = registry.counter({
+  name: 'ddl_external_call_errors_total',
+  help: 'Failed calls to external services',
+  labelNames: ['service', 'operation']
+});
+
+async function timeExternal(service, operation, fn) {
+  const end = externalDuration.startTimer({ service, operation });
+  try {
+    return await fn();
+  } catch (error) {
+    externalErrors.inc({ service, operation });
+    throw error;
+  } finally {
+    end();
+  }
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createRegistry,
+  registry,
+  timeExternal
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+
+// Bans (of a player, an IP address or both) and the audit log of admin actions
+
+function createModerationService({ supabase = null, cacheMs = 15 * 1000 } = {}) {
+  const bans = createCollection('moderation_bans', { supabase });
+  const audit = createCollection('moderation_audit', { supabase });
+
+  // Bans are checked on every request, so the active ones are cached briefly. With several
+  // instances, a ban made on another instance applies here within cacheMs
+  let cached = null; // { bans, loadedAt }
+
+  function isActive(ban, now = Date.now()) {
+    return ban.active && (!ban.expires || new Date(ban.expires).getTime() > now);
+  }
+
+  async function activeBans() {
+    const now = Date.now();
+    if (!cached || now - cached.loadedAt > cacheMs) {
+      cached = { bans: await bans.list({ where: { active: true } }), loadedAt: now };
+    }
+    return cached.bans.filter(ban => isActive(ban, now));
+  }
+
+  return {
+    async ban({ playerId = null, ip = null, durationMinutes = null, reason = null }, admin) {
+      if (!playerId && !ip) {
+        return { error: 'A ban needs a playerId or an ip', statusCode: 400 };
+      }
+
+      const now = Date.now();
+      const ban = await bans.insert({
+        id: crypto.randomUUID(),
+        player_id: playerId,
+        ip,
+        reason,
+        active: true,
+        created: new Date(now).toISOString(),
+        expires: durationMinutes ? new Date(now + durationMinutes * 60 * 1000).toISOString() : null,
+        created_by: admin.id,
+        revoked: null,
+        revoked_by: null
+      });
+      cached = null;
+      return { ban };
+    },
+
+    async unban(banId, admin) {
+      const ban = await bans.update(banId, {
+        active: false,
+        revoked: new Date().toISOString(),
+        revoked_by: admin.id
+      }, { where: { active: true } });
+      if (!ban) return { error: 'Ban not found', statusCode: 404 };
+
+      cached = null;
+      return { ban };
+    },
+
+    // Most recent first; expired and revoked bans only with `all`
+    async listBans({ all = false } = {}) {
+      const list = await bans.list({ orderBy: 'created', ascending: false });
+      return all ? list : list.filter(ban => isActive(ban));
+    },
+
+    // The active ban covering this player or address, or null
+    async findBan({ playerId = null, ip = null }) {
+      const active = await activeBans();
+      return active.find(ban => (playerId && ban.player_id === playerId) || (ip && ban.ip === ip)) || null;
+    },
+
+    async record(action, admin, { target = null, details = null } = {}) {
+      return audit.insert({
+        id: crypto.randomUUID(),
+        action,
+        admin_id: admin.id,
+        admin_username: admin.username,
+        target,
+        details,
+        created: new Date().toISOString()
+      });
+    },
+
+    // Most recent first
+    async auditLog({ limit = 100 } = {}) {
+      return audit.list({ orderBy: 'created', ascending: false, limit });
+    }
+  };
+}
+
+module.exports = { createModerationService };
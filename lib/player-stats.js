@@ -0,0 +1,98 @@
+const x01 = require('./x01');
+
+// Aggregate player statistics computed from recorded match throw logs
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+function average(points, darts) {
+  return darts > 0 ? round(points / darts * 3) : 0;
+}
+
+function emptyStats() {
+  return {
+    matchesPlayed: 0,
+    matchesWon: 0,
+    legsPlayed: 0,
+    legsWon: 0,
+    dartsThrown: 0,
+    pointsScored: 0,
+    threeDartAverage: 0,
+    firstNineAverage: 0,
+    checkoutOpportunities: 0,
+    checkouts: 0,
+    checkoutPercentage: 0,
+    highestCheckout: 0,
+    tonPlus: 0,      // 100-139
+    ton40Plus: 0,    // 140-179
+    oneEighties: 0
+  };
+}
+
+// A checkout opportunity is a visit started on a score that can be finished this visit. Every
+// mode counts towards matches and legs; the scoring figures come from X01 matches only
+function computeStats(matches, playerId) {
+  const stats = emptyStats();
+  let firstNinePoints = 0;
+  let firstNineDarts = 0;
+
+  matches.forEach(match => {
+    const playerIndex = match.players.findIndex(p => p.id === playerId);
+    if (playerIndex === -1) return;
+
+    stats.matchesPlayed += 1;
+    if (match.winner_id === playerId) stats.matchesWon += 1;
+
+    const legWinners = match.leg_winners || [];
+    stats.legsPlayed += legWinners.length;
+    stats.legsWon += legWinners.filter(leg => leg.playerIndex === playerIndex).length;
+
+    if (match.game && match.game !== 'x01') return;
+
+    const doubleOut = match.settings ? match.settings.doubleOut !== false : true;
+    const visitsInLeg = new Map(); // "set:leg" -> visits thrown by this player so far
+
+    (match.visits || []).forEach(visit => {
+      if (visit.playerIndex !== playerIndex) return;
+
+      const legKey = `${visit.set}:${visit.leg}`;
+      const legVisit = (visitsInLeg.get(legKey) || 0) + 1;
+      visitsInLeg.set(legKey, legVisit);
+
+      const darts = visit.dartsUsed || 3;
+      stats.dartsThrown += darts;
+      stats.pointsScored += visit.score;
+
+      if (legVisit <= 3) {
+        firstNinePoints += visit.score;
+        firstNineDarts += darts;
+      }
+
+      if (visit.score === 180) stats.oneEighties += 1;
+      else if (visit.score >= 140) stats.ton40Plus += 1;
+      else if (visit.score >= 100) stats.tonPlus += 1;
+
+      if (x01.isCheckoutable(visit.remainingBefore, doubleOut)) {
+        stats.checkoutOpportunities += 1;
+      }
+      if (visit.checkout) {
+        stats.checkouts += 1;
+        stats.highestCheckout = Math.max(stats.highestCheckout, visit.remainingBefore);
+      }
+    });
+  });
+
+  stats.threeDartAverage = average(stats.pointsScored, stats.dartsThrown);
+  stats.firstNineAverage = average(firstNinePoints, firstNineDarts);
+  stats.checkoutPercentage = stats.checkoutOpportunities > 0
+    ? round(stats.checkouts / stats.checkoutOpportunities * 100, 1)
+    : 0;
+
+  return stats;
+}
+
+module.exports = {
+  computeStats
+};
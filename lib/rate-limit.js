@@ -0,0 +1,46 @@
+// Token buckets keyed by client (IP address, socket id, ...). Each key starts with `burst`
+// tokens and regains `perMinute` tokens a minute up to `burst`; a request spends one token
+
+function createRateLimiter({ burst, perMinute, now = Date.now }) {
+  const buckets = new Map(); // key -> { tokens, updated }
+  const refillPerMs = perMinute / 60000;
+  let lastPrune = now();
+
+  function refill(bucket, time) {
+    bucket.tokens = Math.min(burst, bucket.tokens + (time - bucket.updated) * refillPerMs);
+    bucket.updated = time;
+  }
+
+  // Full buckets carry no state worth keeping
+  function prune(time) {
+    buckets.forEach((bucket, key) => {
+      refill(bucket, time);
+      if (bucket.tokens >= burst) buckets.delete(key);
+    });
+    lastPrune = time;
+  }
+
+  return {
+    // { allowed, retryAfterMs } - retryAfterMs is how long until the next token when refused
+    take(key, cost = 1) {
+      const time = now();
+      if (time - lastPrune > 60 * 1000) prune(time);
+
+      const bucket = buckets.get(key) || { tokens: burst, updated: time };
+      refill(bucket, time);
+      buckets.set(key, bucket);
+
+      if (bucket.tokens >= cost) {
+        bucket.tokens -= cost;
+        return { allowed: true, retryAfterMs: 0 };
+      }
+      return { allowed: false, retryAfterMs: Math.ceil((cost - bucket.tokens) / refillPerMs) };
+    },
+
+    reset(key) {
+      buckets.delete(key);
+    }
+  };
+}
+
+module.exports = { createRateLimiter };
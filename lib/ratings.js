@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+
+// Glicko-2 ratings fed by completed ranked matches
+
+const SCALE = 173.7178;
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const TAU = 0.5; // how much volatility may change per update
+const CONVERGENCE = 0.000001;
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+function expected(mu, muOpponent, phiOpponent) {
+  return 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+}
+
+// Rating deviation grows while a player is inactive, one step per elapsed rating period
+function inflateDeviation(rating, now, periodMs) {
+  const last = rating.last_played ? new Date(rating.last_played).getTime() : now;
+  const periods = Math.max(0, Math.floor((now - last) / periodMs));
+  const phi = rating.rd / SCALE;
+  const inflated = Math.sqrt(phi * phi + periods * rating.volatility * rating.volatility) * SCALE;
+  return Math.min(inflated, DEFAULT_RD);
+}
+
+function newVolatility(phi, sigma, v, delta) {
+  const a = Math.log(sigma * sigma);
+  const f = x => {
+    const ex = Math.exp(x);
+    const denominator = 2 * Math.pow(phi * phi + v + ex, 2);
+    return ex * (delta * delta - phi * phi - v - ex) / denominator - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+// One Glicko-2 update: `results` is [{ rating, rd, score }] with score 1 / 0.5 / 0
+function glicko2(player, results) {
+  const mu = (player.rating - DEFAULT_RATING) / SCALE;
+  const phi = player.rd / SCALE;
+
+  if (results.length === 0) return { ...player };
+
+  let vInverse = 0;
+  let improvement = 0;
+  results.forEach(result => {
+    const muJ = (result.rating - DEFAULT_RATING) / SCALE;
+    const phiJ = result.rd / SCALE;
+    const E = expected(mu, muJ, phiJ);
+    vInverse += g(phiJ) * g(phiJ) * E * (1 - E);
+    improvement += g(phiJ) * (result.score - E);
+  });
+
+  const v = 1 / vInverse;
+  const delta = v * improvement;
+  const sigma = newVolatility(phi, player.volatility, v, delta);
+  const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+  const phiNew = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const muNew = mu + phiNew * phiNew * improvement;
+
+  return {
+    rating: muNew * SCALE + DEFAULT_RATING,
+    rd: phiNew * SCALE,
+    volatility: sigma
+  };
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function createRatingService({ supabase = null, periodDays = 7 } = {}) {
+  const ratings = createCollection('ratings', { supabase, key: 'player_id' });
+  const history = createCollection('rating_history', { supabase });
+  const periodMs = periodDays * 24 * 60 * 60 * 1000;
+
+  function defaults(playerId, username = null) {
+    return {
+      player_id: playerId,
+      username,
+      rating: DEFAULT_RATING,
+      rd: DEFAULT_RD,
+      volatility: DEFAULT_VOLATILITY,
+      games: 0,
+      wins: 0,
+      last_played: null
+    };
+  }
+
+  // Stored rating with the deviation inflated for time since the last game
+  async function current(playerId, now = Date.now()) {
+    const stored = await ratings.get(playerId);
+    if (!stored) return defaults(playerId);
+    return { ...stored, rd: inflateDeviation(stored, now, periodMs) };
+  }
+
+  function present(rating) {
+    return {
+      playerId: rating.player_id,
+      username: rating.username,
+      rating: round(rating.rating),
+      rd: round(rating.rd),
+      volatility: rating.volatility,
+      games: rating.games,
+      wins: rating.wins,
+      lastPlayed: rating.last_played
+    };
+  }
+
+  return {
+    async get(playerId) {
+      return present(await current(playerId));
+    },
+
+    async getMany(playerIds) {
+      const unique = [...new Set(playerIds.filter(Boolean))];
+      const entries = await Promise.all(unique.map(async id => [id, present(await current(id))]));
+      return new Map(entries);
+    },
+
+    // Both players are updated from their pre-match ratings
+    async recordMatch({ matchId, winner, loser }) {
+      const now = Date.now();
+      const before = {
+        [winner.id]: await current(winner.id, now),
+        [loser.id]: await current(loser.id, now)
+      };
+
+      const updates = [[winner, loser, 1], [loser, winner, 0]].map(([player, opponent, score]) => {
+        const mine = before[player.id];
+        const theirs = before[opponent.id];
+        return {
+          player,
+          opponent,
+          score,
+          before: mine,
+          after: glicko2(mine, [{ rating: theirs.rating, rd: theirs.rd, score }])
+        };
+      });
+
+      const played = new Date(now).toISOString();
+      for (const update of updates) {
+        const record = {
+          ...update.before,
+          ...update.after,
+          username: update.player.username,
+          games: update.before.games + 1,
+          wins: update.before.wins + update.score,
+          last_played: played
+        };
+
+        const existing = await ratings.get(update.player.id);
+        if (existing) {
+          await ratings.update(update.player.id, record);
+        } else {
+          await ratings.insert(record);
+        }
+
+        await history.insert({
+          id: crypto.randomUUID(),
+          player_id: update.player.id,
+          opponent_id: update.opponent.id,
+          match_id: matchId,
+          result: update.score === 1 ? 'win' : 'loss',
+          rating_before: round(update.before.rating),
+          rating_after: round(update.after.rating),
+          rd_before: round(update.before.rd),
+          rd_after: round(update.after.rd),
+          created: played
+        });
+      }
+
+      return updates.map(update => ({
+        playerId: update.player.id,
+        before: round(update.before.rating),
+        after: round(update.after.rating),
+        change: round(update.after.rating - update.before.rating)
+      }));
+    },
+
+    async history(playerId, { limit = 50 } = {}) {
+      return history.list({ where: { player_id: playerId }, orderBy: 'created', ascending: false, limit });
+    },
+
+    async leaderboard({ limit = 50, minGames = 1 } = {}) {
+      const now = Date.now();
+      const all = await ratings.list({ orderBy: 'rating', ascending: false });
+      return all
+        .filter(rating => rating.games >= minGames)
+        .slice(0, limit)
+        .map((rating, index) => ({
+          position: index + 1,
+          ...present({ ...rating, rd: inflateDeviation(rating, now, periodMs) })
+        }));
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_RD,
+  glicko2,
+  inflateDeviation,
+  createRatingService
+};
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+
+// Scheduled matches: two players and a kick-off time. The room opens `openWindowMs` before
+// kick-off, both players are reminded at each of `reminderMinutes` before it, and a player who
+// has not turned up `noShowGraceMs` after kick-off forfeits to the one who did.
+//
+// Status: scheduled -> open (room created) -> in_progress -> completed, or forfeited / void
+// (nobody turned up) / cancelled
+
+const STATUSES = ['scheduled', 'open', 'in_progress', 'completed', 'forfeited', 'void', 'cancelled'];
+
+// Statuses a scheduled match can still be cancelled from
+const CANCELLABLE = ['scheduled', 'open'];
+
+// Whether a player of the match has yet to check in. Only then can it be settled as a no-show
+function awaitingPlayers(entry) {
+  return entry.player_ids.some(playerId => !entry.checked_in.includes(playerId));
+}
+
+function createScheduleService({
+  supabase = null,
+  openWindowMs = 15 * 60 * 1000,
+  reminderMinutes = [1440, 60, 15],
+  noShowGraceMs = 10 * 60 * 1000
+} = {}) {
+  const scheduled = createCollection('scheduled_matches', { supabase });
+
+  function startTime(entry) {
+    return new Date(entry.start_at).getTime();
+  }
+
+  async function findByRoom(roomCode) {
+    if (!roomCode) return null;
+    const [entry] = await scheduled.list({ where: { room_code: roomCode }, limit: 1 });
+    return entry || null;
+  }
+
+  return {
+    async create({ players, startAt, gameSettings = null, fixtureId = null }, creator, now = Date.now()) {
+      const start = new Date(startAt).getTime();
+      if (!Number.isFinite(start)) {
+        return { error: 'startAt must be a date and time', statusCode: 400 };
+      }
+      if (start <= now) {
+        return { error: 'startAt must be in the future', statusCode: 400 };
+      }
+      if (players.length !== 2 || players[0].id === players[1].id) {
+        return { error: 'A scheduled match needs two different players', statusCode: 400 };
+      }
+
+      const scheduledMatch = await scheduled.insert({
+        id: crypto.randomUUID(),
+        players,
+        player_ids: players.map(player => player.id),
+        start_at: new Date(start).toISOString(),
+        game_settings: gameSettings,
+        fixture_id: fixtureId,
+        status: 'scheduled',
+        room_code: null,
+        reminders_sent: [],
+        checked_in: [],
+        winner_id: null,
+        created_by: creator.id,
+        created: new Date(now).toISOString()
+      });
+      return { scheduledMatch };
+    },
+
+    async get(id) {
+      return scheduled.get(id);
+    },
+
+    findByRoom,
+
+    // Soonest first. `playerId` limits it to that player's matches, `statuses` to those statuses
+    async list({ playerId = null, statuses = null } = {}) {
+      const list = await scheduled.list({
+        ...(playerId && { contains: { player_ids: playerId } }),
+        orderBy: 'start_at'
+      });
+      return statuses ? list.filter(entry => statuses.includes(entry.status)) : list;
+    },
+
+    // The creator, either player or an admin can cancel until the match has started
+    async cancel(id, player, { admin = false } = {}) {
+      const entry = await scheduled.get(id);
+      if (!entry) return { error: 'Scheduled match not found', statusCode: 404 };
+      if (!admin && entry.created_by !== player.id && !entry.player_ids.includes(player.id)) {
+        return { error: 'Only its players can cancel a scheduled match', statusCode: 403 };
+      }
+      if (!CANCELLABLE.includes(entry.status)) {
+        return { error: `A match that is ${entry.status.replace('_', ' ')} cannot be cancelled`, statusCode: 409 };
+      }
+
+      const updated = await scheduled.update(id, { status: 'cancelled' }, { where: { status: entry.status } });
+      if (!updated) return { error: 'The scheduled match changed, please try again', statusCode: 409 };
+      return { scheduledMatch: updated };
+    },
+
+    // What is due at `now`: rooms to open, reminders to send ({ scheduledMatch, minutes, covers }) and
+    // open matches past their no-show deadline with a player still missing
+    async due(now = Date.now()) {
+      const pending = (await scheduled.list({ orderBy: 'start_at' }))
+        .filter(entry => entry.status === 'scheduled' || entry.status === 'open');
+
+      const toOpen = [];
+      const reminders = [];
+      const noShows = [];
+
+      pending.forEach(entry => {
+        const start = startTime(entry);
+
+        if (entry.status === 'scheduled' && now >= start - openWindowMs) toOpen.push(entry);
+        if (entry.status === 'open' && awaitingPlayers(entry) && now >= start + noShowGraceMs) noShows.push(entry);
+
+        // Only the closest reminder is sent when several came due at once (e.g. after downtime)
+        const dueMinutes = reminderMinutes
+          .filter(minutes => !entry.reminders_sent.includes(minutes) && now >= start - minutes * 60 * 1000 && now < start);
+        if (dueMinutes.length > 0) {
+          reminders.push({ scheduledMatch: entry, minutes: Math.min(...dueMinutes), covers: dueMinutes });
+        }
+      });
+
+      return { toOpen, reminders, noShows };
+    },
+
+    async markReminded(id, minutes) {
+      const entry = await scheduled.get(id);
+      if (!entry) return null;
+      return scheduled.update(id, { reminders_sent: Array.from(new Set([...entry.reminders_sent, ...minutes])) });
+    },
+
+    // Null if another instance opened it first
+    async markOpened(id, roomCode) {
+      return scheduled.update(id, { status: 'open', room_code: roomCode }, { where: { status: 'scheduled' } });
+    },
+
+    // A player of an open scheduled match joined its room
+    async checkIn(roomCode, playerId) {
+      const entry = await findByRoom(roomCode);
+      if (!entry || entry.status !== 'open' || !entry.player_ids.includes(playerId) || entry.checked_in.includes(playerId)) {
+        return entry;
+      }
+      return scheduled.update(entry.id, { checked_in: [...entry.checked_in, playerId] });
+    },
+
+    async markStarted(roomCode) {
+      const entry = await findByRoom(roomCode);
+      if (!entry || entry.status !== 'open') return entry;
+      return scheduled.update(entry.id, { status: 'in_progress' }, { where: { status: 'open' } });
+    },
+
+    async markCompleted(roomCode, { winnerId, matchId = null }) {
+      const entry = await findByRoom(roomCode);
+      if (!entry || ['completed', 'forfeited', 'void', 'cancelled'].includes(entry.status)) return entry;
+      return scheduled.update(entry.id, { status: 'completed', winner_id: winnerId, match_id: matchId });
+    },
+
+    // Settle an open match nobody started: a forfeit win when exactly one player checked in,
+    // otherwise void. Null if it was started or settled in the meantime, or both players are there
+    async settleNoShow(id) {
+      const entry = await scheduled.get(id);
+      if (!entry || entry.status !== 'open' || !awaitingPlayers(entry)) return null;
+
+      const present = entry.player_ids.filter(playerId => entry.checked_in.includes(playerId));
+      const changes = present.length === 1
+        ? { status: 'forfeited', winner_id: present[0] }
+        : { status: 'void', winner_id: null };
+      return scheduled.update(id, { ...changes, settled: new Date().toISOString() }, { where: { status: 'open' } });
+    },
+
+    // Void an open match both players turned up for but left without starting. Null if it was
+    // started or settled in the meantime
+    async abandon(id) {
+      return scheduled.update(id, { status: 'void', winner_id: null, settled: new Date().toISOString() }, { where: { status: 'open' } });
+    }
+  };
+}
+
+module.exports = {
+  STATUSES,
+  awaitingPlayers,
+  createScheduleService
+};
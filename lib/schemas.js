@@ -0,0 +1,221 @@
+const { FORMATS: TOURNAMENT_FORMATS } = require('./tournaments');
+const { EMOTES } = require('./chat');
+const { DEFAULT_MODE, GAME_MODES } = require('./games');
+const { FORMAT_SCHEMA } = require('./match-format');
+const { DISPUTE_OUTCOMES } = require('./match-events');
+const { EVENTS: WEBHOOK_EVENTS, FORMATS: WEBHOOK_FORMATS } = require('./webhooks');
+
+// Request body and socket payload schemas (see lib/validation.js for the format)
+
+const ROOM_STATUSES = ['waiting', 'active', 'in_progress', 'finished', 'ended'];
+
+const id = { type: 'string', minLength: 1, maxLength: 64 };
+const roomCode = { type: 'string', pattern: /^[A-Za-z0-9_-]{1,64}$/ };
+const socketId = { type: 'string', pattern: /^[A-Za-z0-9_-]{1,64}$/ };
+const name = { type: 'string', minLength: 1, maxLength: 100 };
+
+// Each game mode checks its own settings on top of the match format; no mode means X01
+const gameSettings = {
+  type: 'object',
+  nullable: true,
+  discriminator: 'mode',
+  defaultVariant: DEFAULT_MODE,
+  variants: Object.fromEntries(Object.values(GAME_MODES).map(engine => [engine.MODE, {
+    ...FORMAT_SCHEMA,
+    ...engine.SETTINGS_SCHEMA,
+    casual: { type: 'boolean' }
+  }]))
+};
+
+const reason = { type: 'string', nullable: true, maxLength: 200 };
+const ban = {
+  playerId: { ...id, nullable: true },
+  ip: { type: 'string', nullable: true, maxLength: 64 },
+  // Omitted or null for a permanent ban
+  durationMinutes: { type: 'integer', nullable: true, min: 1, max: 525600 },
+  reason
+};
+const announcement = {
+  message: { type: 'string', required: true, minLength: 1, maxLength: 500 },
+  level: { type: 'string', values: ['info', 'warning', 'critical'] }
+};
+
+const dart = {
+  type: 'object',
+  required: true,
+  properties: {
+    segment: { type: 'integer', required: true, min: 0, max: 25 },
+    multiplier: { type: 'integer', min: 1, max: 3 }
+  }
+};
+
+const visit = {
+  darts: { type: 'array', minItems: 1, maxItems: 3, items: dart },
+  score: { type: 'integer', min: 0, max: 180 },
+  dartsUsed: { type: 'integer', min: 1, max: 3 },
+  openedOnDouble: { type: 'boolean' }
+};
+
+// A match event names its protocol version and carries a client-chosen ID so retries are not
+// applied twice (see lib/match-events.js)
+const matchEvent = {
+  version: { type: 'integer', min: 1 },
+  clientId: { type: 'string', minLength: 1, maxLength: 64 }
+};
+const disputeVote = {
+  outcome: { type: 'string', required: true, values: DISPUTE_OUTCOMES },
+  visit: { type: 'object', properties: visit }
+};
+
+const webhook = {
+  url: { type: 'string', pattern: /^https?:\/\/\S+$/i, maxLength: 2048 },
+  events: { type: 'array', minItems: 1, maxItems: WEBHOOK_EVENTS.length, items: { type: 'string', values: WEBHOOK_EVENTS } },
+  format: { type: 'string', values: WEBHOOK_FORMATS },
+  description: { type: 'string', nullable: true, maxLength: 200 }
+};
+
+const body = properties => ({ type: 'object', required: true, properties });
+const payload = (properties, { required = true } = {}) => ({ type: 'object', required, properties });
+
+// REST request bodies, keyed by route
+const BODY_SCHEMAS = {
+  register: body({
+    username: { type: 'string', required: true, maxLength: 64 },
+    password: { type: 'string', required: true, maxLength: 256 }
+  }),
+  login: body({
+    username: { type: 'string', required: true, maxLength: 64 },
+    password: { type: 'string', required: true, maxLength: 256 }
+  }),
+  createRoom: body({ gameSettings }),
+  joinRoom: body({}),
+  roomStatus: body({ status: { type: 'string', required: true, values: ROOM_STATUSES } }),
+  endCall: body({ roomCode: { ...roomCode, required: true } }),
+
+  createLeague: body({
+    name: { ...name, required: true },
+    description: { type: 'string', nullable: true, maxLength: 1000 },
+    points: {
+      type: 'object',
+      properties: {
+        win: { type: 'integer', min: 0, max: 10 },
+        draw: { type: 'integer', min: 0, max: 10 },
+        loss: { type: 'integer', min: 0, max: 10 }
+      }
+    },
+    gameSettings
+  }),
+  createSeason: body({ name }),
+  createDivision: body({ name, tier: { type: 'integer', min: 1, max: 100 } }),
+  generateFixtures: body({ doubleRoundRobin: { type: 'boolean' } }),
+  fixtureResult: body({
+    homeLegs: { type: 'integer', required: true, min: 0, max: 100 },
+    awayLegs: { type: 'integer', required: true, min: 0, max: 100 },
+    matchId: { ...id, nullable: true }
+  }),
+
+  // A fixture's players and settings come from the fixture; otherwise name the opponent
+  scheduleMatch: body({
+    startAt: { type: 'string', required: true, minLength: 1, maxLength: 64 },
+    fixtureId: { ...id, nullable: true },
+    opponentId: { ...id, nullable: true },
+    gameSettings
+  }),
+
+  createTournament: body({
+    name: { ...name, required: true },
+    format: { type: 'string', required: true, values: TOURNAMENT_FORMATS },
+    gameSettings,
+    groupSize: { type: 'integer', min: 2, max: 32 },
+    advancePerGroup: { type: 'integer', min: 1, max: 16 }
+  }),
+  startTournament: body({ seeds: { type: 'array', maxItems: 512, items: id } }),
+  tournamentResult: body({
+    winnerId: { ...id, required: true },
+    score: { type: 'array', nullable: true, minItems: 2, maxItems: 2, items: { type: 'integer', min: 0, max: 100 } }
+  }),
+
+  adminKick: body({ reason }),
+  adminBan: body(ban),
+  adminEndRoom: body({ reason }),
+  adminResolveDispute: body(disputeVote),
+  adminAnnouncement: body(announcement),
+  adminCreateWebhook: body({
+    ...webhook,
+    url: { ...webhook.url, required: true },
+    events: { ...webhook.events, required: true },
+    // Generated when not given
+    secret: { type: 'string', minLength: 16, maxLength: 256 }
+  }),
+  adminUpdateWebhook: body({ ...webhook, active: { type: 'boolean' } })
+};
+
+// Socket event payloads. Events not listed here take no payload
+const EVENT_SCHEMAS = {
+  'join-video-room': payload({ roomId: { ...roomCode, required: true } }),
+  'webrtc-offer': payload({
+    targetSocketId: { ...socketId, required: true },
+    offer: { type: 'object', required: true, maxBytes: 32 * 1024 }
+  }),
+  'webrtc-answer': payload({
+    targetSocketId: { ...socketId, required: true },
+    answer: { type: 'object', required: true, maxBytes: 32 * 1024 }
+  }),
+  'webrtc-ice-candidate': payload({
+    targetSocketId: { ...socketId, required: true },
+    // null marks the end of candidates
+    candidate: { type: 'object', required: true, nullable: true, maxBytes: 4 * 1024 }
+  }),
+  'room-ping': payload({ roomId: { ...roomCode, required: true } }),
+  'room-pong': payload({ toSocketId: { ...socketId, required: true } }),
+  'submit-visit': payload(visit),
+  'match-event': {
+    type: 'object',
+    required: true,
+    discriminator: 'type',
+    variants: {
+      'visit': { ...matchEvent, visit: { type: 'object', required: true, properties: visit } },
+      'undo-request': matchEvent,
+      'undo-response': { ...matchEvent, accept: { type: 'boolean', required: true } },
+      'dispute': { ...matchEvent, visitSeq: { type: 'integer', min: 1 }, reason },
+      'dispute-vote': { ...matchEvent, ...disputeVote },
+      'confirm-result': matchEvent
+    }
+  },
+  'match-replay': payload({ fromSeq: { type: 'integer', min: 0 } }, { required: false }),
+  'spectate-room': payload({ roomId: { ...roomCode, required: true } }),
+  'set-spectating': payload({
+    allowSpectators: { type: 'boolean' },
+    maxSpectators: { type: 'integer', min: 0, max: 1000 },
+    spectatorChat: { type: 'boolean' }
+  }),
+  'chat-message': payload({
+    text: { type: 'string', maxLength: 500 },
+    emote: { type: 'string', values: Object.keys(EMOTES) }
+  }),
+  'matchmaking-join': payload({ gameSettings }, { required: false }),
+  'test-message': payload({
+    roomId: { ...roomCode, required: true },
+    message: { type: 'string', required: true, maxLength: 500 }
+  }),
+  'resume-session': payload({ token: { type: 'string', required: true, maxLength: 128 } })
+};
+
+// Events on the /admin namespace
+const ADMIN_EVENT_SCHEMAS = {
+  'list-bans': payload({ all: { type: 'boolean' } }, { required: false }),
+  'kick': payload({ socketId: { ...socketId, required: true }, reason }),
+  'ban': payload(ban),
+  'unban': payload({ banId: { ...id, required: true } }),
+  'end-room': payload({ roomCode: { ...roomCode, required: true }, reason }),
+  'resolve-dispute': payload({ roomCode: { ...roomCode, required: true }, ...disputeVote }),
+  'announce': payload(announcement),
+  'audit-log': payload({ limit: { type: 'integer', min: 1, max: 500 } }, { required: false })
+};
+
+module.exports = {
+  ROOM_STATUSES,
+  BODY_SCHEMAS,
+  EVENT_SCHEMAS,
+  ADMIN_EVENT_SCHEMAS
+};
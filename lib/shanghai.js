@@ -0,0 +1,119 @@
+const format = require('./match-format');
+
+// Shanghai match engine - in round N only N scores (single, double or treble of it). Hitting the
+// single, double and treble of the round's number in one visit is a Shanghai and wins the leg
+// outright. Otherwise the higher score after the last round wins; a tie goes to extra rounds on
+// the bull until a round ends with the players apart
+
+const BULL = 25;
+
+const DEFAULT_SETTINGS = {
+  ...format.FORMAT_DEFAULTS,
+  rounds: 7
+};
+
+const SETTINGS_SCHEMA = {
+  rounds: { type: 'integer', min: 1, max: 20 }
+};
+
+function normalizeSettings(settings = {}) {
+  const merged = { ...DEFAULT_SETTINGS, ...settings };
+  return {
+    ...format.normalizeFormat(merged),
+    rounds: Math.min(parseInt(merged.rounds, 10) || DEFAULT_SETTINGS.rounds, 20)
+  };
+}
+
+function describe(settings) {
+  const s = normalizeSettings(settings);
+  return `Shanghai (${s.rounds} round${s.rounds === 1 ? '' : 's'}), ${format.describeFormat(s)}`;
+}
+
+function formatKey(settings) {
+  const s = normalizeSettings(settings);
+  return `shanghai:R${s.rounds}:L${s.legsToWin}:S${s.setsToWin}`;
+}
+
+function startLeg(match) {
+  match.round = 1;
+  match.scores = [0, 0];
+}
+
+function createMatch(settings, players) {
+  const match = format.createMatchState('shanghai', 'Shanghai', normalizeSettings(settings), players);
+  startLeg(match);
+  return match;
+}
+
+function targetOf(match) {
+  return match.round <= match.settings.rounds ? match.round : BULL;
+}
+
+function isShanghai(darts, target) {
+  const multipliers = new Set(darts.filter(dart => dart.segment === target).map(dart => dart.multiplier));
+  return multipliers.has(1) && multipliers.has(2) && multipliers.has(3);
+}
+
+function applyVisit(match, playerIndex, visit) {
+  format.checkTurn(match, playerIndex);
+  if (!visit || visit.darts === undefined) {
+    throw new Error('A Shanghai visit needs darts');
+  }
+
+  const darts = format.parseDarts(visit.darts);
+  const target = targetOf(match);
+  const score = darts.filter(dart => dart.segment === target).reduce((total, dart) => total + dart.score, 0);
+  const shanghai = isShanghai(darts, target);
+  match.scores[playerIndex] += score;
+
+  // The round ends once the player who did not start the leg has thrown
+  const roundOver = playerIndex !== match.legStarter;
+  let legWinner = shanghai ? playerIndex : null;
+  if (legWinner === null && roundOver && match.round >= match.settings.rounds && match.scores[0] !== match.scores[1]) {
+    legWinner = match.scores[0] > match.scores[1] ? 0 : 1;
+  }
+
+  const entry = {
+    ...format.visitBase(match, playerIndex),
+    round: match.round,
+    target,
+    darts,
+    dartsUsed: darts.length,
+    score,
+    scoreAfter: match.scores[playerIndex],
+    shanghai,
+    legWinner,
+    timestamp: new Date().toISOString()
+  };
+  match.visits.push(entry);
+
+  if (legWinner !== null) {
+    if (!format.completeLeg(match, legWinner)) startLeg(match);
+    return entry;
+  }
+
+  if (roundOver) match.round += 1;
+  match.currentPlayer = 1 - playerIndex;
+  return entry;
+}
+
+function serializeMatch(match) {
+  return {
+    ...format.serializeFormat(match, index => ({ score: match.scores[index] })),
+    round: match.round,
+    target: targetOf(match)
+  };
+}
+
+module.exports = {
+  MODE: 'shanghai',
+  NAME: 'Shanghai',
+  DEFAULT_SETTINGS,
+  SETTINGS_SCHEMA,
+  normalizeSettings,
+  describe,
+  formatKey,
+  createMatch,
+  applyVisit,
+  serializeMatch
+};
@@ -0,0 +1,15 @@
+const { createMemoryCollection } = require('./memory-collection');
+const { createSupabaseCollection } = require('./supabase-collection');
+
+// Pick the Supabase table when a client is configured, otherwise keep records in memory
+function createCollection(table, { supabase, key = 'id' } = {}) {
+  return supabase
+    ? createSupabaseCollection(supabase, table, { key })
+    : createMemoryCollection({ key });
+}
+
+module.exports = {
+  createCollection,
+  createMemoryCollection,
+  createSupabaseCollection
+};
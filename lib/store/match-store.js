@@ -0,0 +1,38 @@
+const { createCollection } = require('./index');
+
+// Completed matches with their full visit-by-visit throw log
+function createMatchStore(collection) {
+  return {
+    async create(match) {
+      return collection.insert(match);
+    },
+
+    async get(id) {
+      return collection.get(id);
+    },
+
+    // Most recent first
+    async listForPlayer(playerId, { limit } = {}) {
+      return collection.list({
+        contains: { player_ids: playerId },
+        orderBy: 'finished',
+        ascending: false,
+        limit
+      });
+    }
+  };
+}
+
+function createMemoryMatchStore() {
+  return createMatchStore(createCollection('matches', { key: 'id' }));
+}
+
+function createSupabaseMatchStore(supabase) {
+  return createMatchStore(createCollection('matches', { supabase, key: 'id' }));
+}
+
+module.exports = {
+  createMatchStore,
+  createMemoryMatchStore,
+  createSupabaseMatchStore
+};
@@ -0,0 +1,67 @@
+// In-memory collection - mirrors the Supabase adapter so the server runs offline
+
+function matches(record, where = {}) {
+  return Object.entries(where).every(([field, value]) => record[field] === value);
+}
+
+function copy(record) {
+  return record ? JSON.parse(JSON.stringify(record)) : null;
+}
+
+function createMemoryCollection({ key = 'id' } = {}) {
+  const records = new Map();
+
+  return {
+    kind: 'memory',
+
+    async insert(record) {
+      const id = record[key];
+      if (id === undefined || id === null) {
+        throw new Error(`Record is missing its ${key}`);
+      }
+      if (records.has(id)) {
+        throw new Error(`Duplicate ${key}: ${id}`);
+      }
+      records.set(id, copy(record));
+      return copy(record);
+    },
+
+    async get(id) {
+      return copy(records.get(id));
+    },
+
+    async list({ where, exclude, contains, orderBy, ascending = true, limit } = {}) {
+      let result = Array.from(records.values())
+        .filter(record => matches(record, where))
+        .filter(record => !exclude || !Object.entries(exclude).some(([field, value]) => record[field] === value))
+        .filter(record => !contains || Object.entries(contains).every(([field, value]) =>
+          Array.isArray(record[field]) && record[field].includes(value)));
+
+      if (orderBy) {
+        result.sort((a, b) => {
+          if (a[orderBy] === b[orderBy]) return 0;
+          const order = a[orderBy] > b[orderBy] ? 1 : -1;
+          return ascending ? order : -order;
+        });
+      }
+
+      if (limit) result = result.slice(0, limit);
+      return result.map(copy);
+    },
+
+    // `where` makes the update conditional, like a compare-and-set
+    async update(id, changes, { where } = {}) {
+      const record = records.get(id);
+      if (!record || !matches(record, where)) return null;
+
+      Object.assign(record, copy(changes));
+      return copy(record);
+    },
+
+    async remove(id) {
+      return records.delete(id);
+    }
+  };
+}
+
+module.exports = { createMemoryCollection };
@@ -0,0 +1,41 @@
+const { createCollection } = require('./index');
+
+// Player accounts - usernames are unique, case-insensitively
+function createPlayerStore(collection) {
+  return {
+    async create(player) {
+      return collection.insert({ ...player, username_key: player.username.toLowerCase() });
+    },
+
+    async get(id) {
+      return collection.get(id);
+    },
+
+    async findByUsername(username) {
+      const [player] = await collection.list({ where: { username_key: String(username).toLowerCase() }, limit: 1 });
+      return player || null;
+    },
+
+    async update(id, changes) {
+      return collection.update(id, changes);
+    },
+
+    async list() {
+      return collection.list({ orderBy: 'created', ascending: true });
+    }
+  };
+}
+
+function createMemoryPlayerStore() {
+  return createPlayerStore(createCollection('players', { key: 'id' }));
+}
+
+function createSupabasePlayerStore(supabase) {
+  return createPlayerStore(createCollection('players', { supabase, key: 'id' }));
+}
+
+module.exports = {
+  createPlayerStore,
+  createMemoryPlayerStore,
+  createSupabasePlayerStore
+};
@@ -0,0 +1,174 @@
+const { createCollection } = require('./index');
+
+// Live presence shared by every server instance: who is seated or watching in which room,
+// room activity, in-progress match state and which instances are alive
+
+function createPresenceStore({ seats, rooms, matches, instances }) {
+  // Seats are keyed by socket id; role is 'player' or 'spectator'
+  async function getSeat(socketId) {
+    return socketId ? seats.get(socketId) : null;
+  }
+
+  // roomId -> { players, spectators }, from a single read
+  async function occupancy() {
+    const counts = new Map();
+    (await seats.list()).forEach(seat => {
+      if (!counts.has(seat.room_id)) counts.set(seat.room_id, { players: 0, spectators: 0 });
+      counts.get(seat.room_id)[seat.role === 'spectator' ? 'spectators' : 'players'] += 1;
+    });
+    return counts;
+  }
+
+  return {
+    kind: seats.kind,
+
+    async addSeat(seat) {
+      await seats.remove(seat.socket_id);
+      return seats.insert({
+        disconnected: false,
+        expires_at: null,
+        resume_token: null,
+        joined: new Date().toISOString(),
+        ...seat
+      });
+    },
+
+    getSeat,
+
+    async updateSeat(socketId, changes) {
+      return seats.update(socketId, changes);
+    },
+
+    // With a role, only removes the seat if it has that role. Returns the removed seat
+    async removeSeat(socketId, { role } = {}) {
+      const seat = await getSeat(socketId);
+      if (!seat || (role && seat.role !== role)) return null;
+      return (await seats.remove(socketId)) ? seat : null;
+    },
+
+    // Re-key a seat to a new socket. Null if another socket got there first
+    async moveSeat(fromSocketId, toSocketId, changes = {}) {
+      const seat = await getSeat(fromSocketId);
+      if (!seat || !(await seats.remove(fromSocketId))) return null;
+
+      await seats.remove(toSocketId);
+      return seats.insert({ ...seat, ...changes, socket_id: toSocketId });
+    },
+
+    async findSeatByToken(resumeToken) {
+      if (!resumeToken) return null;
+      const [seat] = await seats.list({ where: { resume_token: resumeToken } });
+      return seat || null;
+    },
+
+    async roomSeats(roomId, role = 'player') {
+      return seats.list({ where: { room_id: roomId, role }, orderBy: 'joined' });
+    },
+
+    async listSeats() {
+      return seats.list();
+    },
+
+    occupancy,
+
+    // Rooms with at least one player seated, and how many players that is in total
+    async counts() {
+      const occupied = Array.from((await occupancy()).values()).filter(room => room.players > 0);
+      return {
+        activeRooms: occupied.length,
+        connectedUsers: occupied.reduce((total, room) => total + room.players, 0)
+      };
+    },
+
+    // Room activity, created on first touch
+    async touchRoom(roomId) {
+      const now = new Date().toISOString();
+      const updated = await rooms.update(roomId, { last_activity: now });
+      if (updated) return updated;
+
+      try {
+        return await rooms.insert({ room_id: roomId, created: now, last_activity: now });
+      } catch (error) {
+        // Another instance created it between our update and insert
+        return rooms.update(roomId, { last_activity: now });
+      }
+    },
+
+    async listRooms() {
+      return rooms.list({ orderBy: 'last_activity' });
+    },
+
+    async removeRoom(roomId) {
+      await rooms.remove(roomId);
+      await matches.remove(roomId);
+    },
+
+    // How many rooms have a match in this status
+    async countMatches(status = 'in_progress') {
+      return (await matches.list()).filter(entry => entry.state && entry.state.status === status).length;
+    },
+
+    // Match state plus a revision for optimistic updates: { match, revision } or null
+    async getMatch(roomId) {
+      const entry = roomId ? await matches.get(roomId) : null;
+      return entry ? { match: entry.state, revision: entry.revision } : null;
+    },
+
+    // Without a revision only a new match is saved; with one, only if nobody saved since. Returns success
+    async saveMatch(roomId, match, revision = null) {
+      const entry = { state: match, updated: new Date().toISOString() };
+      if (revision === null) {
+        if (await matches.get(roomId)) return false;
+        await matches.insert({ room_id: roomId, ...entry, revision: 1 });
+        return true;
+      }
+      return !!(await matches.update(roomId, { ...entry, revision: revision + 1 }, { where: { revision } }));
+    },
+
+    async heartbeat(instanceId) {
+      const now = new Date().toISOString();
+      const updated = await instances.update(instanceId, { last_seen: now });
+      if (updated) return updated;
+      return instances.insert({ instance_id: instanceId, started: now, last_seen: now });
+    },
+
+    // Instances seen within the timeout, oldest first
+    async liveInstances(timeoutMs) {
+      const cutoff = Date.now() - timeoutMs;
+      const all = await instances.list({ orderBy: 'started' });
+      return all.filter(instance => new Date(instance.last_seen).getTime() >= cutoff);
+    },
+
+    async listInstances() {
+      return instances.list({ orderBy: 'started' });
+    },
+
+    async removeInstance(instanceId) {
+      return instances.remove(instanceId);
+    }
+  };
+}
+
+function createMemoryPresenceStore() {
+  return createPresenceStore({
+    seats: createCollection('presence_seats', { key: 'socket_id' }),
+    rooms: createCollection('presence_rooms', { key: 'room_id' }),
+    matches: createCollection('presence_matches', { key: 'room_id' }),
+    instances: createCollection('presence_instances', { key: 'instance_id' })
+  });
+}
+
+function createSupabasePresenceStore(supabase) {
+  return createPresenceStore({
+    seats: createCollection('presence_seats', { supabase, key: 'socket_id' }),
+    rooms: createCollection('presence_rooms', { supabase, key: 'room_id' }),
+    matches: createCollection('presence_matches', { supabase, key: 'room_id' }),
+    instances: createCollection('presence_instances', { supabase, key: 'instance_id' })
+  });
+}
+
+module.exports = {
+  createPresenceStore,
+  createMemoryPresenceStore,
+  createSupabasePresenceStore
+};
@@ -0,0 +1,73 @@
+const { createCollection } = require('./index');
+
+// Room repository - the one place rooms are read and written, whichever backend is in use
+function createRoomStore(collection) {
+  return {
+    kind: collection.kind,
+
+    async create(room) {
+      return collection.insert(room);
+    },
+
+    async get(code) {
+      return collection.get(code);
+    },
+
+    // Rooms that have not ended, newest first
+    async list() {
+      return collection.list({ exclude: { status: 'ended' }, orderBy: 'created', ascending: false });
+    },
+
+    async update(code, changes) {
+      return collection.update(code, { ...changes, last_activity: new Date().toISOString() });
+    },
+
+    // Seat a player ({ id, username }) as the host's opponent. Whether the room is full depends on
+    // who holds the seats, not on how many of them are connected. Returns { room } or { error, statusCode }
+    async join(code, player) {
+      const room = await collection.get(code);
+      if (!room || room.status === 'ended') {
+        return { error: 'Room not found', statusCode: 404 };
+      }
+
+      if (room.host_id === player.id || room.opponent_id === player.id) {
+        return { room };
+      }
+
+      if (room.opponent_id) {
+        return { error: 'Room is full', statusCode: 409 };
+      }
+
+      // Only succeeds if nobody else took the seat since we read the room
+      const updated = await collection.update(code, {
+        players: room.players + 1,
+        opponent: player.username,
+        opponent_id: player.id,
+        last_activity: new Date().toISOString()
+      }, { where: { opponent_id: null } });
+
+      if (!updated) {
+        return { error: 'Room is full', statusCode: 409 };
+      }
+      return { room: updated };
+    },
+
+    async remove(code) {
+      return collection.remove(code);
+    }
+  };
+}
+
+function createMemoryRoomStore() {
+  return createRoomStore(createCollection('rooms', { key: 'code' }));
+}
+
+function createSupabaseRoomStore(supabase) {
+  return createRoomStore(createCollection('rooms', { supabase, key: 'code' }));
+}
+
+module.exports = {
+  createRoomStore,
+  createMemoryRoomStore,
+  createSupabaseRoomStore
+};
@@ -0,0 +1,45 @@
+const { createCollection } = require('./index');
+
+// Room snapshots written by an instance as it shuts down - the room, its match and its player
+// seats - so the next instance to start can put them back. Each snapshot is restored once
+function createSnapshotStore(collection) {
+  return {
+    kind: collection.kind,
+
+    async save({ roomId, instanceId, room, match, seats }) {
+      await collection.remove(roomId);
+      return collection.insert({
+        room_id: roomId,
+        instance_id: instanceId,
+        room,
+        match,
+        seats,
+        created: new Date().toISOString()
+      });
+    },
+
+    // Oldest first
+    async list() {
+      return collection.list({ orderBy: 'created' });
+    },
+
+    // Removing a snapshot claims it: only the caller that gets true should restore it
+    async claim(roomId) {
+      return collection.remove(roomId);
+    }
+  };
+}
+
+function createMemorySnapshotStore() {
+  return createSnapshotStore(createCollection('room_snapshots', { key: 'room_id' }));
+}
+
+function createSupabaseSnapshotStore(supabase) {
+  return createSnapshotStore(createCollection('room_snapshots', { supabase, key: 'room_id' }));
+}
+
+module.exports = {
+  createSnapshotStore,
+  createMemorySnapshotStore,
+  createSupabaseSnapshotStore
+};
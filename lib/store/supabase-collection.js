@@ -0,0 +1,63 @@
+const { timeExternal } = require('../metrics');
+
+// Supabase-backed collection - one table, one primary key column
+
+function applyFilters(query, { where, exclude, contains } = {}) {
+  Object.entries(where || {}).forEach(([field, value]) => {
+    query = value === null ? query.is(field, null) : query.eq(field, value);
+  });
+  Object.entries(exclude || {}).forEach(([field, value]) => {
+    query = query.neq(field, value);
+  });
+  Object.entries(contains || {}).forEach(([field, value]) => {
+    query = query.contains(field, [value]);
+  });
+  return query;
+}
+
+function check(table, operation, { data, error }) {
+  if (error) {
+    throw new Error(`Supabase ${operation} on ${table} failed: ${error.message}`);
+  }
+  return data;
+}
+
+// Runs the query and checks its result, recording latency and failures as `<table>.<operation>`
+function run(table, operation, query) {
+  return timeExternal('supabase', `${table}.${operation}`, async () => check(table, operation, await query));
+}
+
+function createSupabaseCollection(supabase, table, { key = 'id' } = {}) {
+  return {
+    kind: 'supabase',
+
+    async insert(record) {
+      const data = await run(table, 'insert', supabase.from(table).insert([record]).select());
+      return data[0];
+    },
+
+    async get(id) {
+      return run(table, 'select', supabase.from(table).select('*').eq(key, id).maybeSingle());
+    },
+
+    async list({ where, exclude, contains, orderBy, ascending = true, limit } = {}) {
+      let query = applyFilters(supabase.from(table).select('*'), { where, exclude, contains });
+      if (orderBy) query = query.order(orderBy, { ascending });
+      if (limit) query = query.limit(limit);
+      return (await run(table, 'select', query)) || [];
+    },
+
+    async update(id, changes, { where } = {}) {
+      const query = applyFilters(supabase.from(table).update(changes).eq(key, id), { where });
+      const data = await run(table, 'update', query.select());
+      return data && data[0] ? data[0] : null;
+    },
+
+    async remove(id) {
+      const data = await run(table, 'delete', supabase.from(table).delete().eq(key, id).select());
+      return !!(data && data.length);
+    }
+  };
+}
+
+module.exports = { createSupabaseCollection };
@@ -0,0 +1,482 @@
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+const { roundRobin, computeStandings } = require('./leagues');
+
+// Knockout tournaments: single elimination, double elimination and groups into knockout
+
+const FORMATS = ['single_elimination', 'double_elimination', 'groups_knockout'];
+
+function nextPowerOfTwo(n) {
+  let size = 2;
+  while (size < n) size *= 2;
+  return size;
+}
+
+// Standard bracket order, so seeds 1 and 2 can only meet in the final: [1, 8, 4, 5, 2, 7, 3, 6]
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+function newMatch(id, bracket, round, slot, extra = {}) {
+  return {
+    id,
+    bracket,
+    round,
+    slot,
+    players: [null, null],
+    resolved: [false, false],
+    status: 'pending', // pending -> ready -> completed, or bye/skipped
+    winner_id: null,
+    loser_id: null,
+    score: null,
+    room_code: null,
+    next: { winner: null, loser: null },
+    ...extra
+  };
+}
+
+function findMatch(tournament, matchId) {
+  return tournament.matches.find(match => match.id === matchId);
+}
+
+// Elimination rounds for already-seeded players; seeds past the field are byes
+function buildElimination(seeded, { prefix, bracket }) {
+  const size = nextPowerOfTwo(seeded.length);
+  const rounds = Math.log2(size);
+  const matches = [];
+
+  for (let round = 1; round <= rounds; round++) {
+    const count = size / Math.pow(2, round);
+    for (let slot = 0; slot < count; slot++) {
+      const match = newMatch(`${prefix}${round}-${slot + 1}`, bracket, round, slot);
+      if (round < rounds) {
+        match.next.winner = { matchId: `${prefix}${round + 1}-${Math.floor(slot / 2) + 1}`, slot: slot % 2 };
+      }
+      matches.push(match);
+    }
+  }
+
+  const order = seedOrder(size);
+  matches.filter(match => match.round === 1).forEach(match => {
+    match.players = [seeded[order[match.slot * 2] - 1] || null, seeded[order[match.slot * 2 + 1] - 1] || null];
+    match.resolved = [true, true];
+  });
+
+  return { matches, rounds, finalId: `${prefix}${rounds}-1` };
+}
+
+// Losers bracket of 2(k-1) rounds alternating "losers play each other" and "winners bracket losers drop in"
+function buildDoubleElimination(seeded) {
+  const winners = buildElimination(seeded, { prefix: 'W', bracket: 'winners' });
+  const k = winners.rounds;
+  const size = Math.pow(2, k);
+  const matches = [...winners.matches];
+  const byId = id => matches.find(match => match.id === id);
+
+  const grandFinal = newMatch('GF1', 'final', 1, 0);
+  const reset = newMatch('GF2', 'final', 2, 0, { final: true });
+  byId(winners.finalId).next.winner = { matchId: 'GF1', slot: 0 };
+
+  if (k === 1) {
+    byId(winners.finalId).next.loser = { matchId: 'GF1', slot: 1 };
+  } else {
+    const lbCount = round => size / Math.pow(2, Math.floor((round + 1) / 2) + 1);
+
+    for (let round = 1; round <= 2 * (k - 1); round++) {
+      for (let slot = 0; slot < lbCount(round); slot++) {
+        matches.push(newMatch(`L${round}-${slot + 1}`, 'losers', round, slot));
+      }
+    }
+
+    // Winners round 1 losers pair up in losers round 1
+    matches.filter(m => m.bracket === 'winners' && m.round === 1).forEach(match => {
+      match.next.loser = { matchId: `L1-${Math.floor(match.slot / 2) + 1}`, slot: match.slot % 2 };
+    });
+
+    for (let i = 1; i <= k - 1; i++) {
+      const dropRound = 2 * i;
+      const count = lbCount(dropRound);
+
+      // Winners round i+1 losers drop in, in reverse order to delay rematches
+      matches.filter(m => m.bracket === 'winners' && m.round === i + 1).forEach(match => {
+        match.next.loser = { matchId: `L${dropRound}-${count - match.slot}`, slot: 1 };
+      });
+
+      matches.filter(m => m.bracket === 'losers' && m.round === dropRound - 1).forEach(match => {
+        match.next.winner = { matchId: `L${dropRound}-${match.slot + 1}`, slot: 0 };
+      });
+
+      matches.filter(m => m.bracket === 'losers' && m.round === dropRound).forEach(match => {
+        match.next.winner = i < k - 1
+          ? { matchId: `L${dropRound + 1}-${Math.floor(match.slot / 2) + 1}`, slot: match.slot % 2 }
+          : { matchId: 'GF1', slot: 1 };
+      });
+    }
+  }
+
+  matches.push(grandFinal, reset);
+  return matches;
+}
+
+// Snake seeding into groups, round robin inside each group
+function buildGroups(seeded, groupSize) {
+  const groupCount = Math.max(1, Math.ceil(seeded.length / groupSize));
+  const groups = Array.from({ length: groupCount }, (_, index) => ({
+    name: String.fromCharCode(65 + index),
+    player_ids: []
+  }));
+
+  seeded.forEach((playerId, index) => {
+    const row = Math.floor(index / groupCount);
+    const column = index % groupCount;
+    groups[row % 2 === 0 ? column : groupCount - 1 - column].player_ids.push(playerId);
+  });
+
+  const matches = [];
+  groups.forEach(group => {
+    roundRobin(group.player_ids).forEach((pairings, round) => {
+      pairings.forEach(([a, b], slot) => {
+        matches.push(newMatch(`G${group.name}-${round + 1}-${slot + 1}`, 'group', round + 1, slot, {
+          group: group.name,
+          players: [a, b],
+          resolved: [true, true],
+          status: 'ready'
+        }));
+      });
+    });
+  });
+
+  return { groups, matches };
+}
+
+function groupStandings(tournament, group) {
+  const names = new Map(tournament.players.map(p => [p.id, p.username]));
+  const registrations = group.player_ids.map(id => ({ player_id: id, username: names.get(id) || id }));
+  const fixtures = tournament.matches
+    .filter(match => match.bracket === 'group' && match.group === group.name && match.status === 'completed')
+    .map(match => ({
+      status: 'completed',
+      home_id: match.players[0],
+      away_id: match.players[1],
+      home_legs: match.score ? match.score[0] : Number(match.winner_id === match.players[0]),
+      away_legs: match.score ? match.score[1] : Number(match.winner_id === match.players[1])
+    }));
+
+  return computeStandings(registrations, fixtures, { win: 2, draw: 1, loss: 0 });
+}
+
+// Bracket advancement
+
+function settle(tournament, match, ready) {
+  if (match.status !== 'pending' || !match.resolved.every(Boolean)) return;
+
+  const [a, b] = match.players;
+  if (a && b) {
+    match.status = 'ready';
+    ready.push(match);
+    return;
+  }
+
+  // One or both sides are byes: the present player (if any) walks through
+  match.status = 'bye';
+  match.winner_id = a || b || null;
+  match.loser_id = null;
+  advance(tournament, match, ready);
+}
+
+function place(tournament, target, playerId, ready) {
+  if (!target) return;
+
+  const match = findMatch(tournament, target.matchId);
+  match.players[target.slot] = playerId;
+  match.resolved[target.slot] = true;
+  settle(tournament, match, ready);
+}
+
+function finish(tournament, winnerId) {
+  tournament.status = 'completed';
+  tournament.winner_id = winnerId;
+  tournament.completed = new Date().toISOString();
+}
+
+function advance(tournament, match, ready) {
+  if (match.id === 'GF1') {
+    const reset = findMatch(tournament, 'GF2');
+    // The winners bracket champion has not lost yet, so winning GF1 ends it
+    if (match.winner_id === match.players[0] || !match.players[1]) {
+      reset.status = 'skipped';
+      finish(tournament, match.winner_id);
+    } else {
+      place(tournament, { matchId: 'GF2', slot: 0 }, match.players[0], ready);
+      place(tournament, { matchId: 'GF2', slot: 1 }, match.players[1], ready);
+    }
+    return;
+  }
+
+  if (match.final) {
+    finish(tournament, match.winner_id);
+    return;
+  }
+
+  place(tournament, match.next.winner, match.winner_id, ready);
+  place(tournament, match.next.loser, match.loser_id, ready);
+}
+
+// Group winners are seeded first, then runners-up, and so on
+function startKnockout(tournament, ready) {
+  const qualifiers = [];
+  for (let position = 0; position < tournament.advance_per_group; position++) {
+    tournament.groups.forEach(group => {
+      const row = groupStandings(tournament, group)[position];
+      if (row) qualifiers.push(row.playerId);
+    });
+  }
+
+  const knockout = buildElimination(qualifiers, { prefix: 'K', bracket: 'knockout' });
+  knockout.matches.find(match => match.id === knockout.finalId).final = true;
+  tournament.matches.push(...knockout.matches);
+  knockout.matches.filter(match => match.round === 1).forEach(match => settle(tournament, match, ready));
+}
+
+function reportResult(tournament, matchId, winnerId, score = null) {
+  const match = findMatch(tournament, matchId);
+  if (!match) return { error: 'Match not found', statusCode: 404 };
+  if (match.status !== 'ready') return { error: 'Match is not awaiting a result', statusCode: 409 };
+  if (!match.players.includes(winnerId)) return { error: 'Winner must be one of the match players', statusCode: 400 };
+
+  match.status = 'completed';
+  match.winner_id = winnerId;
+  match.loser_id = match.players.find(id => id !== winnerId);
+  match.score = Array.isArray(score) && score.length === 2 ? score.map(Number) : null;
+  match.completed = new Date().toISOString();
+
+  const ready = [];
+  if (match.bracket === 'group') {
+    const groupsDone = tournament.matches
+      .filter(m => m.bracket === 'group')
+      .every(m => m.status === 'completed');
+    if (groupsDone) startKnockout(tournament, ready);
+  } else {
+    advance(tournament, match, ready);
+  }
+
+  return { match, ready };
+}
+
+function startBracket(tournament, seeded) {
+  const ready = [];
+
+  if (tournament.format === 'single_elimination') {
+    const bracket = buildElimination(seeded, { prefix: 'W', bracket: 'winners' });
+    bracket.matches.find(match => match.id === bracket.finalId).final = true;
+    tournament.matches = bracket.matches;
+  } else if (tournament.format === 'double_elimination') {
+    tournament.matches = buildDoubleElimination(seeded);
+  } else {
+    const { groups, matches } = buildGroups(seeded, tournament.group_size);
+    tournament.groups = groups;
+    tournament.matches = matches;
+    ready.push(...matches);
+  }
+
+  tournament.matches
+    .filter(match => match.round === 1 && match.status === 'pending')
+    .forEach(match => settle(tournament, match, ready));
+
+  tournament.status = tournament.status === 'completed' ? 'completed' : 'in_progress';
+  return ready;
+}
+
+// Frontend-friendly bracket: matches grouped by bracket and round, with player names
+function bracketView(tournament) {
+  const players = new Map(tournament.players.map(p => [p.id, p]));
+  const describe = match => ({
+    id: match.id,
+    round: match.round,
+    group: match.group,
+    status: match.status,
+    slots: match.players.map((playerId, index) => ({
+      player: playerId ? { id: playerId, username: players.get(playerId)?.username, seed: players.get(playerId)?.seed } : null,
+      bye: match.resolved[index] && !playerId
+    })),
+    winnerId: match.winner_id,
+    score: match.score,
+    roomCode: match.room_code
+  });
+
+  const byRound = bracket => {
+    const rounds = [];
+    tournament.matches.filter(match => match.bracket === bracket).forEach(match => {
+      (rounds[match.round - 1] = rounds[match.round - 1] || []).push(describe(match));
+    });
+    return rounds;
+  };
+
+  return {
+    id: tournament.id,
+    name: tournament.name,
+    format: tournament.format,
+    status: tournament.status,
+    winnerId: tournament.winner_id,
+    players: tournament.players,
+    winners: byRound('winners'),
+    losers: byRound('losers'),
+    final: byRound('final'),
+    groups: (tournament.groups || []).map(group => ({
+      name: group.name,
+      standings: groupStandings(tournament, group),
+      matches: tournament.matches.filter(m => m.bracket === 'group' && m.group === group.name).map(describe)
+    })),
+    knockout: byRound('knockout')
+  };
+}
+
+// How many times a change is read and applied again after another save got in first
+const SAVE_ATTEMPTS = 5;
+
+function createTournamentService({ supabase = null } = {}) {
+  const tournaments = createCollection('tournaments', { supabase });
+
+  // Only saves if nobody saved since the tournament was read (compare-and-set on `revision`).
+  // Returns the saved tournament, or null on a conflict
+  async function save(tournament) {
+    return tournaments.update(tournament.id, {
+      status: tournament.status,
+      players: tournament.players,
+      groups: tournament.groups,
+      matches: tournament.matches,
+      winner_id: tournament.winner_id,
+      completed: tournament.completed || null,
+      revision: (tournament.revision || 0) + 1
+    }, { where: { revision: tournament.revision ?? null } });
+  }
+
+  // Read the tournament, apply `change` and save it, starting over from a fresh read when
+  // another save got in first (e.g. two round-one results reported at once). `change` returns
+  // { error, statusCode } to give up, or the fields to answer with alongside the tournament
+  async function modify(id, change) {
+    for (let attempt = 0; attempt < SAVE_ATTEMPTS; attempt++) {
+      const tournament = await tournaments.get(id);
+      if (!tournament) return { error: 'Tournament not found', statusCode: 404 };
+
+      const result = change(tournament);
+      if (result.error) return result;
+
+      const saved = await save(tournament);
+      if (saved) return { ...result, tournament: saved };
+    }
+    return { error: 'The tournament was changed by someone else, please try again', statusCode: 409 };
+  }
+
+  return {
+    async create({ name, format, gameSettings, groupSize, advancePerGroup }, owner) {
+      if (!name || typeof name !== 'string') {
+        return { error: 'Tournament name is required', statusCode: 400 };
+      }
+      if (!FORMATS.includes(format)) {
+        return { error: `Format must be one of: ${FORMATS.join(', ')}`, statusCode: 400 };
+      }
+
+      const tournament = await tournaments.insert({
+        id: crypto.randomUUID(),
+        name: name.trim(),
+        format,
+        game_settings: gameSettings || null,
+        group_size: Math.max(parseInt(groupSize, 10) || 4, 2),
+        advance_per_group: Math.max(parseInt(advancePerGroup, 10) || 2, 1),
+        owner_id: owner.id,
+        status: 'registration',
+        players: [],
+        groups: null,
+        matches: [],
+        winner_id: null,
+        created: new Date().toISOString(),
+        completed: null,
+        revision: 1
+      });
+      return { tournament };
+    },
+
+    async list() {
+      const all = await tournaments.list({ orderBy: 'created', ascending: false });
+      return all.map(({ matches, groups, ...summary }) => summary);
+    },
+
+    async get(id) {
+      return tournaments.get(id);
+    },
+
+    async bracket(id) {
+      const tournament = await tournaments.get(id);
+      return tournament ? bracketView(tournament) : null;
+    },
+
+    async register(id, player) {
+      return modify(id, tournament => {
+        if (tournament.status !== 'registration') return { error: 'Registration is closed', statusCode: 409 };
+        if (tournament.players.some(p => p.id === player.id)) return { error: 'Already registered', statusCode: 409 };
+
+        tournament.players.push({ id: player.id, username: player.username, seed: null });
+        return {};
+      });
+    },
+
+    // Seeds default to registration order; `seeds` lists player ids best first
+    async start(id, { seeds } = {}, player) {
+      return modify(id, tournament => {
+        if (tournament.owner_id !== player.id) return { error: 'Only the organiser can start the tournament', statusCode: 403 };
+        if (tournament.status !== 'registration') return { error: 'Tournament has already started', statusCode: 409 };
+        if (tournament.players.length < 2) return { error: 'A tournament needs at least two players', statusCode: 400 };
+
+        const registered = tournament.players.map(p => p.id);
+        const preferred = Array.isArray(seeds) ? seeds.filter(seed => registered.includes(seed)) : [];
+        const seeded = [...new Set([...preferred, ...registered])];
+
+        tournament.players = seeded.map((playerId, index) => ({
+          ...tournament.players.find(p => p.id === playerId),
+          seed: index + 1
+        }));
+
+        return { ready: startBracket(tournament, seeded) };
+      });
+    },
+
+    async reportResult(id, matchId, { winnerId, score }) {
+      return modify(id, tournament => {
+        if (tournament.status !== 'in_progress') return { error: 'Tournament is not in progress', statusCode: 409 };
+
+        const result = reportResult(tournament, matchId, winnerId, score);
+        if (result.error) return result;
+        return { match: result.match, ready: result.ready };
+      });
+    },
+
+    // The saved tournament, or null if the match does not exist
+    async setMatchRoom(id, matchId, roomCode) {
+      const result = await modify(id, tournament => {
+        const match = findMatch(tournament, matchId);
+        if (!match) return { error: 'Match not found', statusCode: 404 };
+
+        match.room_code = roomCode;
+        return {};
+      });
+      return result.error ? null : result.tournament;
+    }
+  };
+}
+
+module.exports = {
+  FORMATS,
+  seedOrder,
+  buildElimination,
+  buildDoubleElimination,
+  reportResult,
+  startBracket,
+  bracketView,
+  createTournamentService
+};
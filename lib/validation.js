@@ -0,0 +1,126 @@
+// Minimal schema validation for request bodies and socket payloads. A schema is a plain object:
+//   { type: 'object' | 'array' | 'string' | 'integer' | 'number' | 'boolean',
+//     required, nullable, properties, items, minItems, maxItems, minLength, maxLength, pattern,
+//     values, min, max, maxBytes, discriminator, variants, defaultVariant }
+// Objects with `properties` keep only the listed keys; objects without them are passed through
+// whole (e.g. WebRTC descriptions) and are bounded by `maxBytes` instead. Objects with a
+// `discriminator` take their properties from `variants[value[discriminator]]` (or `defaultVariant`
+// when the key is missing), so each kind of object is checked against its own properties
+
+function describe(type) {
+  return type === 'integer' || type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`;
+}
+
+function check(schema, value, path, errors) {
+  if (value === undefined) {
+    if (schema.required) errors.push(`${path} is required`);
+    return undefined;
+  }
+  if (value === null) {
+    if (!schema.nullable) errors.push(`${path} must not be null`);
+    return null;
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be an object`);
+        return undefined;
+      }
+      if (schema.maxBytes && JSON.stringify(value).length > schema.maxBytes) {
+        errors.push(`${path} must be at most ${schema.maxBytes} bytes`);
+        return undefined;
+      }
+
+      let properties = schema.properties;
+      if (schema.discriminator) {
+        const key = schema.discriminator;
+        const variant = value[key] === undefined ? schema.defaultVariant : value[key];
+        if (!Object.prototype.hasOwnProperty.call(schema.variants, variant)) {
+          errors.push(`${path}.${key} must be one of: ${Object.keys(schema.variants).join(', ')}`);
+          return undefined;
+        }
+        properties = { ...schema.variants[variant], [key]: { type: 'string' } };
+      }
+      if (!properties) return value;
+
+      const result = {};
+      Object.entries(properties).forEach(([key, property]) => {
+        const checked = check(property, value[key], `${path}.${key}`, errors);
+        if (checked !== undefined) result[key] = checked;
+      });
+      return result;
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be an array`);
+        return undefined;
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path} must have at most ${schema.maxItems} items`);
+        return undefined;
+      }
+      return schema.items ? value.map((item, index) => check(schema.items, item, `${path}[${index}]`, errors)) : value;
+    }
+
+    case 'string': {
+      if (typeof value !== 'string') {
+        errors.push(`${path} must be a string`);
+        return undefined;
+      }
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path} must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path} must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${path} has an invalid format`);
+      }
+      if (schema.values && !schema.values.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.values.join(', ')}`);
+      }
+      return value;
+    }
+
+    case 'integer':
+    case 'number': {
+      // Numeric strings are accepted (form posts, older clients) and converted
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number) || (schema.type === 'integer' && !Number.isInteger(number))) {
+        errors.push(`${path} must be ${describe(schema.type)}`);
+        return undefined;
+      }
+      if (schema.min !== undefined && number < schema.min) errors.push(`${path} must be at least ${schema.min}`);
+      if (schema.max !== undefined && number > schema.max) errors.push(`${path} must be at most ${schema.max}`);
+      return number;
+    }
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${path} must be a boolean`);
+        return undefined;
+      }
+      return value;
+
+    default:
+      return value;
+  }
+}
+
+// Returns { value } with the cleaned value, or { error, details } listing every problem
+function validate(schema, value, label = 'body') {
+  const errors = [];
+  const result = check(schema, value, label, errors);
+
+  if (errors.length > 0) {
+    return { error: errors.join('; '), details: errors };
+  }
+  return { value: result };
+}
+
+module.exports = { validate };
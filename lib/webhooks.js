@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+
+// Outbound webhooks: admins register endpoint URLs subscribed to events. Each event becomes one
+// delivery per subscribed webhook, signed with the webhook's secret, retried with exponential
+// backoff and kept in the webhook's delivery log. The `discord` format posts a Discord embed so a
+// Discord channel webhook URL can be registered as-is
+
+const EVENTS = [
+  'room.created',
+  'room.player_joined',
+  'match.started',
+  'match.leg_won',
+  'match.180',
+  'match.finished',
+  'schedule.reminder'
+];
+
+const FORMATS = ['json', 'discord'];
+
+// Sent to a single webhook from the admin API to check it can be reached; nothing subscribes to it
+const PING_EVENT = 'ping';
+
+// HMAC-SHA256 of "<timestamp>.<body>", hex, as the receiver should compute it
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function scoreLine({ players, legsWon }) {
+  return `${players[0]} ${legsWon[0]} - ${legsWon[1]} ${players[1]}`;
+}
+
+// Discord embed text and colour for each event
+const EMBEDS = {
+  'room.created': data => ({
+    title: `Room ${data.roomCode} is open`,
+    description: `${data.host} is waiting for an opponent - ${data.game}`,
+    color: 0x3498db
+  }),
+  'room.player_joined': data => ({
+    title: `${data.player} joined room ${data.roomCode}`,
+    color: 0x95a5a6
+  }),
+  'match.started': data => ({
+    title: data.players.join(' vs '),
+    description: `Match started in room ${data.roomCode} - ${data.game}`,
+    color: 0x2ecc71
+  }),
+  'match.leg_won': data => ({
+    title: `${data.player} wins ${data.setsToWin > 1 ? `set ${data.set} ` : ''}leg ${data.leg}`,
+    description: scoreLine(data),
+    color: 0xf1c40f
+  }),
+  'match.180': data => ({
+    title: 'ONE HUNDRED AND EIGHTY!',
+    description: `${data.player} in room ${data.roomCode}`,
+    color: 0xe74c3c
+  }),
+  'match.finished': data => ({
+    title: `${data.winner} wins`,
+    description: scoreLine(data),
+    color: 0x9b59b6
+  }),
+  'schedule.reminder': data => ({
+    title: `${data.players.join(' vs ')} in ${data.minutesBefore} minutes`,
+    description: `Scheduled for ${data.startAt}`,
+    color: 0xe67e22
+  }),
+  [PING_EVENT]: () => ({
+    title: 'Webhook test',
+    description: 'DDL Arena can reach this webhook',
+    color: 0x95a5a6
+  })
+};
+
+function render(format, delivery) {
+  if (format !== 'discord') {
+    return { id: delivery.id, event: delivery.event, created: delivery.created, data: delivery.data };
+  }
+
+  return {
+    username: 'DDL Arena',
+    embeds: [{
+      ...EMBEDS[delivery.event](delivery.data),
+      footer: { text: delivery.event },
+      timestamp: delivery.created
+    }]
+  };
+}
+
+// Seconds (or an HTTP date) from a Retry-After header, in milliseconds
+function retryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = new Date(header).getTime();
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+// A 4xx other than a timeout or rate limit will fail the same way again
+function isRetryable(statusCode) {
+  return statusCode === null || statusCode >= 500 || statusCode === 408 || statusCode === 429;
+}
+
+function createWebhookService({
+  supabase = null,
+  fetch = globalThis.fetch,
+  timeoutMs = 5 * 1000,
+  maxAttempts = 5,
+  backoffMs = 2 * 1000,
+  logLimit = 100,
+  cacheMs = 15 * 1000
+} = {}) {
+  const webhooks = createCollection('webhooks', { supabase });
+  const deliveries = createCollection('webhook_deliveries', { supabase });
+
+  // Every event looks up its subscribers, so active webhooks are cached like bans are
+  let cached = null; // { webhooks, loadedAt }
+
+  async function activeWebhooks() {
+    const now = Date.now();
+    if (!cached || now - cached.loadedAt > cacheMs) {
+      cached = { webhooks: await webhooks.list({ where: { active: true } }), loadedAt: now };
+    }
+    return cached.webhooks;
+  }
+
+  // The secret is only shown when the webhook is registered
+  function withoutSecret(webhook) {
+    if (!webhook) return null;
+    const { secret, ...rest } = webhook;
+    return rest;
+  }
+
+  function checkUrl(text) {
+    try {
+      const { protocol } = new URL(text);
+      return protocol === 'http:' || protocol === 'https:' ? null : 'url must be http or https';
+    } catch (error) {
+      return 'url must be a URL';
+    }
+  }
+
+  // One attempt at a delivery. The delivery is claimed first (its attempt count is compared and
+  // its next attempt pushed back) so the same attempt is never made twice. Null if already claimed
+  async function attempt(webhook, delivery) {
+    const attempts = delivery.attempts + 1;
+    const claimed = await deliveries.update(delivery.id, {
+      attempts,
+      next_attempt_at: new Date(Date.now() + timeoutMs + backoffMs).toISOString()
+    }, { where: { status: 'pending', attempts: delivery.attempts } });
+    if (!claimed) return null;
+
+    const body = JSON.stringify(render(webhook.format, claimed));
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+
+    let statusCode = null;
+    let error = null;
+    let retryAfter = null;
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'DDL-Arena-Webhooks',
+          'X-DDL-Event': claimed.event,
+          'X-DDL-Delivery': claimed.id,
+          'X-DDL-Timestamp': String(timestamp),
+          'X-DDL-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      statusCode = response.status;
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+        retryAfter = retryAfterMs(response.headers.get('retry-after'));
+      }
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `No response within ${timeoutMs}ms` : err.message;
+    }
+
+    const history = [...claimed.history, {
+      at: new Date(started).toISOString(),
+      statusCode,
+      error,
+      durationMs: Date.now() - started
+    }];
+
+    if (!error) {
+      return deliveries.update(delivery.id, {
+        status: 'delivered',
+        history,
+        next_attempt_at: null,
+        delivered: new Date().toISOString()
+      });
+    }
+
+    if (attempts >= maxAttempts || !isRetryable(statusCode)) {
+      return deliveries.update(delivery.id, { status: 'failed', history, next_attempt_at: null });
+    }
+
+    // backoffMs, then doubling; a longer Retry-After (e.g. a Discord rate limit) wins
+    const delay = Math.max(backoffMs * 2 ** (attempts - 1), retryAfter || 0);
+    return deliveries.update(delivery.id, {
+      history,
+      next_attempt_at: new Date(Date.now() + delay).toISOString()
+    });
+  }
+
+  async function enqueue(webhook, event, data) {
+    const now = new Date().toISOString();
+    const delivery = await deliveries.insert({
+      id: crypto.randomUUID(),
+      webhook_id: webhook.id,
+      event,
+      data,
+      status: 'pending',
+      attempts: 0,
+      history: [],
+      next_attempt_at: now,
+      created: now,
+      delivered: null
+    });
+    return attempt(webhook, delivery);
+  }
+
+  // Keep the newest logLimit finished deliveries of each webhook
+  async function pruneLog(webhookId) {
+    const finished = (await deliveries.list({ where: { webhook_id: webhookId }, orderBy: 'created', ascending: false }))
+      .filter(delivery => delivery.status !== 'pending');
+    for (const delivery of finished.slice(logLimit)) {
+      await deliveries.remove(delivery.id);
+    }
+  }
+
+  return {
+    async register({ url, events, format = 'json', secret = null, description = null }, admin) {
+      const urlError = checkUrl(url);
+      if (urlError) return { error: urlError, statusCode: 400 };
+
+      const webhook = await webhooks.insert({
+        id: crypto.randomUUID(),
+        url,
+        events: Array.from(new Set(events)),
+        format,
+        description,
+        secret: secret || crypto.randomBytes(32).toString('hex'),
+        active: true,
+        created: new Date().toISOString(),
+        created_by: admin.id
+      });
+      cached = null;
+      return { webhook };
+    },
+
+    async update(id, changes) {
+      if (changes.url !== undefined) {
+        const urlError = checkUrl(changes.url);
+        if (urlError) return { error: urlError, statusCode: 400 };
+      }
+
+      const fields = {};
+      ['url', 'format', 'description', 'active'].forEach(key => {
+        if (changes[key] !== undefined) fields[key] = changes[key];
+      });
+      if (changes.events !== undefined) fields.events = Array.from(new Set(changes.events));
+
+      const webhook = await webhooks.update(id, fields);
+      if (!webhook) return { error: 'Webhook not found', statusCode: 404 };
+
+      cached = null;
+      return { webhook: withoutSecret(webhook) };
+    },
+
+    // Its delivery log goes with it
+    async remove(id) {
+      const webhook = await webhooks.get(id);
+      if (!webhook) return { error: 'Webhook not found', statusCode: 404 };
+
+      await webhooks.remove(id);
+      for (const delivery of await deliveries.list({ where: { webhook_id: id } })) {
+        await deliveries.remove(delivery.id);
+      }
+      cached = null;
+      return { webhook: withoutSecret(webhook) };
+    },
+
+    async list() {
+      return (await webhooks.list({ orderBy: 'created' })).map(withoutSecret);
+    },
+
+    async get(id) {
+      return withoutSecret(await webhooks.get(id));
+    },
+
+    // Most recent first
+    async deliveries(webhookId, { limit = 50 } = {}) {
+      return deliveries.list({ where: { webhook_id: webhookId }, orderBy: 'created', ascending: false, limit });
+    },
+
+    // Queue the event for every active webhook subscribed to it and make the first attempts.
+    // Resolves with those deliveries once the attempts are done
+    async dispatch(event, data) {
+      const subscribed = (await activeWebhooks()).filter(webhook => webhook.events.includes(event));
+      return Promise.all(subscribed.map(webhook => enqueue(webhook, event, data)));
+    },
+
+    // Send a ping to one webhook, whatever it subscribes to. Resolves with the delivery
+    async ping(id) {
+      const webhook = await webhooks.get(id);
+      if (!webhook) return { error: 'Webhook not found', statusCode: 404 };
+      return { delivery: await enqueue(webhook, PING_EVENT, { webhookId: id }) };
+    },
+
+    // Retry deliveries whose next attempt is due and trim the delivery logs. Returns how many
+    // attempts were made
+    async retryDue(now = Date.now()) {
+      const due = (await deliveries.list({ where: { status: 'pending' }, orderBy: 'next_attempt_at' }))
+        .filter(delivery => new Date(delivery.next_attempt_at).getTime() <= now);
+
+      let attempted = 0;
+      for (const delivery of due) {
+        const webhook = await webhooks.get(delivery.webhook_id);
+        if (!webhook || !webhook.active) {
+          await deliveries.update(delivery.id, { status: 'failed', next_attempt_at: null }, { where: { status: 'pending' } });
+          continue;
+        }
+        if (await attempt(webhook, delivery)) attempted += 1;
+      }
+
+      for (const webhook of await webhooks.list()) {
+        await pruneLog(webhook.id);
+      }
+      return attempted;
+    }
+  };
+}
+
+module.exports = {
+  EVENTS,
+  FORMATS,
+  PING_EVENT,
+  sign,
+  createWebhookService
+};
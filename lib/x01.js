@@ -0,0 +1,232 @@
+const format = require('./match-format');
+const { suggestCheckout } = require('./checkout');
+
+// X01 match engine - the server owns turn order, scores, busts and leg/set progression
+
+const DEFAULT_SETTINGS = {
+  startingScore: 501,
+  ...format.FORMAT_DEFAULTS,
+  doubleOut: true,
+  doubleIn: false,
+  startingScores: null
+};
+
+// `startingScores` is a handicap: [host, opponent] starting scores used instead of startingScore
+const SETTINGS_SCHEMA = {
+  startingScore: { type: 'integer', min: 101, max: 1001 },
+  startingScores: {
+    type: 'array',
+    nullable: true,
+    minItems: 2,
+    maxItems: 2,
+    items: { type: 'integer', required: true, min: 101, max: 1001 }
+  },
+  doubleOut: { type: 'boolean' },
+  doubleIn: { type: 'boolean' }
+};
+
+// Scores that cannot be hit with three darts
+const IMPOSSIBLE_SCORES = new Set([163, 166, 169, 172, 173, 175, 176, 178, 179]);
+
+// Scores under the maximum that have no double-out finish
+const BOGEY_NUMBERS = new Set([159, 162, 163, 165, 166, 168, 169]);
+
+function normalizeSettings(settings = {}) {
+  const merged = { ...DEFAULT_SETTINGS, ...settings };
+  const startingScore = parseInt(merged.startingScore, 10) || DEFAULT_SETTINGS.startingScore;
+  const startingScores = Array.isArray(merged.startingScores) && merged.startingScores.length === 2
+    ? merged.startingScores.map(score => parseInt(score, 10) || startingScore)
+    : null;
+
+  return {
+    startingScore,
+    ...format.normalizeFormat(merged),
+    doubleOut: merged.doubleOut !== false,
+    doubleIn: merged.doubleIn === true,
+    startingScores
+  };
+}
+
+function startingScoresFor(settings) {
+  return settings.startingScores || [settings.startingScore, settings.startingScore];
+}
+
+function describe(settings) {
+  const s = normalizeSettings(settings);
+  const handicap = s.startingScores ? ` (handicap ${s.startingScores.join('/')})` : '';
+  return `${s.startingScore}${handicap} ${s.doubleOut ? 'double-out' : 'straight-out'}${s.doubleIn ? ' double-in' : ''}, ${format.describeFormat(s)}`;
+}
+
+// Matchmaking queue key; handicaps are agreed between players so are not part of it
+function formatKey(settings) {
+  const s = normalizeSettings(settings);
+  return `${s.startingScore}:${s.doubleIn ? 'DI' : 'SI'}${s.doubleOut ? 'DO' : 'SO'}:L${s.legsToWin}:S${s.setsToWin}`;
+}
+
+function isCheckoutable(remaining, doubleOut = true) {
+  if (!doubleOut) return remaining >= 1 && remaining <= 180 && !IMPOSSIBLE_SCORES.has(remaining);
+  return remaining >= 2 && remaining <= 170 && !BOGEY_NUMBERS.has(remaining);
+}
+
+function startLeg(match) {
+  const { doubleIn } = match.settings;
+  match.remaining = startingScoresFor(match.settings).slice();
+  match.opened = [!doubleIn, !doubleIn];
+}
+
+// Players are [host, opponent], matching the order of a handicap's startingScores
+function createMatch(settings, players) {
+  const match = format.createMatchState('x01', 'X01', normalizeSettings(settings), players);
+  startLeg(match);
+  return match;
+}
+
+// Dart-by-dart entry: bust and double-in/out rules are checked per dart
+function scoreDartVisit(match, playerIndex, darts) {
+  const { doubleOut } = match.settings;
+  let remaining = match.remaining[playerIndex];
+  let opened = match.opened[playerIndex];
+  let score = 0;
+  const thrown = [];
+
+  for (const dart of format.parseDarts(darts)) {
+    thrown.push(dart);
+
+    if (!opened) {
+      if (dart.multiplier !== 2) continue;
+      opened = true;
+    }
+
+    remaining -= dart.score;
+    score += dart.score;
+
+    if (remaining < 0 || (doubleOut && remaining === 1)) {
+      return { score: 0, darts: thrown, bust: true, checkout: false, opened };
+    }
+
+    if (remaining === 0) {
+      if (doubleOut && dart.multiplier !== 2) {
+        return { score: 0, darts: thrown, bust: true, checkout: false, opened };
+      }
+      return { score, darts: thrown, bust: false, checkout: true, opened };
+    }
+  }
+
+  return { score, darts: thrown, bust: false, checkout: false, opened };
+}
+
+// Total-score entry: the player keys in the visit total, as on a scoreboard. The total alone does
+// not show which darts were doubles, so a player who still has to double in says whether the
+// visit opened on a double (`openedOnDouble`), and a checkout has to be possible in `dartsUsed`
+function scoreTotalVisit(match, playerIndex, visit) {
+  const score = Number(visit.score);
+  if (!Number.isInteger(score) || score < 0 || score > 180 || IMPOSSIBLE_SCORES.has(score)) {
+    throw new Error(`Invalid visit score: ${visit.score}`);
+  }
+
+  let dartsUsed = 3;
+  if (visit.dartsUsed !== undefined) {
+    dartsUsed = Number(visit.dartsUsed);
+    if (!Number.isInteger(dartsUsed) || dartsUsed < 1 || dartsUsed > 3) {
+      throw new Error(`Invalid darts used: ${visit.dartsUsed}`);
+    }
+  }
+
+  const { doubleOut } = match.settings;
+  const wasOpened = match.opened[playerIndex];
+  let opened = wasOpened;
+  if (!wasOpened && score > 0) {
+    if (typeof visit.openedOnDouble !== 'boolean') {
+      throw new Error('Say whether the visit opened on a double (openedOnDouble) until you have doubled in');
+    }
+    if (!visit.openedOnDouble) {
+      throw new Error('Nothing scores until you double in');
+    }
+    opened = true;
+  }
+
+  const before = match.remaining[playerIndex];
+  const remaining = before - score;
+
+  if (remaining < 0 || (doubleOut && remaining === 1)) {
+    return { score: 0, dartsUsed: 3, bust: true, checkout: false, opened };
+  }
+
+  if (remaining === 0) {
+    const finish = suggestCheckout(before, { dartsLeft: dartsUsed, doubleOut, doubleIn: !wasOpened });
+    if (!finish.checkout) {
+      throw new Error(`${before} cannot be checked out with ${dartsUsed} dart${dartsUsed === 1 ? '' : 's'}`);
+    }
+    return { score, dartsUsed, bust: false, checkout: true, opened };
+  }
+
+  return { score, dartsUsed: 3, bust: false, checkout: false, opened };
+}
+
+function applyVisit(match, playerIndex, visit) {
+  format.checkTurn(match, playerIndex);
+  if (!visit || (visit.darts === undefined && visit.score === undefined)) {
+    throw new Error('A visit needs either darts or a score');
+  }
+
+  const remainingBefore = match.remaining[playerIndex];
+  const result = visit.darts !== undefined
+    ? scoreDartVisit(match, playerIndex, visit.darts)
+    : scoreTotalVisit(match, playerIndex, visit);
+
+  const remainingAfter = remainingBefore - result.score;
+  match.remaining[playerIndex] = remainingAfter;
+  match.opened[playerIndex] = result.opened;
+
+  const entry = {
+    ...format.visitBase(match, playerIndex),
+    score: result.score,
+    darts: result.darts || null,
+    dartsUsed: result.darts ? result.darts.length : result.dartsUsed,
+    remainingBefore,
+    remainingAfter,
+    bust: result.bust,
+    checkout: result.checkout,
+    timestamp: new Date().toISOString()
+  };
+  match.visits.push(entry);
+
+  if (result.checkout) {
+    if (!format.completeLeg(match, playerIndex)) startLeg(match);
+  } else {
+    match.currentPlayer = 1 - playerIndex;
+  }
+
+  return entry;
+}
+
+// Checkout routes for a player who can finish this visit, otherwise null
+function checkoutFor(match, index) {
+  const suggestion = suggestCheckout(match.remaining[index], {
+    doubleOut: match.settings.doubleOut,
+    doubleIn: !match.opened[index]
+  });
+  return suggestion.checkout ? suggestion : null;
+}
+
+function serializeMatch(match) {
+  return format.serializeFormat(match, index => ({
+    remaining: match.remaining[index],
+    checkout: match.status === 'in_progress' ? checkoutFor(match, index) : null
+  }));
+}
+
+module.exports = {
+  MODE: 'x01',
+  NAME: 'X01',
+  DEFAULT_SETTINGS,
+  SETTINGS_SCHEMA,
+  BOGEY_NUMBERS,
+  normalizeSettings,
+  describe,
+  formatKey,
+  isCheckoutable,
+  createMatch,
+  applyVisit,
+  serializeMatch
+};
@@ -1,41 +1,165 @@
 const http = require('http');
+const { AsyncResource } = require('async_hooks');
 const url = require('url');
+const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
 const { Server } = require('socket.io');
+const games = require('./lib/games');
+const matchEvents = require('./lib/match-events');
+const { createMemoryRoomStore, createSupabaseRoomStore } = require('./lib/store/room-store');
+const { createMemoryPlayerStore, createSupabasePlayerStore } = require('./lib/store/player-store');
+const { createMemoryMatchStore, createSupabaseMatchStore } = require('./lib/store/match-store');
+const { createMemoryPresenceStore, createSupabasePresenceStore } = require('./lib/store/presence-store');
+const { createMemorySnapshotStore, createSupabaseSnapshotStore } = require('./lib/store/snapshot-store');
+const { computeStats } = require('./lib/player-stats');
+const { suggestCheckout } = require('./lib/checkout');
+const { createLeagueService } = require('./lib/leagues');
+const { createTournamentService } = require('./lib/tournaments');
+const { createRatingService } = require('./lib/ratings');
+const { createModerationService } = require('./lib/moderation');
+const { createChatService } = require('./lib/chat');
+const { STATUSES: SCHEDULE_STATUSES, createScheduleService, awaitingPlayers } = require('./lib/schedule');
+const { createWebhookService } = require('./lib/webhooks');
+const { createAuthenticator, bearerToken, publicPlayer } = require('./lib/auth');
+const { createMatchmaker } = require('./lib/matchmaking');
+const { createMemoryBus, createSupabaseBus, createBusAdapter } = require('./lib/cluster');
+const { createIceProvider, createIceService } = require('./lib/ice');
+const { loadConfig, redactConfig } = require('./lib/config');
+const { validate } = require('./lib/validation');
+const { BODY_SCHEMAS, EVENT_SCHEMAS, ADMIN_EVENT_SCHEMAS } = require('./lib/schemas');
+const { createRateLimiter } = require('./lib/rate-limit');
+const { createHealthChecker } = require('./lib/health');
+const { logger, withContext, addContext } = require('./lib/logger');
+const { registry: metricsRegistry, timeExternal } = require('./lib/metrics');
+
+// Configuration: defaults < NODE_ENV profile < CONFIG_FILE < env vars (see lib/config.js).
+// Anything invalid stops the server here with the full list of problems
+let config;
+let configSources;
+try {
+  ({ config, sources: configSources } = loadConfig());
+} catch (error) {
+  logger.error('Invalid configuration', { problems: error.problems || [error.message] });
+  process.exit(1);
+}
+logger.configure(config.log);
 
 // Supabase initialization
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_KEY = process.env.SUPABASE_KEY;
-const supabase = SUPABASE_URL && SUPABASE_KEY ? createClient(SUPABASE_URL, SUPABASE_KEY) : null;
+const supabase = config.supabase.url ? createClient(config.supabase.url, config.supabase.key) : null;
+const roomStore = supabase ? createSupabaseRoomStore(supabase) : createMemoryRoomStore();
+const playerStore = supabase ? createSupabasePlayerStore(supabase) : createMemoryPlayerStore();
+const matchStore = supabase ? createSupabaseMatchStore(supabase) : createMemoryMatchStore();
+const snapshots = supabase ? createSupabaseSnapshotStore(supabase) : createMemorySnapshotStore();
+const leagues = createLeagueService({ supabase });
+const tournaments = createTournamentService({ supabase });
+const ratings = createRatingService({ supabase });
+const moderation = createModerationService({ supabase });
+const chat = createChatService({ supabase, filterWords: config.chat.filterWords, historyLimit: config.chat.historyLimit });
+const schedule = createScheduleService({
+  supabase,
+  openWindowMs: config.schedule.openWindowMs,
+  reminderMinutes: config.schedule.reminderMinutes,
+  noShowGraceMs: config.schedule.noShowGraceMs
+});
+const webhooks = createWebhookService({
+  supabase,
+  timeoutMs: config.webhooks.timeoutMs,
+  maxAttempts: config.webhooks.maxAttempts,
+  backoffMs: config.webhooks.backoffMs,
+  logLimit: config.webhooks.logLimit
+});
 
-// Xirsys Configuration for DDL Arena
-const XIRSYS_CONFIG = {
-  ident: 'ddlarena',
-  secret: 'f6cd9c98-71fc-11f0-bc80-0242ac150003',
-  gateway: 'global.xirsys.net',
-  path: '/ddlarena'
+// Presence and the Socket.IO bus are shared by all instances. CLUSTER_BACKEND=supabase shares them
+// through Supabase tables and Realtime; otherwise they only span the instances in this process
+const CLUSTER_BACKEND = config.cluster.backend;
+const presence = CLUSTER_BACKEND === 'supabase' ? createSupabasePresenceStore(supabase) : createMemoryPresenceStore();
+const bus = CLUSTER_BACKEND === 'supabase' ? createSupabaseBus(supabase) : createMemoryBus();
+
+// Prometheus metrics served at /metrics (lib/metrics.js also records Supabase and Xirsys calls).
+// Room and match gauges are read from presence, so every instance reports the cluster-wide figure
+const metrics = {
+  httpDuration: metricsRegistry.histogram({
+    name: 'ddl_http_request_duration_seconds',
+    help: 'HTTP request latency by route',
+    labelNames: ['method', 'route', 'status']
+  }),
+  signalingMessages: metricsRegistry.counter({
+    name: 'ddl_signaling_messages_total',
+    help: 'WebRTC signaling messages relayed, by type and whether they reached their target',
+    labelNames: ['type', 'result']
+  }),
+  connectedSockets: metricsRegistry.gauge({
+    name: 'ddl_connected_sockets',
+    help: 'Socket.IO connections to this instance'
+  }),
+  activeRooms: metricsRegistry.gauge({
+    name: 'ddl_active_rooms',
+    help: 'Rooms with at least one player seated',
+    collect: async gauge => gauge.set({}, (await presence.counts()).activeRooms)
+  }),
+  matchesInProgress: metricsRegistry.gauge({
+    name: 'ddl_matches_in_progress',
+    help: 'Server-scored matches being played',
+    collect: async gauge => gauge.set({}, await presence.countMatches('in_progress'))
+  })
 };
 
-// CORS configuration for your Netlify frontend
-const ALLOWED_ORIGINS = [
-  'https://discorddartsleagues.netlify.app',
-  'http://localhost:3000',
-  'http://localhost:8080',
-  'http://127.0.0.1:3000',
-  'http://127.0.0.1:8080'
-];
+// Session tokens are signed with SESSION_SECRET; without it tokens only last until restart
+const SESSION_SECRET = config.session.secret || crypto.randomBytes(32).toString('hex');
+if (!config.session.secret) {
+  logger.warn('SESSION_SECRET not set - using a random secret, sessions will not survive a restart');
+}
+const auth = createAuthenticator({ secret: SESSION_SECRET, players: playerStore, supabase });
+
+// Xirsys Configuration for DDL Arena
+const XIRSYS_CONFIG = config.xirsys;
+
+// ICE servers for WebRTC: ICE_PROVIDER picks xirsys, coturn (TURN REST API secret) or static.
+// Defaults to Xirsys when it is configured, otherwise the public STUN/TURN list
+const iceService = createIceService({
+  provider: createIceProvider({
+    provider: config.ice.provider,
+    xirsys: { ...XIRSYS_CONFIG, ttl: config.ice.ttl },
+    coturn: {
+      urls: config.ice.turnUrls,
+      stunUrls: config.ice.stunUrls,
+      secret: config.ice.turnSecret,
+      ttl: config.ice.ttl
+    },
+    iceServers: config.ice.servers || undefined
+  })
+});
+
+// CORS origins (CORS_ORIGINS) for the Netlify frontend and local development
+const ALLOWED_ORIGINS = config.cors.origins;
+
+const DEFAULT_MAX_SPECTATORS = config.rooms.maxSpectators;
+
+// How long a dropped player's seat is held before they are removed from the room
+const RECONNECT_GRACE_MS = config.rooms.reconnectGraceMs;
 
-// Store active video rooms and users
-const activeVideoRooms = new Map(); // roomId -> Set of socket IDs
-const userSockets = new Map(); // socketId -> {roomId, username, isHost}
-const roomLifecycle = new Map(); // roomId -> {created, lastActivity, status, participants}
+// Instances heartbeat into presence; one that misses heartbeats for the timeout is treated as gone
+const INSTANCE_HEARTBEAT_MS = config.cluster.heartbeatMs;
+const INSTANCE_TIMEOUT_MS = config.cluster.instanceTimeoutMs;
+const CLEANUP_INTERVAL_MS = config.cleanup.intervalMs;
+const STALE_ROOM_MS = config.cleanup.staleRoomMs;
+const SCHEDULE_TICK_MS = config.schedule.tickMs;
+const WEBHOOK_RETRY_INTERVAL_MS = config.webhooks.retryIntervalMs;
+
+// How many times a match event is applied again after another save to the match got in first
+const MATCH_SAVE_ATTEMPTS = 3;
+
+// How long after the winning visit the players have to confirm, undo or dispute it before the
+// result is recorded
+const RESULT_CONFIRM_WINDOW_MS = config.match.confirmWindowMs;
 
 // Utility functions
 function setCORSHeaders(res, origin = null) {
   const corsOrigin = ALLOWED_ORIGINS.includes(origin) ? origin : ALLOWED_ORIGINS[0];
   res.setHeader('Access-Control-Allow-Origin', corsOrigin);
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-Id');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id, Retry-After');
   res.setHeader('Access-Control-Allow-Credentials', 'true');
 }
 
@@ -47,118 +171,292 @@ function sendJSON(res, data, statusCode = 200, origin = null) {
   res.end(JSON.stringify(data));
 }
 
-function parseBody(req, callback) {
-  let body = '';
+// Reads a JSON body of at most BODY_LIMIT_BYTES and validates it against `schema`. Errors carry
+// the status to answer with: 413 for oversized bodies, 400 for anything else
+function parseBody(req, schema, onBody) {
+  // Body events arrive outside the request's async context, so the callback keeps its own
+  const callback = AsyncResource.bind(onBody);
+  const limit = config.http.bodyLimitBytes;
+  const chunks = [];
+  let size = 0;
+  let failed = false;
+
+  function fail(message, statusCode, details) {
+    failed = true;
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.details = details;
+    callback(error, null);
+  }
+
+  if (parseInt(req.headers['content-length'], 10) > limit) {
+    fail('Request body too large', 413);
+    req.resume();
+    return;
+  }
+
   req.on('data', chunk => {
-    body += chunk.toString();
+    if (failed) return;
+
+    size += chunk.length;
+    if (size > limit) {
+      fail('Request body too large', 413);
+      return;
+    }
+    chunks.push(chunk);
   });
   req.on('end', () => {
+    if (failed) return;
+
+    let body;
     try {
-      callback(null, JSON.parse(body || '{}'));
+      body = JSON.parse(Buffer.concat(chunks).toString() || '{}');
     } catch (e) {
-      callback(e, null);
+      fail('Invalid JSON', 400);
+      return;
+    }
+
+    const result = validate(schema, body);
+    if (result.error) {
+      fail(result.error, 400, result.details);
+      return;
     }
+    callback(null, result.value);
   });
 }
 
+// The client's address. Behind TRUST_PROXY proxies it is the X-Forwarded-For entry added by the
+// outermost of them, since anything before that was sent by the client itself
+function clientAddress(req) {
+  const hops = config.http.trustProxy;
+  const forwarded = (req.headers['x-forwarded-for'] || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+  if (hops > 0 && forwarded.length > 0) {
+    return forwarded[Math.max(forwarded.length - hops, 0)];
+  }
+  return req.socket.remoteAddress;
+}
+
+// Every route, for labelling HTTP metrics by route rather than by path. Requests matching none of
+// them are labelled `unmatched`
+const ROUTES = [
+  '/', '/metrics', '/health', '/health/live', '/health/ready', '/api/health', '/api/ice-servers', '/api/live-matches', '/api/leaderboard',
+  '/api/checkout/:remaining', '/api/xirsys/test', '/api/xirsys/live-sessions',
+  '/api/auth/register', '/api/auth/login', '/api/auth/me',
+  '/api/game-modes', '/api/rooms', '/api/rooms/end-call', '/api/rooms/:code', '/api/rooms/:code/join', '/api/rooms/:code/status',
+  '/api/matchmaking/queues',
+  '/api/players/:id/stats', '/api/players/:id/rating', '/api/players/:id/matches', '/api/matches/:id',
+  '/api/leagues', '/api/leagues/:id', '/api/leagues/:id/seasons', '/api/seasons/:id', '/api/seasons/:id/divisions',
+  '/api/divisions/:id', '/api/divisions/:id/register', '/api/divisions/:id/fixtures', '/api/divisions/:id/standings',
+  '/api/fixtures/:id', '/api/fixtures/:id/room', '/api/fixtures/:id/result',
+  '/api/scheduled-matches', '/api/scheduled-matches/:id',
+  '/api/tournaments', '/api/tournaments/:id', '/api/tournaments/:id/register', '/api/tournaments/:id/start',
+  '/api/tournaments/:id/bracket', '/api/tournaments/:id/matches/:matchId/result',
+  '/api/admin/config', '/api/admin/users', '/api/admin/rooms', '/api/admin/rooms/:code/end', '/api/admin/rooms/:code/dispute',
+  '/api/admin/sockets/:id/kick', '/api/admin/bans', '/api/admin/bans/:id', '/api/admin/announcements', '/api/admin/audit',
+  '/api/admin/webhooks', '/api/admin/webhooks/:id', '/api/admin/webhooks/:id/test', '/api/admin/webhooks/:id/deliveries'
+];
+
+// X-Request-Id values from a proxy are kept when they look like an ID
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function routeLabel(path) {
+  try {
+    return ROUTES.find(pattern => matchRoute(pattern, path)) || 'unmatched';
+  } catch (error) {
+    // A malformed percent-encoding in a parameter
+    return 'unmatched';
+  }
+}
+
+// Match a path against a pattern like /api/rooms/:code and return its params
+function matchRoute(pattern, path) {
+  const patternParts = pattern.split('/');
+  const pathParts = path.split('/');
+
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      if (!pathParts[i]) return null;
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+// Banned players' tokens are rejected until the ban ends
+async function authenticateRequest(req) {
+  try {
+    const player = await auth.authenticate(bearerToken(req.headers.authorization));
+    if (player && await moderation.findBan({ playerId: player.id })) return null;
+    return player;
+  } catch (error) {
+    logger.error('Authentication error', { err: error });
+    return null;
+  }
+}
+
+// Sends the 401 itself, so callers only need to return when this yields null
+async function requirePlayer(req, res, origin) {
+  const player = await authenticateRequest(req);
+  if (!player) {
+    sendJSON(res, { error: 'Authentication required' }, 401, origin);
+  }
+  return player;
+}
+
+// Admins are listed by player id in ADMIN_PLAYER_IDS
+function isAdmin(player) {
+  return !!player && config.admin.playerIds.includes(player.id);
+}
+
+// Like requirePlayer, but also sends the 403 for players who are not admins
+async function requireAdmin(req, res, origin) {
+  const player = await requirePlayer(req, res, origin);
+  if (!player) return null;
+
+  if (!isAdmin(player)) {
+    sendJSON(res, { error: 'Admin access required' }, 403, origin);
+    return null;
+  }
+  return player;
+}
+
 function generateRoomCode() {
   return Math.random().toString(36).substring(2, 7).toUpperCase();
 }
 
+// Webhooks are delivered in the background; the service retries and logs failed deliveries
+function notifyWebhooks(event, data) {
+  webhooks.dispatch(event, data).catch(error => {
+    logger.error('Webhook dispatch failed', { event, err: error });
+  });
+}
+
 // Database helper functions
-async function updateRoomStatus(roomCode, status, participantCount) {
+// Extra fields (e.g. fixture_id) are stored on the room as-is
+async function createRoom({ host, gameSettings, ...fields }) {
+  // Codes are short, so retry on the rare collision
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const roomCode = generateRoomCode();
+    if (await roomStore.get(roomCode)) continue;
+
+    const roomData = {
+      code: roomCode,
+      host: host.username,
+      host_id: host.id,
+      opponent: null,
+      opponent_id: null,
+      players: 1,
+      max_players: config.rooms.maxPlayers,
+      status: 'waiting',
+      game_settings: gameSettings || { ...config.rooms.defaultGameSettings },
+      created: new Date().toISOString(),
+      is_live: false,
+      allow_spectators: true,
+      max_spectators: DEFAULT_MAX_SPECTATORS,
+      ...fields
+    };
+
+    logger.debug('Creating room', { room: roomData });
+    const room = await roomStore.create(roomData);
+    notifyWebhooks('room.created', {
+      roomCode: room.code,
+      host: room.host,
+      mode: games.modeOf(room.game_settings),
+      game: games.describe(room.game_settings)
+    });
+    return room;
+  }
+
+  throw new Error('Could not allocate a unique room code');
+}
+
+// Persist a finished match with its full throw log
+async function recordMatch(roomCode, match) {
   try {
-    if (supabase) {
-      const { error } = await supabase
-        .from('rooms')
-        .update({
-          status: status,
-          players: participantCount,
-          last_activity: new Date().toISOString(),
-          is_live: participantCount > 0
-        })
-        .eq('code', roomCode);
-      
-      if (error) {
-        console.error('Failed to update room status:', error);
-      }
-    } else {
-      // Update in-memory storage
-      if (global.rooms && global.rooms.has(roomCode)) {
-        const room = global.rooms.get(roomCode);
-        room.status = status;
-        room.players = participantCount;
-        room.last_activity = new Date().toISOString();
-        room.is_live = participantCount > 0;
-      }
-    }
+    const record = {
+      id: crypto.randomUUID(),
+      room_code: roomCode,
+      game: match.game,
+      settings: match.settings,
+      players: match.players,
+      player_ids: match.players.map(p => p.id),
+      winner_id: match.players[match.winner].id,
+      sets: match.sets,
+      legs: match.legs,
+      leg_winners: match.legWinners,
+      visits: match.visits,
+      started: match.startedAt,
+      finished: match.finishedAt
+    };
+
+    const saved = await matchStore.create(record);
+    logger.info('Recorded match', { matchId: saved.id, roomId: roomCode });
+    return saved;
   } catch (error) {
-    console.error('Error updating room status:', error);
+    logger.error('Failed to record match', { err: error });
+    return null;
   }
 }
 
-async function cleanupRoom(roomCode) {
+async function updateRoomStatus(roomCode, status, participantCount) {
   try {
-    console.log(`🗑️ Cleaning up room ${roomCode}`);
-    
-    if (supabase) {
-      const { error } = await supabase
-        .from('rooms')
-        .delete()
-        .eq('code', roomCode);
-      
-      if (error) {
-        console.error('Failed to cleanup room:', error);
-      }
-    } else {
-      if (global.rooms) {
-        global.rooms.delete(roomCode);
-      }
-    }
-    
-    roomLifecycle.delete(roomCode);
-    
+    await roomStore.update(roomCode, {
+      status: status,
+      players: participantCount,
+      is_live: participantCount > 0
+    });
   } catch (error) {
-    console.error('Error cleaning up room:', error);
+    logger.error('Error updating room status', { err: error });
   }
 }
 
 // Xirsys API Functions
 async function xirsysApiCall(service, subPath = '', method = 'GET') {
   const { ident, secret, gateway, path } = XIRSYS_CONFIG;
+  if (!secret) {
+    throw new Error('Xirsys is not configured (set XIRSYS_SECRET)');
+  }
+
   const fullPath = `${path}${subPath}`;
   const apiUrl = `https://${gateway}/${service}${fullPath}`;
   
   const credentials = Buffer.from(`${ident}:${secret}`).toString('base64');
   
-  console.log(`🔍 Xirsys API call: ${service}${fullPath} (${method})`);
+  logger.debug('Xirsys API call', { service, path: fullPath, method });
   
   try {
-    const response = await fetch(apiUrl, {
-      method: method,
-      headers: {
-        'Authorization': `Basic ${credentials}`,
-        'Content-Type': 'application/json'
+    const data = await timeExternal('xirsys', service, async () => {
+      const response = await fetch(apiUrl, {
+        method: method,
+        headers: {
+          'Authorization': `Basic ${credentials}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Xirsys API error: ${response.status} - ${response.statusText}`);
       }
+      return response.json();
     });
-    
-    if (!response.ok) {
-      throw new Error(`Xirsys API error: ${response.status} - ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    console.log(`✅ Xirsys ${service} response:`, data);
+    logger.debug('Xirsys API response', { service, response: data });
     return data;
     
   } catch (error) {
-    console.error(`❌ Xirsys API call failed for ${service}:`, error.message);
+    logger.error('Xirsys API call failed', { service, err: error });
     throw error;
   }
 }
 
 async function getXirsysLiveSessions() {
   try {
-    console.log('🔍 Fetching Xirsys live sessions...');
+    logger.debug('Fetching Xirsys live sessions');
     
     let liveSessions = [];
     
@@ -186,34 +484,24 @@ async function getXirsysLiveSessions() {
         }
       }
     } catch (e) {
-      console.log('📈 Stats processing failed:', e.message);
+      logger.warn('Xirsys stats processing failed', { err: e });
     }
     
-    console.log(`📊 Found ${liveSessions.length} live sessions from Xirsys`);
+    logger.debug('Found Xirsys live sessions', { count: liveSessions.length });
     return liveSessions;
     
   } catch (error) {
-    console.error('❌ Failed to get Xirsys live sessions:', error);
+    logger.error('Failed to get Xirsys live sessions', { err: error });
     return [];
   }
 }
 
-async function getCombinedLiveMatches() {
+// Rooms with live presence plus Xirsys-only sessions. With a mode, only rooms playing it (the
+// mode of a Xirsys-only session is unknown, so those are left out)
+async function getCombinedLiveMatches({ mode = null } = {}) {
   try {
-    let rooms = [];
-    if (supabase) {
-      const { data, error } = await supabase
-        .from('rooms')
-        .select('*')
-        .neq('status', 'ended')
-        .order('created', { ascending: false });
-      
-      if (!error) {
-        rooms = data || [];
-      }
-    } else {
-      rooms = global.rooms ? Array.from(global.rooms.values()).filter(r => r.status !== 'ended') : [];
-    }
+    const rooms = (await roomStore.list()).filter(room => !mode || games.modeOf(room.game_settings) === mode);
+    const occupancy = await presence.occupancy();
     
     const xirsysLiveSessions = await getXirsysLiveSessions();
     
@@ -224,15 +512,15 @@ async function getCombinedLiveMatches() {
     
     const liveMatches = rooms.map(room => {
       const liveSession = liveSessionMap.get(room.code);
-      const activeParticipants = activeVideoRooms.has(room.code) 
-        ? activeVideoRooms.get(room.code).size 
-        : 0;
+      const { players: activeParticipants = 0, spectators = 0 } = occupancy.get(room.code) || {};
       
       return {
         ...room,
+        mode: games.modeOf(room.game_settings),
         hasLiveSession: activeParticipants > 0 || !!liveSession,
         liveSession: liveSession,
         actualParticipants: activeParticipants || liveSession?.participantCount || 0,
+        spectators,
         status: activeParticipants > 0 ? 'live' : (liveSession ? 'live' : room.status),
         xirsysStatus: liveSession ? 'connected' : 'disconnected'
       };
@@ -240,13 +528,14 @@ async function getCombinedLiveMatches() {
     
     xirsysLiveSessions.forEach(session => {
       const existingRoom = rooms.find(room => room.code === session.roomId);
-      if (!existingRoom) {
+      if (!existingRoom && !mode) {
         liveMatches.push({
           code: session.roomId,
           host: 'Unknown',
           opponent: session.participantCount > 1 ? 'Unknown' : null,
           players: session.participantCount,
           max_players: 4,
+          mode: null,
           status: 'live',
           created: session.startTime,
           hasLiveSession: true,
@@ -261,607 +550,3276 @@ async function getCombinedLiveMatches() {
     return liveMatches;
     
   } catch (error) {
-    console.error('❌ Error getting combined live matches:', error);
+    logger.error('Error getting combined live matches', { err: error });
     throw error;
   }
 }
 
-// HTTP Server
-const server = http.createServer(async (req, res) => {
-  const parsedUrl = url.parse(req.url, true);
-  const path = parsedUrl.pathname;
-  const method = req.method;
-  const origin = req.headers.origin;
+// One server instance: HTTP API plus Socket.IO. Instances in the same process share the stores,
+// presence and bus above, so several can run side by side as a local stand-in for a cluster
+function createArenaServer({ instanceId = crypto.randomUUID() } = {}) {
+  const heldSeats = new Map(); // socketId -> grace timer for seats this instance is holding
+  const resultTimers = new Map(); // roomId -> timer closing a won match's confirmation window
+  let closing = false;
 
-  console.log(`${method} ${path} from ${origin}`);
+  // Create rooms for bracket matches that now have both players, and tell the players
+  async function openTournamentMatches(tournament, readyMatches) {
+    const names = new Map(tournament.players.map(p => [p.id, p.username]));
 
-  if (method === 'OPTIONS') {
-    setCORSHeaders(res, origin);
-    res.writeHead(200);
-    res.end();
-    return;
+    for (const match of readyMatches) {
+      try {
+        const [hostId, opponentId] = match.players;
+        const room = await createRoom({
+          host: { id: hostId, username: names.get(hostId) },
+          gameSettings: tournament.game_settings,
+          tournament_id: tournament.id,
+          tournament_match_id: match.id
+        });
+        const joined = await roomStore.join(room.code, { id: opponentId, username: names.get(opponentId) });
+        await tournaments.setMatchRoom(tournament.id, match.id, room.code);
+
+        logger.info('Tournament match ready', { tournament: tournament.name, bracketMatchId: match.id, roomId: room.code });
+
+        match.players.forEach(playerId => {
+          io.to(`player:${playerId}`).emit('tournament-match-ready', {
+            tournamentId: tournament.id,
+            tournamentName: tournament.name,
+            matchId: match.id,
+            room: joined.room || room,
+            opponent: names.get(playerId === hostId ? opponentId : hostId)
+          });
+        });
+      } catch (error) {
+        logger.error('Failed to open tournament match', { bracketMatchId: match.id, err: error });
+      }
+    }
   }
 
-  setCORSHeaders(res, origin);
-
-  // Root endpoint
-  if (path === '/' && method === 'GET') {
-    res.writeHead(200, { 'Content-Type': 'text/html' });
-    res.end(`
-      <h1>DDL Arena Backend Server</h1>
-      <p>Server is running successfully.</p>
-      <p>Time: ${new Date().toISOString()}</p>
-      <p>Environment: ${process.env.NODE_ENV || 'development'}</p>
-      <p>WebRTC Signaling: ✅ Enhanced & Fixed</p>
-      <p>Xirsys Integration: ✅ Active (${XIRSYS_CONFIG.ident})</p>
-      <p>Active Rooms: ${activeVideoRooms.size}</p>
-      <p>Connected Users: ${userSockets.size}</p>
-    `);
-    return;
+  function notifyScheduledPlayers(entry, event, payload) {
+    entry.players.forEach(player => {
+      const opponent = entry.players.find(other => other.id !== player.id);
+      io.to(`player:${player.id}`).emit(event, {
+        scheduledMatchId: entry.id,
+        fixtureId: entry.fixture_id,
+        startAt: entry.start_at,
+        opponent: opponent.username,
+        ...payload
+      });
+    });
   }
 
-  // Health check
-  if (path === '/api/health' && method === 'GET') {
-    let xirsysStatus = 'unknown';
-    try {
-      await xirsysApiCall('_turn');
-      xirsysStatus = 'connected';
-    } catch (e) {
-      xirsysStatus = 'error';
+  // Create the room for a scheduled match whose window has started, with both players seated
+  async function openScheduledMatch(entry) {
+    const [host, opponent] = entry.players;
+    const room = await createRoom({
+      host,
+      gameSettings: entry.game_settings,
+      scheduled_match_id: entry.id,
+      ...(entry.fixture_id && { fixture_id: entry.fixture_id })
+    });
+
+    // Cancelled since it was read
+    if (!(await schedule.markOpened(entry.id, room.code))) {
+      await roomStore.remove(room.code);
+      return;
     }
-    
-    sendJSON(res, { 
-      status: 'healthy', 
-      timestamp: new Date().toISOString(), 
-      server: 'DDL Arena Backend',
-      version: '2.0.0',
-      features: ['rooms', 'webrtc-signaling-fixed', 'xirsys-integration', 'auto-cleanup'],
-      xirsys: {
-        status: xirsysStatus,
-        ident: XIRSYS_CONFIG.ident,
-        gateway: XIRSYS_CONFIG.gateway,
-        path: XIRSYS_CONFIG.path
-      },
-      activeRooms: activeVideoRooms.size,
-      connectedUsers: userSockets.size
-    }, 200, origin);
-    return;
+
+    const joined = await roomStore.join(room.code, opponent);
+    if (entry.fixture_id) await leagues.linkRoom(entry.fixture_id, room.code);
+
+    logger.info('Scheduled match open', { scheduledMatchId: entry.id, roomId: room.code });
+    const checkInBy = new Date(new Date(entry.start_at).getTime() + config.schedule.noShowGraceMs).toISOString();
+    notifyScheduledPlayers(entry, 'scheduled-match-open', { room: joined.room || room, checkInBy });
   }
 
-  // Get ICE servers from Xirsys
-  if (path === '/api/ice-servers' && method === 'GET') {
-    try {
-      console.log('🧊 Getting ICE servers from Xirsys...');
-      
-      try {
-        const turnData = await xirsysApiCall('_turn', '', 'PUT');
-        console.log('🔄 Xirsys TURN response:', turnData);
-        
-        if (turnData && turnData.s === 'ok' && turnData.v && turnData.v.iceServers) {
-          sendJSON(res, {
-            iceServers: turnData.v.iceServers
-          }, 200, origin);
-          return;
-        }
-      } catch (e) {
-        console.log('🔄 Xirsys TURN failed, using fallback:', e.message);
-      }
-      
-      const fallbackIceServers = {
-        iceServers: [
-          { urls: 'stun:stun.l.google.com:19302' },
-          { urls: 'stun:stun1.l.google.com:19302' },
-          { urls: 'turn:openrelay.metered.ca:80', username: 'openrelayproject', credential: 'openrelayproject' },
-          { urls: 'turn:openrelay.metered.ca:443', username: 'openrelayproject', credential: 'openrelayproject' }
-        ]
-      };
-      
-      console.log('🧊 Using fallback ICE servers');
-      sendJSON(res, fallbackIceServers, 200, origin);
-      
-    } catch (error) {
-      console.error('❌ Error getting ICE servers:', error);
-      sendJSON(res, { error: 'Failed to get ICE servers' }, 500, origin);
-    }
-    return;
+  async function remindScheduledMatch({ scheduledMatch: entry, minutes, covers }) {
+    await schedule.markReminded(entry.id, covers);
+    notifyScheduledPlayers(entry, 'scheduled-match-reminder', { minutesBefore: minutes, roomCode: entry.room_code });
+    notifyWebhooks('schedule.reminder', {
+      scheduledMatchId: entry.id,
+      fixtureId: entry.fixture_id,
+      players: entry.players.map(player => player.username),
+      startAt: entry.start_at,
+      minutesBefore: minutes
+    });
   }
 
-  // Test Xirsys connection
-  if (path === '/api/xirsys/test' && method === 'GET') {
-    try {
-      console.log('🧪 Testing Xirsys connection...');
-      
-      const testResult = {
-        config: {
-          ident: XIRSYS_CONFIG.ident,
-          gateway: XIRSYS_CONFIG.gateway,
-          path: XIRSYS_CONFIG.path
-        },
-        timestamp: new Date().toISOString()
-      };
-      
-      const endpoints = ['_ns', '_turn', '_stats'];
-      
-      for (const endpoint of endpoints) {
-        try {
-          const data = await xirsysApiCall(endpoint);
-          testResult[`${endpoint}Test`] = { success: true, data: data };
-        } catch (e) {
-          testResult[`${endpoint}Test`] = { success: false, error: e.message };
-        }
+  // Past the grace period without a match: the player who turned up wins by forfeit (recorded
+  // on the fixture, if any); if neither did the match is void. The room is closed either way
+  async function settleNoShow(entry) {
+    const settled = await schedule.settleNoShow(entry.id);
+    if (!settled) return;
+
+    const winner = settled.players.find(player => player.id === settled.winner_id) || null;
+    if (winner && settled.fixture_id) {
+      const fixture = await leagues.getFixture(settled.fixture_id);
+      if (fixture && fixture.status !== 'completed') {
+        const { legsToWin, setsToWin } = games.normalizeSettings(settled.game_settings);
+        await leagues.recordResult(fixture.id, {
+          homeLegs: winner.id === fixture.home_id ? legsToWin * setsToWin : 0,
+          awayLegs: winner.id === fixture.away_id ? legsToWin * setsToWin : 0,
+          forfeit: true
+        });
       }
-      
-      sendJSON(res, testResult, 200, origin);
-      
-    } catch (error) {
-      console.error('❌ Xirsys test failed:', error);
-      sendJSON(res, { error: 'Xirsys test failed', details: error.message }, 500, origin);
     }
-    return;
-  }
 
-  // Get Xirsys live sessions
-  if (path === '/api/xirsys/live-sessions' && method === 'GET') {
-    try {
-      const liveSessions = await getXirsysLiveSessions();
-      sendJSON(res, liveSessions, 200, origin);
-    } catch (error) {
-      console.error('❌ Error fetching Xirsys live sessions:', error);
-      sendJSON(res, { error: 'Failed to fetch live sessions', details: error.message }, 500, origin);
-    }
-    return;
+    logger.info('Scheduled match not played', { scheduledMatchId: settled.id, status: settled.status, winner: winner && winner.username });
+    notifyScheduledPlayers(settled, 'scheduled-match-no-show', { status: settled.status, winner });
+    await endRoom(settled.room_code, { reason: 'no-show' });
   }
 
-  // Get combined live matches
-  if (path === '/api/live-matches' && method === 'GET') {
-    try {
-      const liveMatches = await getCombinedLiveMatches();
-      sendJSON(res, liveMatches, 200, origin);
-    } catch (error) {
-      console.error('❌ Error fetching live matches:', error);
-      sendJSON(res, { error: 'Failed to fetch live matches', details: error.message }, 500, origin);
+  // Open, remind and settle whatever is due. Like the cleanup, only the leader runs it
+  async function runSchedule() {
+    if (!(await isLeader())) return false;
+
+    const { toOpen, reminders, noShows } = await schedule.due();
+    const steps = [
+      ...toOpen.map(entry => [entry, () => openScheduledMatch(entry)]),
+      ...reminders.map(reminder => [reminder.scheduledMatch, () => remindScheduledMatch(reminder)]),
+      ...noShows.map(entry => [entry, () => settleNoShow(entry)])
+    ];
+
+    for (const [entry, step] of steps) {
+      try {
+        await step();
+      } catch (error) {
+        logger.error('Scheduled match update failed', { scheduledMatchId: entry.id, err: error });
+      }
     }
-    return;
+    return true;
   }
 
-  // Create room endpoint (simplified - always works)
-  if (path === '/api/rooms' && method === 'POST') {
-    parseBody(req, async (err, body) => {
-      if (err) {
-        sendJSON(res, { error: 'Invalid JSON' }, 400, origin);
-        return;
-      }
+  // Feed a finished match back into whatever it was played for
+  async function handleMatchCompleted(roomCode, match, record) {
+    try {
+      const room = await roomStore.get(roomCode);
+      if (!room) return;
 
-      try {
-        const { host, gameSettings } = body;
-        
-        if (!host) {
-          sendJSON(res, { error: 'Host username is required' }, 400, origin);
-          return;
-        }
-
-        const roomCode = generateRoomCode();
-        const roomData = {
-          code: roomCode,
-          host: host,
-          host_id: `host_${Date.now()}`,
-          players: 1,
-          max_players: 2,
-          status: 'waiting',
-          game_settings: gameSettings || {
-            startingScore: 501,
-            legsToWin: 3,
-            setsToWin: 1,
-            doubleOut: true
-          },
-          created: new Date().toISOString(),
-          is_live: false
-        };
+      const legsFor = playerId => {
+        const index = match.players.findIndex(p => p.id === playerId);
+        return match.legWinners.filter(leg => leg.playerIndex === index).length;
+      };
 
-        console.log('Creating room:', roomData);
+      // Rooms flagged `casual` in game_settings never affect ratings
+      if (!(room.game_settings && room.game_settings.casual === true)) {
+        const winner = match.players[match.winner];
+        const loser = match.players[1 - match.winner];
+        const changes = await ratings.recordMatch({
+          matchId: record ? record.id : null,
+          winner,
+          loser
+        });
 
-        // Try Supabase first, fallback to in-memory
-        if (supabase) {
-          try {
-            const { data, error } = await supabase
-              .from('rooms')
-              .insert([roomData])
-              .select();
+        logger.info('Ratings updated', { changes: changes.map(c => ({ before: c.before, after: c.after })) });
+        emitToRoomAndSpectators(roomCode, 'rating-updated', changes);
+      }
 
-            if (!error && data) {
-              sendJSON(res, data[0], 201, origin);
-              return;
-            }
-          } catch (dbError) {
-            console.warn('Supabase failed, using in-memory:', dbError.message);
-          }
+      if (room.fixture_id) {
+        const fixture = await leagues.getFixture(room.fixture_id);
+        if (fixture && fixture.status !== 'completed') {
+          await leagues.recordResult(fixture.id, {
+            homeLegs: legsFor(fixture.home_id),
+            awayLegs: legsFor(fixture.away_id),
+            matchId: record ? record.id : null
+          });
+          logger.info('Fixture completed', { fixtureId: fixture.id, roomId: roomCode });
         }
-        
-        // Fallback to in-memory storage
-        if (!global.rooms) global.rooms = new Map();
-        global.rooms.set(roomCode, roomData);
-        sendJSON(res, roomData, 201, origin);
+      }
 
-      } catch (error) {
-        console.error('Create room error:', error);
-        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      if (room.scheduled_match_id) {
+        await schedule.markCompleted(roomCode, {
+          winnerId: match.players[match.winner].id,
+          matchId: record ? record.id : null
+        });
       }
-    });
-    return;
-  }
 
-  // Get rooms endpoint
-  if (path === '/api/rooms' && method === 'GET') {
-    try {
-      let rooms = [];
+      if (room.tournament_id) {
+        const tournament = await tournaments.get(room.tournament_id);
+        const bracketMatch = tournament && tournament.matches.find(m => m.id === room.tournament_match_id);
 
-      if (supabase) {
-        try {
-          const { data, error } = await supabase
-            .from('rooms')
-            .select('*')
-            .neq('status', 'ended')
-            .order('created', { ascending: false });
+        if (bracketMatch) {
+          const result = await tournaments.reportResult(tournament.id, bracketMatch.id, {
+            winnerId: match.players[match.winner].id,
+            score: bracketMatch.players.map(legsFor)
+          });
 
-          if (!error) {
-            rooms = data || [];
+          if (result.error) {
+            logger.warn('Tournament result rejected', { bracketMatchId: bracketMatch.id, reason: result.error });
+          } else {
+            await openTournamentMatches(result.tournament, result.ready);
           }
-        } catch (dbError) {
-          console.warn('Supabase query failed:', dbError.message);
         }
       }
-      
-      if (rooms.length === 0 && global.rooms) {
-        rooms = Array.from(global.rooms.values())
-          .filter(room => room.status !== 'ended');
-      }
+    } catch (error) {
+      logger.error('Failed to process completed match', { err: error });
+    }
+  }
 
-      // Add real-time participant counts
-      rooms = rooms.map(room => ({
-        ...room,
-        actualParticipants: activeVideoRooms.has(room.code) 
-          ? activeVideoRooms.get(room.code).size 
-          : 0,
-        hasLiveSession: activeVideoRooms.has(room.code) && activeVideoRooms.get(room.code).size > 0
-      }));
+  // Apply a match event from a player ({ playerId }) or an admin ({ admin: username }) and save it
+  // against the match revision. Events with a client ID are retried against the fresh state when
+  // another save got in first, since a retry can never apply them twice. Returns
+  // { events, duplicate, match } or { error, statusCode }
+  async function applyMatchEvent(roomId, actor, event) {
+    const attempts = event.clientId || actor.admin ? MATCH_SAVE_ATTEMPTS : 1;
 
-      sendJSON(res, rooms, 200, origin);
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const current = roomId ? await presence.getMatch(roomId) : null;
+      if (!current) return { error: 'No match in progress', statusCode: 404 };
 
-    } catch (error) {
-      console.error('Get rooms error:', error);
-      sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      const { match, revision } = current;
+      const playerIndex = actor.admin ? null : match.players.findIndex(p => p.id === actor.playerId);
+      if (playerIndex === -1) return { error: 'You are not a player in this match', statusCode: 403 };
+
+      let result;
+      try {
+        result = matchEvents.applyEvent(match, actor.admin ? { admin: actor.admin } : { playerIndex }, event);
+      } catch (error) {
+        return { error: error.message, statusCode: 409 };
+      }
+
+      if (result.duplicate) return { ...result, match };
+      if (await presence.saveMatch(roomId, match, revision)) {
+        await publishMatchEvents(roomId, match, result.events);
+        return { ...result, match };
+      }
     }
-    return;
+
+    // Another event was applied to this match in the meantime (e.g. a double submit)
+    return { error: 'The match changed while scoring your visit, please check the score and resubmit', statusCode: 409 };
   }
 
-  // End call endpoint
-  if (path === '/api/rooms/end-call' && method === 'POST') {
-    parseBody(req, async (err, body) => {
-      if (err) {
-        sendJSON(res, { error: 'Invalid JSON' }, 400, origin);
-        return;
+  // Webhook events for a match's new events: started, each leg won, 180s (X01) and finished
+  function notifyMatchWebhooks(roomId, match, events) {
+    const players = match.players.map(player => player.username);
+    const legsWon = players.map((player, index) => match.legWinners.filter(leg => leg.playerIndex === index).length);
+
+    events.forEach(event => {
+      if (event.type === 'match-started') {
+        notifyWebhooks('match.started', { roomCode: roomId, mode: match.game, game: games.describe({ ...match.settings, mode: match.game }), players });
       }
 
-      try {
-        const { roomCode } = body;
-        
-        if (!roomCode) {
-          sendJSON(res, { error: 'Room code is required' }, 400, origin);
-          return;
+      if (event.type === 'visit') {
+        const { set, leg, score } = event.result;
+        const player = players[event.playerIndex];
+        if (match.game === 'x01' && score === 180) {
+          notifyWebhooks('match.180', { roomCode: roomId, player, players });
         }
+        if (match.legWinners.some(won => won.set === set && won.leg === leg && won.playerIndex === event.playerIndex)) {
+          notifyWebhooks('match.leg_won', { roomCode: roomId, player, set, leg, setsToWin: match.settings.setsToWin, players, legsWon });
+        }
+      }
 
-        await cleanupRoom(roomCode);
-        io.to(roomCode).emit('room-ended', { roomCode });
-        
-        sendJSON(res, { message: 'Room ended successfully' }, 200, origin);
-        
-      } catch (error) {
-        console.error('End call error:', error);
-        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      if (event.type === 'result-final') {
+        notifyWebhooks('match.finished', { roomCode: roomId, winner: players[match.winner], players, legsWon, sets: match.sets });
       }
     });
-    return;
   }
 
-  // 404 for unmatched routes
-  sendJSON(res, { error: 'Not found' }, 404, origin);
-});
+  // Make a won match's result final once its confirmation window has closed (or now, with `force`)
+  // and publish it. Returns whether it did
+  async function closeMatchResult(roomId, { force = false } = {}) {
+    for (let attempt = 0; attempt < MATCH_SAVE_ATTEMPTS; attempt++) {
+      const current = await presence.getMatch(roomId);
+      if (!current) return false;
+
+      const events = matchEvents.closeResult(current.match, { force });
+      if (events.length === 0) return false;
+      if (await presence.saveMatch(roomId, current.match, current.revision)) {
+        await publishMatchEvents(roomId, current.match, events);
+        return true;
+      }
+    }
+    return false;
+  }
 
-// Socket.IO setup with FIXED signaling
-const io = new Server(server, {
-  cors: {
-    origin: ALLOWED_ORIGINS,
-    methods: ['GET', 'POST'],
-    credentials: true
+  // Close the result when its window ends. The leader's cleanup sweep closes any whose instance
+  // went away first
+  function scheduleResultClose(roomId, match) {
+    clearTimeout(resultTimers.get(roomId));
+    resultTimers.delete(roomId);
+    if (!matchEvents.isResultPending(match)) return;
+
+    const delay = Math.max(0, Date.parse(match.result.closesAt) - Date.now());
+    resultTimers.set(roomId, setTimeout(() => {
+      resultTimers.delete(roomId);
+      closeMatchResult(roomId).catch(error => logger.error('Failed to close match result', { roomId, err: error }));
+    }, delay));
   }
-});
 
-// User leave room handler
-async function handleUserLeaveRoom(socket, io) {
-  const userInfo = userSockets.get(socket.id);
-  if (!userInfo) return;
+  // Send new events and the resulting state to the room, and wrap up a match they finished
+  async function publishMatchEvents(roomId, match, events) {
+    events.forEach(event => {
+      emitToRoomAndSpectators(roomId, 'match-event', { version: matchEvents.PROTOCOL_VERSION, roomCode: roomId, ...event });
+    });
+    emitToRoomAndSpectators(roomId, 'match-state', matchEvents.serializeMatch(match));
+    notifyMatchWebhooks(roomId, match, events);
+    scheduleResultClose(roomId, match);
+
+    if (events.some(event => event.type === 'match-finished')) {
+      logger.info('Match won, waiting for the result to be confirmed', { winner: match.players[match.winner].username, roomId });
+    }
 
-  const { roomId, username } = userInfo;
+    if (events.some(event => event.type === 'result-final')) {
+      const winner = match.players[match.winner];
+      logger.info('Match result final', { winner: winner.username, roomId });
+      const record = await recordMatch(roomId, match);
+      await handleMatchCompleted(roomId, match, record);
+      emitToRoomAndSpectators(roomId, 'match-finished', { roomCode: roomId, winner, matchId: record ? record.id : null });
+      await updateRoomStatus(roomId, 'finished', (await presence.roomSeats(roomId)).length);
+    }
+  }
 
-  socket.leave(roomId);
+  async function cleanupRoom(roomCode) {
+    try {
+      logger.info('Cleaning up room', { roomId: roomCode });
 
-  if (activeVideoRooms.has(roomId)) {
-    activeVideoRooms.get(roomId).delete(socket.id);
-    
-    const remainingUsers = activeVideoRooms.get(roomId).size;
-    
-    if (remainingUsers === 0) {
-      activeVideoRooms.delete(roomId);
+      // A result still waiting to be confirmed is recorded as it stands, unless it is disputed
+      await closeMatchResult(roomCode, { force: true });
       
-      if (roomLifecycle.has(roomId)) {
-        const lifecycle = roomLifecycle.get(roomId);
-        lifecycle.status = 'ended';
-        lifecycle.participants.delete(socket.id);
-      }
+      await roomStore.remove(roomCode);
       
-      await cleanupRoom(roomId);
-      console.log(`🧹 Room ${roomId} is empty - cleaned up`);
-    } else {
-      await updateRoomStatus(roomId, 'active', remainingUsers);
+      await presence.removeRoom(roomCode);
+      await endSpectating(roomCode, 'room-ended');
+      await chat.clearRoom(roomCode);
       
-      if (roomLifecycle.has(roomId)) {
-        const lifecycle = roomLifecycle.get(roomId);
-        lifecycle.lastActivity = new Date();
-        lifecycle.participants.delete(socket.id);
-      }
+    } catch (error) {
+      logger.error('Error cleaning up room', { err: error });
+    }
+  }
+
+  // Send everyone in a room away (players' seats included) and remove it
+  async function endRoom(roomCode, { reason, message = null }) {
+    io.to(roomCode).emit('room-ended', { roomCode, reason, message });
+    for (const seat of await presence.roomSeats(roomCode)) {
+      clearTimeout(heldSeats.get(seat.socket_id));
+      heldSeats.delete(seat.socket_id);
+      await presence.removeSeat(seat.socket_id, { role: 'player' });
     }
+    io.in(roomCode).socketsLeave(roomCode);
+    await cleanupRoom(roomCode);
   }
 
-  io.to(roomId).emit('user-left', {
-    socketId: socket.id,
-    username: username
+  // Token buckets: API requests and socket connections per IP, room creation per IP, events per socket
+  const httpLimiter = createRateLimiter({ burst: config.rateLimit.httpBurst, perMinute: config.rateLimit.httpPerMinute });
+  const roomCreateLimiter = createRateLimiter({ burst: config.rateLimit.roomCreateBurst, perMinute: config.rateLimit.roomCreatePerMinute });
+  const socketLimiter = createRateLimiter({ burst: config.rateLimit.socketBurst, perMinute: config.rateLimit.socketPerMinute });
+  const chatLimiter = createRateLimiter({ burst: config.rateLimit.chatBurst, perMinute: config.rateLimit.chatPerMinute });
+
+  // Dependency checks behind /health/ready. Without the room store and presence no match can be
+  // played; without the ICE provider clients still get the fallback servers
+  const health = createHealthChecker({
+    cacheMs: config.health.cacheMs,
+    timeoutMs: config.health.timeoutMs,
+    checks: [
+      {
+        name: 'roomStore',
+        run: async () => {
+          await roomStore.get('HEALTH');
+          return { backend: roomStore.kind };
+        }
+      },
+      {
+        name: 'presence',
+        run: async () => ({ backend: CLUSTER_BACKEND, instances: (await presence.liveInstances(INSTANCE_TIMEOUT_MS)).length })
+      },
+      {
+        name: 'ice',
+        critical: false,
+        run: async () => {
+          const ice = await iceService.getIceServers();
+          if (ice.provider !== iceService.provider) {
+            throw new Error(`${iceService.provider} is unavailable, serving ${ice.provider} ICE servers`);
+          }
+          return { provider: ice.provider };
+        }
+      }
+    ]
   });
 
-  userSockets.delete(socket.id);
-  console.log(`🚪 ${username} left room ${roomId}`);
-}
+  // Sends the 429 itself when the client is over its limit
+  function allowRequest(limiter, req, res, origin) {
+    const { allowed, retryAfterMs } = limiter.take(clientAddress(req));
+    if (!allowed) {
+      res.setHeader('Retry-After', Math.ceil(retryAfterMs / 1000));
+      sendJSON(res, { error: 'Too many requests', retryAfterMs }, 429, origin);
+    }
+    return allowed;
+  }
 
-// Socket.IO connection handler
-io.on('connection', (socket) => {
-  console.log('🔌 Client connected:', socket.id);
-
-  // FIXED: Enhanced join-video-room handler
-  socket.on('join-video-room', async (data) => {
-    const { roomId, username, isHost } = data;
-    console.log(`🎥 ${username} joining video room: ${roomId} (host: ${isHost || false})`);
-
-    // Leave any previous rooms
-    socket.rooms.forEach(room => {
-      if (room !== socket.id) {
-        socket.leave(room);
-      }
-    });
-
-    // Join the new room
-    socket.join(roomId);
-    socket.roomId = roomId;
-    socket.username = username;
-    socket.isHost = isHost || false;
-
-    // Track user in room
-    if (!activeVideoRooms.has(roomId)) {
-      activeVideoRooms.set(roomId, new Set());
-    }
-    activeVideoRooms.get(roomId).add(socket.id);
-    userSockets.set(socket.id, { roomId, username, isHost: socket.isHost });
-
-    // Update room lifecycle
-    if (!roomLifecycle.has(roomId)) {
-      roomLifecycle.set(roomId, {
-        created: new Date(),
-        lastActivity: new Date(),
-        status: 'active',
-        participants: new Set()
-      });
-    }
-    const lifecycle = roomLifecycle.get(roomId);
-    lifecycle.lastActivity = new Date();
-    lifecycle.participants.add(socket.id);
-
-    // Get all current users in room (excluding the joining user)
-    const roomUsers = Array.from(activeVideoRooms.get(roomId))
-      .filter(id => id !== socket.id)
-      .map(id => {
-        const userInfo = userSockets.get(id);
-        return {
-          socketId: id,
-          username: userInfo?.username || 'Unknown',
-          isHost: userInfo?.isHost || false
-        };
-      });
+  // No new rooms are opened while the instance shuts down; clients are told when to retry
+  function rejectWhileClosing(res, origin) {
+    if (!closing) return false;
+    res.setHeader('Retry-After', Math.ceil(config.shutdown.retryAfterMs / 1000));
+    sendJSON(res, { error: 'Server is restarting', retryAfterMs: config.shutdown.retryAfterMs }, 503, origin);
+    return true;
+  }
 
-    console.log(`✅ ${username} joined room ${roomId}. Room has ${roomUsers.length + 1} users total`);
+  // HTTP Server
+  async function handleRequest(req, res) {
+    const parsedUrl = url.parse(req.url, true);
+    const path = parsedUrl.pathname;
+    const method = req.method;
+    const origin = req.headers.origin;
+
+    if (method === 'OPTIONS') {
+      setCORSHeaders(res, origin);
+      res.writeHead(200);
+      res.end();
+      return;
+    }
 
-    // Send current room users to the new user
-    socket.emit('room-users', roomUsers);
+    setCORSHeaders(res, origin);
 
-    // Notify others in room about new user
-    socket.to(roomId).emit('user-joined', {
-      socketId: socket.id,
-      username: username,
-      isHost: socket.isHost
-    });
+    // Health checks are exempt so a busy proxy address can't fail them
+    if (path.startsWith('/api/') && path !== '/api/health') {
+      if (!allowRequest(httpLimiter, req, res, origin)) return;
 
-    // Update room status in database
-    try {
-      await updateRoomStatus(roomId, 'active', activeVideoRooms.get(roomId).size);
-    } catch (error) {
-      console.warn('Failed to update room status:', error.message);
+      const ban = await moderation.findBan({ ip: clientAddress(req) });
+      if (ban) {
+        sendJSON(res, { error: 'This address is banned', reason: ban.reason, expires: ban.expires }, 403, origin);
+        return;
+      }
     }
-  });
 
-  // FIXED: WebRTC offer handling
-  socket.on('webrtc-offer', (data) => {
-    const { targetSocketId, offer } = data;
-    console.log(`📤 Routing offer from ${socket.id} to ${targetSocketId}`);
-    
-    const targetSocket = io.sockets.sockets.get(targetSocketId);
-    
-    if (targetSocket && targetSocket.roomId === socket.roomId) {
-      targetSocket.emit('webrtc-offer', {
-        fromSocketId: socket.id,
+    // Filled in by matchRoute for parameterised routes
+    let params;
+
+    // Prometheus scrape endpoint
+    if (path === '/metrics' && method === 'GET') {
+      if (config.metrics.token && bearerToken(req.headers.authorization) !== config.metrics.token) {
+        sendJSON(res, { error: 'Metrics token required' }, 401, origin);
+        return;
+      }
+
+      try {
+        const body = await metricsRegistry.render();
+        res.writeHead(200, { 'Content-Type': metricsRegistry.contentType });
+        res.end(body);
+      } catch (error) {
+        logger.error('Metrics error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Root endpoint
+    if (path === '/' && method === 'GET') {
+      const { activeRooms, connectedUsers } = await presence.counts();
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(`
+        <h1>DDL Arena Backend Server</h1>
+        <p>Server is running successfully.</p>
+        <p>Time: ${new Date().toISOString()}</p>
+        <p>Environment: ${config.env}</p>
+        <p>WebRTC Signaling: ✅ Enhanced & Fixed</p>
+        <p>Xirsys Integration: ✅ Active (${XIRSYS_CONFIG.ident})</p>
+        <p>Active Rooms: ${activeRooms}</p>
+        <p>Connected Users: ${connectedUsers}</p>
+        <p>Instance: ${instanceId}</p>
+      `);
+      return;
+    }
+
+    // Liveness: the process is up and answering
+    if (path === '/health/live' && method === 'GET') {
+      sendJSON(res, {
+        status: 'alive',
+        timestamp: new Date().toISOString(),
+        uptimeSeconds: Math.round(process.uptime()),
+        instanceId
+      }, 200, origin);
+      return;
+    }
+
+    // Readiness: 503 while a dependency needed to serve matches is down or the instance is closing.
+    // /health and /api/health are kept as aliases and also report room and user counts
+    if ((path === '/health/ready' || path === '/health' || path === '/api/health') && method === 'GET') {
+      const report = closing
+        ? { status: 'unhealthy', reason: 'Shutting down', checkedAt: new Date().toISOString(), checks: {} }
+        : await health.check();
+
+      const body = { ...report, timestamp: new Date().toISOString(), instanceId, cluster: CLUSTER_BACKEND };
+      if (path !== '/health/ready') {
+        body.server = 'DDL Arena Backend';
+        body.version = '2.0.0';
+        try {
+          Object.assign(body, await presence.counts());
+        } catch (error) {
+          logger.warn('Failed to count rooms for health check', { err: error });
+        }
+      }
+      sendJSON(res, body, report.status === 'unhealthy' ? 503 : 200, origin);
+      return;
+    }
+
+    // ICE servers for the configured provider; signed-in players get their own TURN credentials
+    if (path === '/api/ice-servers' && method === 'GET') {
+      try {
+        const player = await authenticateRequest(req);
+        const ice = await iceService.getIceServers({ userId: player ? player.id : null });
+        logger.debug('Serving ICE servers', { provider: ice.provider });
+        sendJSON(res, ice, 200, origin);
+      } catch (error) {
+        logger.error('Error getting ICE servers', { err: error });
+        sendJSON(res, { error: 'Failed to get ICE servers' }, 500, origin);
+      }
+      return;
+    }
+
+    // Checkout routes for a remaining score, with ?dartsLeft= (default 3), ?doubleOut= (default true)
+    // and ?doubleIn=true while the player still has to double in. With ?roomCode= the room's X01
+    // settings decide double-out, and double-in only applies if the room plays it
+    if ((params = matchRoute('/api/checkout/:remaining', path)) && method === 'GET') {
+      const { query } = parsedUrl;
+      const remaining = Number(params.remaining);
+      const dartsLeft = query.dartsLeft === undefined ? 3 : Number(query.dartsLeft);
+      if (!Number.isInteger(remaining) || remaining < 1 || remaining > 1001) {
+        sendJSON(res, { error: 'remaining must be an integer from 1 to 1001' }, 400, origin);
+        return;
+      }
+      if (![1, 2, 3].includes(dartsLeft)) {
+        sendJSON(res, { error: 'dartsLeft must be 1, 2 or 3' }, 400, origin);
+        return;
+      }
+
+      try {
+        let rules = { doubleOut: query.doubleOut !== 'false', doubleIn: query.doubleIn === 'true' };
+
+        if (query.roomCode) {
+          const room = await roomStore.get(String(query.roomCode).toUpperCase());
+          if (!room) {
+            sendJSON(res, { error: 'Room not found' }, 404, origin);
+            return;
+          }
+          const settings = games.normalizeSettings(room.game_settings);
+          if (settings.mode !== 'x01') {
+            sendJSON(res, { error: 'Checkouts only apply to X01 rooms' }, 400, origin);
+            return;
+          }
+          rules = { doubleOut: settings.doubleOut, doubleIn: settings.doubleIn && rules.doubleIn };
+        }
+
+        sendJSON(res, suggestCheckout(remaining, { dartsLeft, ...rules }), 200, origin);
+      } catch (error) {
+        logger.error('Checkout suggestion error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Effective configuration with secrets redacted, and where each value came from
+    if (path === '/api/admin/config' && method === 'GET') {
+      const admin = await requireAdmin(req, res, origin);
+      if (!admin) return;
+
+      sendJSON(res, { config: redactConfig(config), sources: configSources }, 200, origin);
+      return;
+    }
+
+    // Moderation: connected users, rooms, kicks, bans, force-ending rooms, announcements
+    if (path === '/api/admin/users' && method === 'GET') {
+      try {
+        const admin = await requireAdmin(req, res, origin);
+        if (!admin) return;
+
+        sendJSON(res, await listConnectedUsers(), 200, origin);
+      } catch (error) {
+        logger.error('Admin users error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if (path === '/api/admin/rooms' && method === 'GET') {
+      try {
+        const admin = await requireAdmin(req, res, origin);
+        if (!admin) return;
+
+        sendJSON(res, await listRoomsForAdmin(), 200, origin);
+      } catch (error) {
+        logger.error('Admin rooms error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if ((params = matchRoute('/api/admin/sockets/:id/kick', path)) && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.adminKick, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const admin = await requireAdmin(req, res, origin);
+          if (!admin) return;
+
+          const result = await kickSocket(params.id, body, admin);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+          sendJSON(res, result, 200, origin);
+        } catch (error) {
+          logger.error('Admin kick error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    if (path === '/api/admin/bans' && method === 'GET') {
+      try {
+        const admin = await requireAdmin(req, res, origin);
+        if (!admin) return;
+
+        sendJSON(res, await moderation.listBans({ all: parsedUrl.query.all === 'true' }), 200, origin);
+      } catch (error) {
+        logger.error('Admin bans error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if (path === '/api/admin/bans' && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.adminBan, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const admin = await requireAdmin(req, res, origin);
+          if (!admin) return;
+
+          const result = await banPlayer(body, admin);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+          sendJSON(res, result, 201, origin);
+        } catch (error) {
+          logger.error('Admin ban error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    if ((params = matchRoute('/api/admin/bans/:id', path)) && method === 'DELETE') {
+      try {
+        const admin = await requireAdmin(req, res, origin);
+        if (!admin) return;
+
+        const result = await unbanPlayer(params.id, admin);
+        if (result.error) {
+          sendJSON(res, { error: result.error }, result.statusCode, origin);
+          return;
+        }
+        sendJSON(res, result.ban, 200, origin);
+      } catch (error) {
+        logger.error('Admin unban error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if ((params = matchRoute('/api/admin/rooms/:code/end', path)) && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.adminEndRoom, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const admin = await requireAdmin(req, res, origin);
+          if (!admin) return;
+
+          const result = await forceEndRoom(params.code.toUpperCase(), body, admin);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+          sendJSON(res, { message: 'Room ended successfully', roomCode: result.roomCode }, 200, origin);
+        } catch (error) {
+          logger.error('Admin end room error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    if ((params = matchRoute('/api/admin/rooms/:code/dispute', path)) && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.adminResolveDispute, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const admin = await requireAdmin(req, res, origin);
+          if (!admin) return;
+
+          const result = await resolveDispute(params.code.toUpperCase(), body, admin);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+          sendJSON(res, result, 200, origin);
+        } catch (error) {
+          logger.error('Admin resolve dispute error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    if (path === '/api/admin/announcements' && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.adminAnnouncement, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const admin = await requireAdmin(req, res, origin);
+          if (!admin) return;
+
+          const result = await announce(body, admin);
+          sendJSON(res, result.announcement, 201, origin);
+        } catch (error) {
+          logger.error('Admin announcement error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    if (path === '/api/admin/audit' && method === 'GET') {
+      try {
+        const admin = await requireAdmin(req, res, origin);
+        if (!admin) return;
+
+        const limit = Math.min(Math.max(parseInt(parsedUrl.query.limit, 10) || 100, 1), 500);
+        sendJSON(res, await moderation.auditLog({ limit }), 200, origin);
+      } catch (error) {
+        logger.error('Admin audit log error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Outbound webhooks (see lib/webhooks.js). The secret is only returned on registration
+    if (path === '/api/admin/webhooks' && method === 'GET') {
+      try {
+        const admin = await requireAdmin(req, res, origin);
+        if (!admin) return;
+
+        sendJSON(res, await webhooks.list(), 200, origin);
+      } catch (error) {
+        logger.error('Admin webhooks error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if (path === '/api/admin/webhooks' && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.adminCreateWebhook, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const admin = await requireAdmin(req, res, origin);
+          if (!admin) return;
+
+          const result = await registerWebhook(body, admin);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+          sendJSON(res, result.webhook, 201, origin);
+        } catch (error) {
+          logger.error('Admin register webhook error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    if ((params = matchRoute('/api/admin/webhooks/:id', path)) && method === 'GET') {
+      try {
+        const admin = await requireAdmin(req, res, origin);
+        if (!admin) return;
+
+        const webhook = await webhooks.get(params.id);
+        if (!webhook) {
+          sendJSON(res, { error: 'Webhook not found' }, 404, origin);
+          return;
+        }
+        sendJSON(res, webhook, 200, origin);
+      } catch (error) {
+        logger.error('Admin webhook error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if ((params = matchRoute('/api/admin/webhooks/:id', path)) && method === 'PUT') {
+      parseBody(req, BODY_SCHEMAS.adminUpdateWebhook, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const admin = await requireAdmin(req, res, origin);
+          if (!admin) return;
+
+          const result = await updateWebhook(params.id, body, admin);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+          sendJSON(res, result.webhook, 200, origin);
+        } catch (error) {
+          logger.error('Admin update webhook error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    if ((params = matchRoute('/api/admin/webhooks/:id', path)) && method === 'DELETE') {
+      try {
+        const admin = await requireAdmin(req, res, origin);
+        if (!admin) return;
+
+        const result = await removeWebhook(params.id, admin);
+        if (result.error) {
+          sendJSON(res, { error: result.error }, result.statusCode, origin);
+          return;
+        }
+        sendJSON(res, result.webhook, 200, origin);
+      } catch (error) {
+        logger.error('Admin remove webhook error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Send a `ping` delivery and answer with how it went
+    if ((params = matchRoute('/api/admin/webhooks/:id/test', path)) && method === 'POST') {
+      try {
+        const admin = await requireAdmin(req, res, origin);
+        if (!admin) return;
+
+        const result = await webhooks.ping(params.id);
+        if (result.error) {
+          sendJSON(res, { error: result.error }, result.statusCode, origin);
+          return;
+        }
+        sendJSON(res, result.delivery, 200, origin);
+      } catch (error) {
+        logger.error('Admin webhook test error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if ((params = matchRoute('/api/admin/webhooks/:id/deliveries', path)) && method === 'GET') {
+      try {
+        const admin = await requireAdmin(req, res, origin);
+        if (!admin) return;
+
+        if (!(await webhooks.get(params.id))) {
+          sendJSON(res, { error: 'Webhook not found' }, 404, origin);
+          return;
+        }
+
+        const limit = Math.min(Math.max(parseInt(parsedUrl.query.limit, 10) || 50, 1), 500);
+        sendJSON(res, await webhooks.deliveries(params.id, { limit }), 200, origin);
+      } catch (error) {
+        logger.error('Admin webhook deliveries error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Test Xirsys connection
+    if (path === '/api/xirsys/test' && method === 'GET') {
+      try {
+        logger.info('Testing Xirsys connection');
+        
+        const testResult = {
+          config: {
+            ident: XIRSYS_CONFIG.ident,
+            gateway: XIRSYS_CONFIG.gateway,
+            path: XIRSYS_CONFIG.path
+          },
+          timestamp: new Date().toISOString()
+        };
+        
+        const endpoints = ['_ns', '_turn', '_stats'];
+        
+        for (const endpoint of endpoints) {
+          try {
+            const data = await xirsysApiCall(endpoint);
+            testResult[`${endpoint}Test`] = { success: true, data: data };
+          } catch (e) {
+            testResult[`${endpoint}Test`] = { success: false, error: e.message };
+          }
+        }
+        
+        sendJSON(res, testResult, 200, origin);
+        
+      } catch (error) {
+        logger.error('Xirsys test failed', { err: error });
+        sendJSON(res, { error: 'Xirsys test failed', details: error.message }, 500, origin);
+      }
+      return;
+    }
+
+    // Get Xirsys live sessions
+    if (path === '/api/xirsys/live-sessions' && method === 'GET') {
+      try {
+        const liveSessions = await getXirsysLiveSessions();
+        sendJSON(res, liveSessions, 200, origin);
+      } catch (error) {
+        logger.error('Error fetching Xirsys live sessions', { err: error });
+        sendJSON(res, { error: 'Failed to fetch live sessions', details: error.message }, 500, origin);
+      }
+      return;
+    }
+
+    // Get combined live matches
+    if (path === '/api/live-matches' && method === 'GET') {
+      const mode = parsedUrl.query.mode || null;
+      if (mode && !games.isMode(mode)) {
+        sendJSON(res, { error: `mode must be one of: ${Object.keys(games.GAME_MODES).join(', ')}` }, 400, origin);
+        return;
+      }
+
+      try {
+        const liveMatches = await getCombinedLiveMatches({ mode });
+        sendJSON(res, liveMatches, 200, origin);
+      } catch (error) {
+        logger.error('Error fetching live matches', { err: error });
+        sendJSON(res, { error: 'Failed to fetch live matches', details: error.message }, 500, origin);
+      }
+      return;
+    }
+
+    // Register a player account
+    if (path === '/api/auth/register' && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.register, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const result = await auth.register(body.username, body.password);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+
+          logger.info('Registered player', { playerId: result.player.id, username: result.player.username });
+          sendJSON(res, result, 201, origin);
+        } catch (error) {
+          logger.error('Register error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    // Log in and receive a session token
+    if (path === '/api/auth/login' && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.login, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const result = await auth.login(body.username, body.password);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+
+          const ban = await moderation.findBan({ playerId: result.player.id });
+          if (ban) {
+            sendJSON(res, { error: 'This player is banned', reason: ban.reason, expires: ban.expires }, 403, origin);
+            return;
+          }
+
+          sendJSON(res, result, 200, origin);
+        } catch (error) {
+          logger.error('Login error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    // Current player from the Authorization header
+    if (path === '/api/auth/me' && method === 'GET') {
+      const player = await authenticateRequest(req);
+      if (!player) {
+        sendJSON(res, { error: 'Authentication required' }, 401, origin);
+        return;
+      }
+
+      sendJSON(res, publicPlayer(player), 200, origin);
+      return;
+    }
+
+    // Create room endpoint
+    if (path === '/api/rooms' && method === 'POST') {
+      if (rejectWhileClosing(res, origin)) return;
+      if (!allowRequest(roomCreateLimiter, req, res, origin)) return;
+
+      parseBody(req, BODY_SCHEMAS.createRoom, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const { gameSettings } = body;
+          const host = await authenticateRequest(req);
+          
+          if (!host) {
+            sendJSON(res, { error: 'Authentication required' }, 401, origin);
+            return;
+          }
+
+          const room = await createRoom({ host, gameSettings });
+          sendJSON(res, room, 201, origin);
+
+        } catch (error) {
+          logger.error('Create room error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    // Game modes a room can be created with, and their default settings
+    if (path === '/api/game-modes' && method === 'GET') {
+      sendJSON(res, games.listModes(), 200, origin);
+      return;
+    }
+
+    // Get rooms endpoint, optionally only rooms playing ?mode=
+    if (path === '/api/rooms' && method === 'GET') {
+      const mode = parsedUrl.query.mode || null;
+      if (mode && !games.isMode(mode)) {
+        sendJSON(res, { error: `mode must be one of: ${Object.keys(games.GAME_MODES).join(', ')}` }, 400, origin);
+        return;
+      }
+
+      try {
+        let rooms = (await roomStore.list()).filter(room => !mode || games.modeOf(room.game_settings) === mode);
+
+        const occupancy = await presence.occupancy();
+        const playerRatings = await ratings.getMany(rooms.flatMap(room => [room.host_id, room.opponent_id]));
+        const ratingOf = playerId => playerRatings.has(playerId) ? playerRatings.get(playerId).rating : null;
+
+        // Add real-time participant counts and player ratings
+        rooms = rooms.map(room => {
+          const { players = 0, spectators = 0 } = occupancy.get(room.code) || {};
+          return {
+            ...room,
+            mode: games.modeOf(room.game_settings),
+            actualParticipants: players,
+            hasLiveSession: players > 0,
+            spectators,
+            ranked: !(room.game_settings && room.game_settings.casual === true),
+            host_rating: ratingOf(room.host_id),
+            opponent_rating: ratingOf(room.opponent_id)
+          };
+        });
+
+        sendJSON(res, rooms, 200, origin);
+
+      } catch (error) {
+        logger.error('Get rooms error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Player statistics from recorded matches
+    if ((params = matchRoute('/api/players/:id/stats', path)) && method === 'GET') {
+      try {
+        const player = await playerStore.get(params.id);
+        if (!player) {
+          sendJSON(res, { error: 'Player not found' }, 404, origin);
+          return;
+        }
+
+        const matches = await matchStore.listForPlayer(player.id);
+        sendJSON(res, {
+          player: publicPlayer(player),
+          stats: computeStats(matches, player.id)
+        }, 200, origin);
+
+      } catch (error) {
+        logger.error('Get player stats error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Player rating with recent rating history
+    if ((params = matchRoute('/api/players/:id/rating', path)) && method === 'GET') {
+      try {
+        const limit = Math.min(parseInt(parsedUrl.query.limit, 10) || 20, 100);
+        sendJSON(res, {
+          ...(await ratings.get(params.id)),
+          history: await ratings.history(params.id, { limit })
+        }, 200, origin);
+      } catch (error) {
+        logger.error('Get player rating error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Rating leaderboard
+    if (path === '/api/leaderboard' && method === 'GET') {
+      try {
+        const limit = Math.min(parseInt(parsedUrl.query.limit, 10) || 50, 200);
+        const requestedMinGames = parseInt(parsedUrl.query.minGames, 10);
+        const minGames = Number.isNaN(requestedMinGames) ? 1 : Math.max(requestedMinGames, 0);
+        sendJSON(res, await ratings.leaderboard({ limit, minGames }), 200, origin);
+      } catch (error) {
+        logger.error('Leaderboard error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Player match history (without throw logs)
+    if ((params = matchRoute('/api/players/:id/matches', path)) && method === 'GET') {
+      try {
+        const limit = Math.min(parseInt(parsedUrl.query.limit, 10) || 20, 100);
+        const matches = await matchStore.listForPlayer(params.id, { limit });
+
+        sendJSON(res, matches.map(({ visits, ...summary }) => summary), 200, origin);
+
+      } catch (error) {
+        logger.error('Get player matches error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Match detail with the full throw log
+    if ((params = matchRoute('/api/matches/:id', path)) && method === 'GET') {
+      try {
+        const match = await matchStore.get(params.id);
+        if (!match) {
+          sendJSON(res, { error: 'Match not found' }, 404, origin);
+          return;
+        }
+
+        sendJSON(res, match, 200, origin);
+
+      } catch (error) {
+        logger.error('Get match error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Leagues
+    if (path === '/api/leagues' && method === 'GET') {
+      try {
+        sendJSON(res, await leagues.listLeagues(), 200, origin);
+      } catch (error) {
+        logger.error('List leagues error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if (path === '/api/leagues' && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.createLeague, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const player = await requirePlayer(req, res, origin);
+          if (!player) return;
+
+          const result = await leagues.createLeague(body, player);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+
+          logger.info('League created', { leagueId: result.league.id, name: result.league.name });
+          sendJSON(res, result.league, 201, origin);
+        } catch (error) {
+          logger.error('Create league error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    if ((params = matchRoute('/api/leagues/:id', path)) && method === 'GET') {
+      try {
+        const league = await leagues.getLeague(params.id);
+        if (!league) {
+          sendJSON(res, { error: 'League not found' }, 404, origin);
+          return;
+        }
+        sendJSON(res, league, 200, origin);
+      } catch (error) {
+        logger.error('Get league error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if ((params = matchRoute('/api/leagues/:id/seasons', path)) && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.createSeason, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const player = await requirePlayer(req, res, origin);
+          if (!player) return;
+
+          const result = await leagues.createSeason(params.id, body, player);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+          sendJSON(res, result.season, 201, origin);
+        } catch (error) {
+          logger.error('Create season error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    if ((params = matchRoute('/api/seasons/:id', path)) && method === 'GET') {
+      try {
+        const season = await leagues.getSeason(params.id);
+        if (!season) {
+          sendJSON(res, { error: 'Season not found' }, 404, origin);
+          return;
+        }
+        sendJSON(res, season, 200, origin);
+      } catch (error) {
+        logger.error('Get season error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if ((params = matchRoute('/api/seasons/:id/divisions', path)) && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.createDivision, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const player = await requirePlayer(req, res, origin);
+          if (!player) return;
+
+          const result = await leagues.createDivision(params.id, body, player);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+          sendJSON(res, result.division, 201, origin);
+        } catch (error) {
+          logger.error('Create division error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    if ((params = matchRoute('/api/divisions/:id', path)) && method === 'GET') {
+      try {
+        const division = await leagues.getDivision(params.id);
+        if (!division) {
+          sendJSON(res, { error: 'Division not found' }, 404, origin);
+          return;
+        }
+        sendJSON(res, division, 200, origin);
+      } catch (error) {
+        logger.error('Get division error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if ((params = matchRoute('/api/divisions/:id/register', path)) && method === 'POST') {
+      try {
+        const player = await requirePlayer(req, res, origin);
+        if (!player) return;
+
+        const result = await leagues.register(params.id, player);
+        if (result.error) {
+          sendJSON(res, { error: result.error }, result.statusCode, origin);
+          return;
+        }
+        sendJSON(res, result.registration, 201, origin);
+      } catch (error) {
+        logger.error('Division register error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if ((params = matchRoute('/api/divisions/:id/fixtures', path)) && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.generateFixtures, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const player = await requirePlayer(req, res, origin);
+          if (!player) return;
+
+          const result = await leagues.generateFixtures(params.id, body, player);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+
+          logger.info('Generated fixtures', { divisionId: params.id, count: result.fixtures.length });
+          sendJSON(res, result.fixtures, 201, origin);
+        } catch (error) {
+          logger.error('Generate fixtures error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    if ((params = matchRoute('/api/divisions/:id/fixtures', path)) && method === 'GET') {
+      try {
+        sendJSON(res, await leagues.listFixtures(params.id), 200, origin);
+      } catch (error) {
+        logger.error('List fixtures error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if ((params = matchRoute('/api/divisions/:id/standings', path)) && method === 'GET') {
+      try {
+        const result = await leagues.standings(params.id);
+        if (result.error) {
+          sendJSON(res, { error: result.error }, result.statusCode, origin);
+          return;
+        }
+        sendJSON(res, result, 200, origin);
+      } catch (error) {
+        logger.error('Standings error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if ((params = matchRoute('/api/fixtures/:id', path)) && method === 'GET') {
+      try {
+        const fixture = await leagues.getFixture(params.id);
+        if (!fixture) {
+          sendJSON(res, { error: 'Fixture not found' }, 404, origin);
+          return;
+        }
+        sendJSON(res, fixture, 200, origin);
+      } catch (error) {
+        logger.error('Get fixture error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Create (or reuse) the room a fixture is played in; both players are seated
+    if ((params = matchRoute('/api/fixtures/:id/room', path)) && method === 'POST') {
+      if (rejectWhileClosing(res, origin)) return;
+      try {
+        const player = await requirePlayer(req, res, origin);
+        if (!player) return;
+
+        const fixture = await leagues.getFixture(params.id);
+        if (!fixture) {
+          sendJSON(res, { error: 'Fixture not found' }, 404, origin);
+          return;
+        }
+
+        if (player.id !== fixture.home_id && player.id !== fixture.away_id) {
+          sendJSON(res, { error: 'Only the fixture players can open its room' }, 403, origin);
+          return;
+        }
+
+        if (fixture.status === 'completed') {
+          sendJSON(res, { error: 'Fixture has already been played' }, 409, origin);
+          return;
+        }
+
+        const existing = fixture.room_code ? await roomStore.get(fixture.room_code) : null;
+        if (existing) {
+          sendJSON(res, existing, 200, origin);
+          return;
+        }
+
+        const league = await leagues.getLeague(fixture.league_id);
+        const opponent = player.id === fixture.home_id
+          ? { id: fixture.away_id, username: fixture.away_name }
+          : { id: fixture.home_id, username: fixture.home_name };
+
+        const room = await createRoom({
+          host: player,
+          gameSettings: league && league.game_settings,
+          fixture_id: fixture.id
+        });
+        const joined = await roomStore.join(room.code, opponent);
+        await leagues.linkRoom(fixture.id, room.code);
+
+        sendJSON(res, joined.room || room, 201, origin);
+      } catch (error) {
+        logger.error('Fixture room error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Manual result entry by the league owner (e.g. walkovers or disputes)
+    if ((params = matchRoute('/api/fixtures/:id/result', path)) && method === 'PUT') {
+      parseBody(req, BODY_SCHEMAS.fixtureResult, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const player = await requirePlayer(req, res, origin);
+          if (!player) return;
+
+          const fixture = await leagues.getFixture(params.id);
+          if (!fixture) {
+            sendJSON(res, { error: 'Fixture not found' }, 404, origin);
+            return;
+          }
+
+          if (!(await leagues.isLeagueOwner(fixture.league_id, player))) {
+            sendJSON(res, { error: 'Only the league owner can enter results' }, 403, origin);
+            return;
+          }
+
+          const result = await leagues.recordResult(fixture.id, body);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+          sendJSON(res, result.fixture, 200, origin);
+        } catch (error) {
+          logger.error('Fixture result error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    // Scheduled matches: an agreed kick-off for two players, or for a league fixture
+    if (path === '/api/scheduled-matches' && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.scheduleMatch, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const player = await requirePlayer(req, res, origin);
+          if (!player) return;
+
+          if (!body.fixtureId === !body.opponentId) {
+            sendJSON(res, { error: 'Give either fixtureId or opponentId' }, 400, origin);
+            return;
+          }
+
+          let players;
+          let gameSettings = body.gameSettings || null;
+
+          if (body.fixtureId) {
+            const fixture = await leagues.getFixture(body.fixtureId);
+            if (!fixture) {
+              sendJSON(res, { error: 'Fixture not found' }, 404, origin);
+              return;
+            }
+
+            const isFixturePlayer = player.id === fixture.home_id || player.id === fixture.away_id;
+            if (!isFixturePlayer && !(await leagues.isLeagueOwner(fixture.league_id, player))) {
+              sendJSON(res, { error: 'Only the fixture players or the league owner can schedule it' }, 403, origin);
+              return;
+            }
+
+            if (fixture.status === 'completed') {
+              sendJSON(res, { error: 'Fixture has already been played' }, 409, origin);
+              return;
+            }
+
+            // Fixtures are played with their league's settings
+            const league = await leagues.getLeague(fixture.league_id);
+            gameSettings = league && league.game_settings;
+            players = [
+              { id: fixture.home_id, username: fixture.home_name },
+              { id: fixture.away_id, username: fixture.away_name }
+            ];
+          } else {
+            const opponent = await playerStore.get(body.opponentId);
+            if (!opponent) {
+              sendJSON(res, { error: 'Opponent not found' }, 404, origin);
+              return;
+            }
+            players = [{ id: player.id, username: player.username }, { id: opponent.id, username: opponent.username }];
+          }
+
+          const result = await schedule.create({ players, startAt: body.startAt, gameSettings, fixtureId: body.fixtureId || null }, player);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+
+          logger.info('Match scheduled', { scheduledMatchId: result.scheduledMatch.id, startAt: result.scheduledMatch.start_at });
+          sendJSON(res, result.scheduledMatch, 201, origin);
+        } catch (error) {
+          logger.error('Schedule match error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    // The player's own scheduled matches, soonest first, optionally only those with ?status=
+    if (path === '/api/scheduled-matches' && method === 'GET') {
+      const status = parsedUrl.query.status || null;
+      if (status && !SCHEDULE_STATUSES.includes(status)) {
+        sendJSON(res, { error: `status must be one of: ${SCHEDULE_STATUSES.join(', ')}` }, 400, origin);
+        return;
+      }
+
+      try {
+        const player = await requirePlayer(req, res, origin);
+        if (!player) return;
+
+        sendJSON(res, await schedule.list({ playerId: player.id, statuses: status ? [status] : null }), 200, origin);
+      } catch (error) {
+        logger.error('List scheduled matches error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Its players, its creator or an admin
+    if ((params = matchRoute('/api/scheduled-matches/:id', path)) && method === 'GET') {
+      try {
+        const player = await requirePlayer(req, res, origin);
+        if (!player) return;
+
+        const scheduledMatch = await schedule.get(params.id);
+        if (!scheduledMatch) {
+          sendJSON(res, { error: 'Scheduled match not found' }, 404, origin);
+          return;
+        }
+        if (!scheduledMatch.player_ids.includes(player.id) && scheduledMatch.created_by !== player.id && !isAdmin(player)) {
+          sendJSON(res, { error: 'Only its players can see a scheduled match' }, 403, origin);
+          return;
+        }
+        sendJSON(res, scheduledMatch, 200, origin);
+      } catch (error) {
+        logger.error('Get scheduled match error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Cancel before the match starts; an open room is closed
+    if ((params = matchRoute('/api/scheduled-matches/:id', path)) && method === 'DELETE') {
+      try {
+        const player = await requirePlayer(req, res, origin);
+        if (!player) return;
+
+        const result = await schedule.cancel(params.id, player, { admin: isAdmin(player) });
+        if (result.error) {
+          sendJSON(res, { error: result.error }, result.statusCode, origin);
+          return;
+        }
+
+        const { scheduledMatch } = result;
+        if (scheduledMatch.room_code) await endRoom(scheduledMatch.room_code, { reason: 'cancelled' });
+        notifyScheduledPlayers(scheduledMatch, 'scheduled-match-cancelled', { cancelledBy: player.username });
+
+        sendJSON(res, scheduledMatch, 200, origin);
+      } catch (error) {
+        logger.error('Cancel scheduled match error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Tournaments
+    if (path === '/api/tournaments' && method === 'GET') {
+      try {
+        sendJSON(res, await tournaments.list(), 200, origin);
+      } catch (error) {
+        logger.error('List tournaments error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if (path === '/api/tournaments' && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.createTournament, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const player = await requirePlayer(req, res, origin);
+          if (!player) return;
+
+          const result = await tournaments.create(body, player);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+
+          logger.info('Tournament created', { tournamentId: result.tournament.id, name: result.tournament.name, format: result.tournament.format });
+          sendJSON(res, result.tournament, 201, origin);
+        } catch (error) {
+          logger.error('Create tournament error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    if ((params = matchRoute('/api/tournaments/:id', path)) && method === 'GET') {
+      try {
+        const tournament = await tournaments.get(params.id);
+        if (!tournament) {
+          sendJSON(res, { error: 'Tournament not found' }, 404, origin);
+          return;
+        }
+        sendJSON(res, tournament, 200, origin);
+      } catch (error) {
+        logger.error('Get tournament error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if ((params = matchRoute('/api/tournaments/:id/bracket', path)) && method === 'GET') {
+      try {
+        const bracket = await tournaments.bracket(params.id);
+        if (!bracket) {
+          sendJSON(res, { error: 'Tournament not found' }, 404, origin);
+          return;
+        }
+        sendJSON(res, bracket, 200, origin);
+      } catch (error) {
+        logger.error('Get bracket error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if ((params = matchRoute('/api/tournaments/:id/register', path)) && method === 'POST') {
+      try {
+        const player = await requirePlayer(req, res, origin);
+        if (!player) return;
+
+        const result = await tournaments.register(params.id, player);
+        if (result.error) {
+          sendJSON(res, { error: result.error }, result.statusCode, origin);
+          return;
+        }
+        sendJSON(res, result.tournament, 201, origin);
+      } catch (error) {
+        logger.error('Tournament register error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    if ((params = matchRoute('/api/tournaments/:id/start', path)) && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.startTournament, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const player = await requirePlayer(req, res, origin);
+          if (!player) return;
+
+          const result = await tournaments.start(params.id, body, player);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+
+          await openTournamentMatches(result.tournament, result.ready);
+          sendJSON(res, await tournaments.bracket(params.id), 200, origin);
+        } catch (error) {
+          logger.error('Start tournament error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    // Manual result entry by the organiser
+    if ((params = matchRoute('/api/tournaments/:id/matches/:matchId/result', path)) && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.tournamentResult, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const player = await requirePlayer(req, res, origin);
+          if (!player) return;
+
+          const tournament = await tournaments.get(params.id);
+          if (!tournament) {
+            sendJSON(res, { error: 'Tournament not found' }, 404, origin);
+            return;
+          }
+
+          if (tournament.owner_id !== player.id) {
+            sendJSON(res, { error: 'Only the organiser can enter results' }, 403, origin);
+            return;
+          }
+
+          const result = await tournaments.reportResult(params.id, params.matchId, body);
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+
+          await openTournamentMatches(result.tournament, result.ready);
+          sendJSON(res, await tournaments.bracket(params.id), 200, origin);
+        } catch (error) {
+          logger.error('Tournament result error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    // Matchmaking queue depth per format
+    if (path === '/api/matchmaking/queues' && method === 'GET') {
+      sendJSON(res, matchmaker.depth(), 200, origin);
+      return;
+    }
+
+    // End call endpoint: players end their own room, admins use /api/admin/rooms/:code/end
+    if (path === '/api/rooms/end-call' && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.endCall, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const player = await requirePlayer(req, res, origin);
+          if (!player) return;
+
+          const { roomCode } = body;
+          const room = await roomStore.get(roomCode);
+          if (!room) {
+            sendJSON(res, { error: 'Room not found' }, 404, origin);
+            return;
+          }
+
+          if (player.id !== room.host_id && player.id !== room.opponent_id) {
+            sendJSON(res, { error: 'Only players in this room can end it' }, 403, origin);
+            return;
+          }
+
+          await endRoom(roomCode, { reason: 'ended-by-player' });
+          
+          sendJSON(res, { message: 'Room ended successfully' }, 200, origin);
+          
+        } catch (error) {
+          logger.error('End call error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    // Join room endpoint
+    if ((params = matchRoute('/api/rooms/:code/join', path)) && method === 'POST') {
+      parseBody(req, BODY_SCHEMAS.joinRoom, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const player = await authenticateRequest(req);
+
+          if (!player) {
+            sendJSON(res, { error: 'Authentication required' }, 401, origin);
+            return;
+          }
+
+          const roomCode = params.code.toUpperCase();
+          const result = await roomStore.join(roomCode, player);
+
+          if (result.error) {
+            sendJSON(res, { error: result.error }, result.statusCode, origin);
+            return;
+          }
+
+          logger.info('Player joined room', { username: player.username, roomId: roomCode });
+          io.to(roomCode).emit('playerJoined', { roomCode, player: publicPlayer(player) });
+          sendJSON(res, result.room, 200, origin);
+
+        } catch (error) {
+          logger.error('Join room error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    // Get room details endpoint
+    if ((params = matchRoute('/api/rooms/:code', path)) && method === 'GET') {
+      try {
+        const roomCode = params.code.toUpperCase();
+        const room = await roomStore.get(roomCode);
+
+        if (!room) {
+          sendJSON(res, { error: 'Room not found' }, 404, origin);
+          return;
+        }
+
+        const { players = 0, spectators = 0 } = (await presence.occupancy()).get(roomCode) || {};
+        sendJSON(res, {
+          ...room,
+          actualParticipants: players,
+          hasLiveSession: players > 0,
+          spectators
+        }, 200, origin);
+
+      } catch (error) {
+        logger.error('Get room error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // Update room status endpoint
+    if ((params = matchRoute('/api/rooms/:code/status', path)) && method === 'PUT') {
+      parseBody(req, BODY_SCHEMAS.roomStatus, async (err, body) => {
+        if (err) {
+          sendJSON(res, { error: err.message, details: err.details }, err.statusCode, origin);
+          return;
+        }
+
+        try {
+          const { status } = body;
+
+          const player = await authenticateRequest(req);
+          if (!player) {
+            sendJSON(res, { error: 'Authentication required' }, 401, origin);
+            return;
+          }
+
+          const roomCode = params.code.toUpperCase();
+          const existing = await roomStore.get(roomCode);
+          if (!existing) {
+            sendJSON(res, { error: 'Room not found' }, 404, origin);
+            return;
+          }
+
+          if (player.id !== existing.host_id && player.id !== existing.opponent_id) {
+            sendJSON(res, { error: 'Only players in this room can change its status' }, 403, origin);
+            return;
+          }
+
+          const room = await roomStore.update(roomCode, { status });
+          if (!room) {
+            sendJSON(res, { error: 'Failed to update room' }, 500, origin);
+            return;
+          }
+
+          io.to(roomCode).emit('roomUpdated', room);
+          sendJSON(res, room, 200, origin);
+
+        } catch (error) {
+          logger.error('Update room status error', { err: error });
+          sendJSON(res, { error: 'Internal server error' }, 500, origin);
+        }
+      });
+      return;
+    }
+
+    // Delete room endpoint
+    if ((params = matchRoute('/api/rooms/:code', path)) && method === 'DELETE') {
+      try {
+        const player = await authenticateRequest(req);
+        if (!player) {
+          sendJSON(res, { error: 'Authentication required' }, 401, origin);
+          return;
+        }
+
+        const roomCode = params.code.toUpperCase();
+        const room = await roomStore.get(roomCode);
+
+        if (!room) {
+          sendJSON(res, { error: 'Room not found' }, 404, origin);
+          return;
+        }
+
+        if (player.id !== room.host_id) {
+          sendJSON(res, { error: 'Only the host can delete this room' }, 403, origin);
+          return;
+        }
+
+        await endRoom(roomCode, { reason: 'deleted-by-host' });
+
+        sendJSON(res, { message: 'Room deleted successfully' }, 200, origin);
+
+      } catch (error) {
+        logger.error('Delete room error', { err: error });
+        sendJSON(res, { error: 'Internal server error' }, 500, origin);
+      }
+      return;
+    }
+
+    // 404 for unmatched routes
+    sendJSON(res, { error: 'Not found' }, 404, origin);
+  }
+
+  // Each request runs with its request ID in the log context (kept from X-Request-Id when a proxy
+  // set a usable one) and is timed by route when the response finishes
+  const server = http.createServer((req, res) => {
+    const forwardedId = req.headers['x-request-id'];
+    const requestId = forwardedId && REQUEST_ID_PATTERN.test(forwardedId) ? forwardedId : crypto.randomUUID();
+    const endTimer = metrics.httpDuration.startTimer({ method: req.method });
+    res.setHeader('X-Request-Id', requestId);
+
+    withContext({ requestId }, () => {
+      res.on('finish', AsyncResource.bind(() => {
+        const path = url.parse(req.url).pathname;
+        const route = routeLabel(path);
+        const seconds = endTimer({ route, status: res.statusCode });
+        logger.info('HTTP request', {
+          method: req.method,
+          path,
+          route,
+          status: res.statusCode,
+          durationMs: Math.round(seconds * 1000),
+          origin: req.headers.origin
+        });
+      }));
+
+      handleRequest(req, res).catch(error => {
+        logger.error('Unhandled request error', { err: error });
+        if (!res.headersSent) sendJSON(res, { error: 'Internal server error' }, 500, req.headers.origin);
+      });
+    });
+  });
+
+  // Socket.IO setup with FIXED signaling; the bus adapter carries room broadcasts to other instances
+  const io = new Server(server, {
+    adapter: createBusAdapter(bus),
+    cors: {
+      origin: ALLOWED_ORIGINS,
+      methods: ['GET', 'POST'],
+      credentials: true
+    }
+  });
+
+  // Matchmaking: pair queued players, create their room and seat both of them
+  const matchmaker = createMatchmaker({
+    onMatch: async (host, opponent) => {
+      const room = await createRoom({ host: host.player, gameSettings: host.settings });
+      const joined = await roomStore.join(room.code, opponent.player);
+      if (joined.error) {
+        throw new Error(`Could not seat ${opponent.player.username} in ${room.code}: ${joined.error}`);
+      }
+
+      logger.info('Matchmaking paired players', { players: [host.player.username, opponent.player.username], roomId: room.code });
+
+      [host, opponent].forEach(ticket => {
+        io.to(ticket.socketId).emit('match-found', {
+          room: joined.room,
+          isHost: ticket === host,
+          opponent: ticket === host ? opponent.player : host.player
+        });
+      });
+    },
+    onTimeout: (ticket) => {
+      logger.info('Matchmaking timed out', { username: ticket.player.username });
+      io.to(ticket.socketId).emit('matchmaking-timeout', { format: ticket.key });
+    },
+    onStatus: (ticket, status) => {
+      io.to(ticket.socketId).emit('matchmaking-status', status);
+    }
+  });
+  matchmaker.start();
+
+  // Players seated in a room on any instance, as sent in `room-users`
+  async function getRoomUsers(roomId, excludeSocketId = null) {
+    const seats = await presence.roomSeats(roomId);
+    return seats
+      .filter(seat => seat.socket_id !== excludeSocketId)
+      .map(seat => ({
+        socketId: seat.socket_id,
+        playerId: seat.player_id,
+        username: seat.username || 'Unknown',
+        isHost: seat.is_host,
+        reconnecting: seat.disconnected
+      }));
+  }
+
+  // Remove a socket's seat from its room, cleaning the room up if it is now empty
+  async function removeUserFromRoom(socketId) {
+    clearTimeout(heldSeats.get(socketId));
+    heldSeats.delete(socketId);
+
+    const seat = await presence.removeSeat(socketId, { role: 'player' });
+    if (!seat) return;
+
+    const { room_id: roomId, username } = seat;
+    const remainingUsers = (await presence.roomSeats(roomId)).length;
+
+    if (remainingUsers === 0) {
+      await cleanupRoom(roomId);
+      logger.info('Empty room cleaned up', { roomId });
+    } else {
+      await updateRoomStatus(roomId, 'active', remainingUsers);
+      await presence.touchRoom(roomId);
+    }
+
+    io.to(roomId).emit('user-left', {
+      socketId: socketId,
+      username: username
+    });
+
+    logger.info('Player left room', { username, roomId });
+  }
+
+  // User leave room handler
+  async function handleUserLeaveRoom(socket, io) {
+    const seat = await presence.getSeat(socket.id);
+    if (!seat || seat.role !== 'player') return;
+
+    socket.leave(seat.room_id);
+    await removeUserFromRoom(socket.id);
+  }
+
+  // Remove a held seat once the grace period runs out, unless its player resumed by then. Once this
+  // instance is closing, the cleanup sweep on another instance removes the seat instead
+  function releaseSeatAfterGrace({ socket_id: socketId, room_id: roomId, username }) {
+    if (closing) return;
+
+    heldSeats.set(socketId, setTimeout(async () => {
+      heldSeats.delete(socketId);
+      const current = await presence.getSeat(socketId);
+      if (!current || !current.disconnected) return;
+
+      logger.info('Player did not reconnect in time', { username, roomId });
+      await removeUserFromRoom(socketId);
+    }, RECONNECT_GRACE_MS));
+  }
+
+  // Keep a dropped player's seat for the grace period so they can resume, on this or any instance
+  async function holdSeat(socket) {
+    const seat = await presence.updateSeat(socket.id, {
+      disconnected: true,
+      expires_at: new Date(Date.now() + RECONNECT_GRACE_MS).toISOString()
+    });
+    if (!seat) return;
+
+    const { room_id: roomId, username, player_id: playerId } = seat;
+    releaseSeatAfterGrace(seat);
+
+    logger.info('Holding seat for reconnect', { username, roomId, graceMs: RECONNECT_GRACE_MS });
+    io.to(roomId).emit('player-reconnecting', {
+      socketId: socket.id,
+      playerId,
+      username,
+      graceMs: RECONNECT_GRACE_MS,
+      expiresAt: seat.expires_at
+    });
+  }
+
+  // Relay signaling to a player in the sender's room, whichever instance holds their socket.
+  // Relays from one socket are chained so offers, answers and candidates keep their order
+  function relayToPeer(socket, targetSocketId, event, payload) {
+    const relay = (socket.relayChain || Promise.resolve()).then(async () => {
+      const target = await presence.getSeat(targetSocketId);
+      if (!target || target.role !== 'player' || !socket.roomId || target.room_id !== socket.roomId) {
+        return false;
+      }
+
+      io.to(targetSocketId).emit(event, payload);
+      return true;
+    }).catch(error => {
+      logger.error('Failed to relay signaling message', { event, err: error });
+      return false;
+    }).then(routed => {
+      metrics.signalingMessages.inc({ type: event, result: routed ? 'routed' : 'dropped' });
+      return routed;
+    });
+
+    socket.relayChain = relay;
+    return relay;
+  }
+
+  async function sendChatHistory(socket, roomId, channel) {
+    try {
+      socket.emit('chat-history', { roomCode: roomId, channel, messages: await chat.history(roomId, channel) });
+    } catch (error) {
+      logger.warn('Failed to load chat history', { err: error });
+    }
+  }
+
+  // Spectators watch from a separate Socket.IO room and never count as players
+  function spectatorChannel(roomId) {
+    return `${roomId}:spectators`;
+  }
+
+  async function spectatorCount(roomId) {
+    return (await presence.roomSeats(roomId, 'spectator')).length;
+  }
+
+  function emitToRoomAndSpectators(roomId, event, payload) {
+    io.to(roomId).to(spectatorChannel(roomId)).emit(event, payload);
+  }
+
+  async function broadcastSpectatorCount(roomId) {
+    emitToRoomAndSpectators(roomId, 'spectator-count', { roomCode: roomId, count: await spectatorCount(roomId) });
+  }
+
+  async function handleSpectatorLeave(socket) {
+    const seat = await presence.removeSeat(socket.id, { role: 'spectator' });
+    if (!seat) return;
+
+    socket.leave(spectatorChannel(seat.room_id));
+    await broadcastSpectatorCount(seat.room_id);
+  }
+
+  // Remove every spectator from a room, e.g. when it ends or the host disables spectating
+  async function endSpectating(roomId, reason) {
+    const spectators = await presence.roomSeats(roomId, 'spectator');
+    if (spectators.length === 0) return;
+
+    io.to(spectatorChannel(roomId)).emit('spectating-ended', { roomCode: roomId, reason });
+    io.in(spectatorChannel(roomId)).socketsLeave(spectatorChannel(roomId));
+
+    await Promise.all(spectators.map(seat => presence.removeSeat(seat.socket_id, { role: 'spectator' })));
+    await broadcastSpectatorCount(roomId);
+  }
+
+  // Connection attempts count against the same per-IP budget as API requests
+  io.use((socket, next) => {
+    if (!httpLimiter.take(clientAddress(socket.request)).allowed) {
+      next(new Error('Too many requests'));
+      return;
+    }
+    next();
+  });
+
+  // Every socket must present a session token (handshake auth or Authorization header)
+  io.use(async (socket, next) => {
+    const token = socket.handshake.auth?.token || bearerToken(socket.handshake.headers.authorization);
+
+    try {
+      const player = await auth.authenticate(token);
+      if (!player) {
+        next(new Error('Authentication required'));
+        return;
+      }
+
+      const ip = clientAddress(socket.request);
+      const ban = await moderation.findBan({ playerId: player.id, ip });
+      if (ban) {
+        next(new Error('Banned'));
+        return;
+      }
+
+      socket.player = publicPlayer(player);
+      // socket.data travels with fetchSockets(), so admins see sockets on every instance
+      socket.data = { player: socket.player, ip, connected: new Date().toISOString() };
+      next();
+    } catch (error) {
+      logger.error('Socket authentication error', { err: error });
+      next(new Error('Authentication failed'));
+    }
+  });
+
+  // Log context for a socket's events; the room is whichever one it is in when the event arrives
+  function socketContext(socket) {
+    return { socketId: socket.id, playerId: socket.player.id, roomId: socket.roomId || undefined };
+  }
+
+  // Socket.IO connection handler
+  io.on('connection', (socket) => {
+    metrics.connectedSockets.inc();
+    logger.info('Client connected', { ...socketContext(socket), username: socket.player.username });
+
+    // Personal channel for server-initiated notifications (e.g. tournament matches)
+    socket.join(`player:${socket.player.id}`);
+
+    // Each event spends a token from the socket's bucket and must match its payload schema.
+    // Rejected events never reach their handler; the client gets an `error` event instead.
+    // Handlers run with the socket, player, room and event in the log context
+    socket.use((packet, next) => withContext({ ...socketContext(socket), event: packet[0] }, () => {
+      const [event, data] = packet;
+
+      const { allowed, retryAfterMs } = socketLimiter.take(socket.id);
+      if (!allowed) {
+        socket.emit('error', { event, message: 'Too many requests', retryAfterMs });
+        return;
+      }
+
+      const schema = EVENT_SCHEMAS[event];
+      if (schema) {
+        const result = validate(schema, data, 'payload');
+        if (result.error) {
+          socket.emit('error', { event, message: result.error, details: result.details });
+          return;
+        }
+        packet[1] = result.value;
+      }
+      next();
+    }));
+
+    // A failing async handler answers the client with an `error` event (or through the
+    // acknowledgement, if it asked for one), the way the REST routes answer with a 500
+    function on(event, handler) {
+      socket.on(event, async (...args) => {
+        try {
+          await handler(...args);
+        } catch (error) {
+          logger.error('Socket event failed', { event, err: error });
+          const reply = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+          if (reply) reply({ error: 'Internal server error' });
+          else socket.emit('error', { event, message: 'Internal server error' });
+        }
+      });
+    }
+
+    // FIXED: Enhanced join-video-room handler
+    on('join-video-room', async (data) => {
+      const { roomId } = data;
+      const username = socket.player.username;
+
+      // Only the room's host and its opponent (seated with POST /api/rooms/:code/join) take a
+      // player seat; anyone else can spectate. Host privileges come from who created the room
+      const room = await roomStore.get(roomId);
+      if (!room || room.status === 'ended') {
+        socket.emit('error', { event: 'join-video-room', message: 'Room not found' });
+        return;
+      }
+      if (room.host_id !== socket.player.id && room.opponent_id !== socket.player.id) {
+        socket.emit('error', { event: 'join-video-room', message: 'You are not a player in this room; join it first or spectate' });
+        return;
+      }
+      const isHost = room.host_id === socket.player.id;
+
+      logger.info('Joining video room', { username, roomId, isHost });
+
+      // Leave any previous rooms (but keep the personal notification channel)
+      await handleSpectatorLeave(socket);
+      socket.rooms.forEach(room => {
+        if (room !== socket.id && room !== `player:${socket.player.id}`) {
+          socket.leave(room);
+        }
+      });
+
+      // Join the new room
+      socket.join(roomId);
+      socket.roomId = roomId;
+      addContext({ roomId });
+      socket.username = username;
+      socket.isHost = isHost;
+
+      // Track user in room
+      const seat = await presence.addSeat({
+        socket_id: socket.id,
+        room_id: roomId,
+        role: 'player',
+        player_id: socket.player.id,
+        username,
+        is_host: socket.isHost,
+        instance_id: instanceId,
+        resume_token: crypto.randomBytes(24).toString('base64url')
+      });
+
+      // Rejoining normally replaces any seat still held from a dropped connection
+      for (const other of await presence.roomSeats(roomId)) {
+        if (other.socket_id !== socket.id && other.player_id === socket.player.id && other.disconnected) {
+          await removeUserFromRoom(other.socket_id);
+        }
+      }
+
+      await presence.touchRoom(roomId);
+
+      // Turning up is what the no-show check of a scheduled match looks for
+      if (room.scheduled_match_id) {
+        try {
+          await schedule.checkIn(roomId, socket.player.id);
+        } catch (error) {
+          logger.warn('Failed to check in for scheduled match', { err: error });
+        }
+      }
+
+      // Get all current users in room (excluding the joining user)
+      const roomUsers = await getRoomUsers(roomId, socket.id);
+
+      logger.info('Joined video room', { username, roomId, users: roomUsers.length + 1 });
+
+      // Send current room users to the new user, plus the token to resume this seat after a drop
+      socket.emit('room-users', roomUsers);
+      await sendChatHistory(socket, roomId, 'players');
+      socket.emit('session-resume-token', {
+        roomCode: roomId,
+        token: seat.resume_token,
+        graceMs: RECONNECT_GRACE_MS
+      });
+
+      // Notify others in room about new user
+      socket.to(roomId).emit('user-joined', {
+        socketId: socket.id,
+        playerId: socket.player.id,
+        username: username,
+        isHost: socket.isHost
+      });
+      notifyWebhooks('room.player_joined', { roomCode: roomId, player: username, isHost: socket.isHost });
+
+      // Update room status in database
+      try {
+        await updateRoomStatus(roomId, 'active', roomUsers.length + 1);
+      } catch (error) {
+        logger.warn('Failed to update room status', { err: error });
+      }
+    });
+
+    // FIXED: WebRTC offer handling
+    on('webrtc-offer', async (data) => {
+      const { targetSocketId, offer } = data;
+      const routed = await relayToPeer(socket, targetSocketId, 'webrtc-offer', {
+        fromSocketId: socket.id,
         offer: offer
       });
-      console.log(`✅ Offer routed successfully to ${targetSocketId}`);
-    } else {
-      console.warn(`❌ Failed to route offer - target ${targetSocketId} not found or not in same room`);
-    }
-  });
 
-  // FIXED: WebRTC answer handling
-  socket.on('webrtc-answer', (data) => {
-    const { targetSocketId, answer } = data;
-    console.log(`📥 Routing answer from ${socket.id} to ${targetSocketId}`);
-    
-    const targetSocket = io.sockets.sockets.get(targetSocketId);
-    
-    if (targetSocket && targetSocket.roomId === socket.roomId) {
-      targetSocket.emit('webrtc-answer', {
-        fromSocketId: socket.id,
-        answer: answer
+      if (routed) {
+        logger.debug('Relayed offer', { targetSocketId });
+      } else {
+        logger.warn('Failed to route offer - target not found or not in the same room', { targetSocketId });
+      }
+    });
+
+    // FIXED: WebRTC answer handling
+    on('webrtc-answer', async (data) => {
+      const { targetSocketId, answer } = data;
+      const routed = await relayToPeer(socket, targetSocketId, 'webrtc-answer', {
+        fromSocketId: socket.id,
+        answer: answer
+      });
+
+      if (routed) {
+        logger.debug('Relayed answer', { targetSocketId });
+      } else {
+        logger.warn('Failed to route answer - target not found or not in the same room', { targetSocketId });
+      }
+    });
+
+    // FIXED: ICE candidate handling
+    on('webrtc-ice-candidate', async (data) => {
+      const { targetSocketId, candidate } = data;
+      const routed = await relayToPeer(socket, targetSocketId, 'webrtc-ice-candidate', {
+        fromSocketId: socket.id,
+        candidate: candidate
+      });
+
+      if (routed) {
+        logger.debug('Relayed ICE candidate', { targetSocketId });
+      } else {
+        logger.warn('Failed to route ICE candidate - target not found or not in the same room', { targetSocketId });
+      }
+    });
+
+    // Room ping/pong system for peer discovery
+    socket.on('room-ping', (data) => {
+      const { roomId } = data;
+      socket.to(roomId).emit('room-ping', {
+        fromSocketId: socket.id,
+        username: socket.player.username,
+        isHost: socket.isHost || false,
+        roomId: roomId
+      });
+      metrics.signalingMessages.inc({ type: 'room-ping', result: 'routed' });
+      logger.debug('Ping broadcast', { roomId });
+    });
+
+    socket.on('room-pong', (data) => {
+      const { toSocketId } = data;
+
+      // Pongs answer a ping from any socket, so they are not limited to room members. Who is
+      // answering comes from the session, never from the payload
+      io.to(toSocketId).emit('room-pong', {
+        fromSocketId: socket.id,
+        username: socket.player.username,
+        isHost: socket.isHost || false
+      });
+      metrics.signalingMessages.inc({ type: 'room-pong', result: 'routed' });
+      logger.debug('Pong sent', { toSocketId });
+    });
+
+    // Server-authoritative scoring, in the room's game mode
+    on('start-match', async () => {
+      const roomId = socket.roomId;
+      const seat = await presence.getSeat(socket.id);
+      if (!roomId || !seat || seat.role !== 'player' || seat.room_id !== roomId) {
+        socket.emit('match-error', { message: 'Join a room before starting a match' });
+        return;
+      }
+
+      if (!socket.isHost) {
+        socket.emit('match-error', { message: 'Only the host can start the match' });
+        return;
+      }
+
+      // A won match whose result is not final yet still occupies the room
+      const existing = await presence.getMatch(roomId);
+      if (existing && (existing.match.status === 'in_progress' || matchEvents.isResultPending(existing.match))) {
+        socket.emit('match-state', matchEvents.serializeMatch(existing.match));
+        return;
+      }
+
+      const participants = (await presence.roomSeats(roomId))
+        .sort((a, b) => Number(b.is_host) - Number(a.is_host));
+
+      if (participants.length !== 2 || participants[0].player_id === participants[1].player_id) {
+        socket.emit('match-error', { message: 'A match needs exactly two players in the room' });
+        return;
+      }
+
+      const players = participants.map(p => ({ id: p.player_id, username: p.username }));
+
+      try {
+        const room = await roomStore.get(roomId);
+        const match = matchEvents.startMatch(room?.game_settings, players, { confirmWindowMs: RESULT_CONFIRM_WINDOW_MS });
+        if (!(await presence.saveMatch(roomId, match, existing ? existing.revision : null))) {
+          const current = await presence.getMatch(roomId);
+          socket.emit('match-state', current ? matchEvents.serializeMatch(current.match) : null);
+          return;
+        }
+        logger.info('Match started', { roomId, game: match.game, players: players.map(p => p.username) });
+        await publishMatchEvents(roomId, match, match.events);
+        await updateRoomStatus(roomId, 'in_progress', participants.length);
+        if (room && room.scheduled_match_id) await schedule.markStarted(roomId);
+      } catch (error) {
+        socket.emit('match-error', { message: error.message });
+      }
+    });
+
+    // Match event protocol: the acknowledgement (or `match-ack`) carries the event's sequence number
+    on('match-event', async (data, callback) => {
+      const result = await applyMatchEvent(socket.roomId, { playerId: socket.player.id }, data);
+      const reply = typeof callback === 'function' ? callback : null;
+
+      if (result.error) {
+        const rejection = { clientId: data.clientId || null, type: data.type, message: result.error };
+        if (reply) reply({ error: result.error, ...rejection });
+        else socket.emit('match-error', rejection);
+        return;
+      }
+
+      const [event] = result.events;
+      const ack = { clientId: event.clientId, seq: event.seq, type: event.type, duplicate: result.duplicate };
+      if (reply) reply(ack);
+      else socket.emit('match-ack', ack);
+    });
+
+    // The original visit event, without a client ID or acknowledgement
+    on('submit-visit', async (data) => {
+      const result = await applyMatchEvent(socket.roomId, { playerId: socket.player.id }, { type: 'visit', visit: data || {} });
+      if (result.error) {
+        socket.emit('match-error', { message: result.error });
+        return;
+      }
+      const [event] = result.events;
+      logger.debug('Visit scored', { username: socket.username, score: event.result.score, bust: event.result.bust, roomId: socket.roomId });
+    });
+
+    // Catch up on match events after `fromSeq`, for late joiners, spectators and reconnects
+    on('match-replay', async (data) => {
+      const seat = await presence.getSeat(socket.id);
+      const current = seat ? await presence.getMatch(seat.room_id) : null;
+      if (!current) {
+        socket.emit('match-error', { message: 'No match in progress' });
+        return;
+      }
+
+      const fromSeq = data?.fromSeq || 0;
+      socket.emit('match-events', {
+        version: matchEvents.PROTOCOL_VERSION,
+        roomCode: seat.room_id,
+        fromSeq,
+        events: matchEvents.eventsSince(current.match, fromSeq),
+        state: matchEvents.serializeMatch(current.match)
+      });
+    });
+
+    on('get-match-state', async () => {
+      const current = await presence.getMatch(socket.roomId);
+      socket.emit('match-state', current ? matchEvents.serializeMatch(current.match) : null);
+    });
+
+    // Spectator mode: read-only view of a room's match
+    on('spectate-room', async (data) => {
+      const roomId = data?.roomId;
+      const seat = await presence.getSeat(socket.id);
+
+      if (seat && seat.role === 'player') {
+        socket.emit('spectate-error', { message: 'Leave your room before spectating' });
+        return;
+      }
+
+      try {
+        const room = await roomStore.get(roomId);
+        if (!room) {
+          socket.emit('spectate-error', { message: 'Room not found' });
+          return;
+        }
+
+        if (room.allow_spectators === false) {
+          socket.emit('spectate-error', { message: 'Spectating is disabled for this room' });
+          return;
+        }
+
+        const limit = room.max_spectators ?? DEFAULT_MAX_SPECTATORS;
+        const alreadyWatching = seat && seat.room_id === roomId;
+        if (await spectatorCount(roomId) >= limit && !alreadyWatching) {
+          socket.emit('spectate-error', { message: 'Spectator limit reached' });
+          return;
+        }
+
+        await handleSpectatorLeave(socket);
+        socket.join(spectatorChannel(roomId));
+
+        await presence.addSeat({
+          socket_id: socket.id,
+          room_id: roomId,
+          role: 'spectator',
+          player_id: socket.player.id,
+          username: socket.player.username,
+          is_host: false,
+          instance_id: instanceId
+        });
+
+        logger.info('Spectating room', { username: socket.player.username, roomId, spectators: await spectatorCount(roomId) });
+
+        const current = await presence.getMatch(roomId);
+        socket.emit('spectating', {
+          roomCode: roomId,
+          room,
+          matchState: current ? matchEvents.serializeMatch(current.match) : null
+        });
+        if (room.spectator_chat !== false) await sendChatHistory(socket, roomId, 'spectators');
+        await broadcastSpectatorCount(roomId);
+      } catch (error) {
+        logger.error('Spectate error', { err: error });
+        socket.emit('spectate-error', { message: 'Failed to spectate room' });
+      }
+    });
+
+    on('leave-spectating', async () => {
+      await handleSpectatorLeave(socket);
+    });
+
+    // Host controls whether (and how many) spectators may watch
+    on('set-spectating', async (data) => {
+      const roomId = socket.roomId;
+      if (!roomId || !socket.isHost) {
+        socket.emit('spectate-error', { message: 'Only the host can change spectator settings' });
+        return;
+      }
+
+      const changes = {};
+      if (typeof data?.allowSpectators === 'boolean') changes.allow_spectators = data.allowSpectators;
+      if (Number.isInteger(data?.maxSpectators) && data.maxSpectators >= 0) changes.max_spectators = data.maxSpectators;
+      if (typeof data?.spectatorChat === 'boolean') changes.spectator_chat = data.spectatorChat;
+
+      try {
+        const room = await roomStore.update(roomId, changes);
+        if (room && room.allow_spectators === false) {
+          await endSpectating(roomId, 'disabled-by-host');
+        }
+        io.to(roomId).emit('roomUpdated', room);
+      } catch (error) {
+        logger.error('Set spectating error', { err: error });
+        socket.emit('spectate-error', { message: 'Failed to update spectator settings' });
+      }
+    });
+
+    // Matchmaking queue
+    on('matchmaking-join', async (data) => {
+      if (closing) {
+        socket.emit('error', { event: 'matchmaking-join', message: 'Server is restarting', retryAfterMs: config.shutdown.retryAfterMs });
+        return;
+      }
+
+      let rating;
+      try {
+        rating = (await ratings.get(socket.player.id)).rating;
+      } catch (error) {
+        logger.warn('Failed to load rating for matchmaking', { err: error });
+      }
+
+      const status = matchmaker.enqueue(socket.player, {
+        gameSettings: data?.gameSettings,
+        rating,
+        socketId: socket.id
       });
-      console.log(`✅ Answer routed successfully to ${targetSocketId}`);
-    } else {
-      console.warn(`❌ Failed to route answer - target ${targetSocketId} not found`);
-    }
-  });
+      logger.info('Queued for matchmaking', { username: socket.player.username, format: status.label });
+      socket.emit('matchmaking-status', status);
+    });
 
-  // FIXED: ICE candidate handling
-  socket.on('webrtc-ice-candidate', (data) => {
-    const { targetSocketId, candidate } = data;
-    console.log(`🧊 Routing ICE candidate from ${socket.id} to ${targetSocketId}`);
-    
-    const targetSocket = io.sockets.sockets.get(targetSocketId);
-    
-    if (targetSocket && targetSocket.roomId === socket.roomId) {
-      targetSocket.emit('webrtc-ice-candidate', {
+    socket.on('matchmaking-cancel', () => {
+      const cancelled = matchmaker.cancel(socket.player.id);
+      socket.emit('matchmaking-status', { queued: false, cancelled });
+    });
+
+    socket.on('matchmaking-status', () => {
+      socket.emit('matchmaking-status', matchmaker.status(socket.player.id));
+    });
+
+    // Room chat: players talk in their room, spectators in the room's spectator channel
+    on('chat-message', async (data) => {
+      const seat = await presence.getSeat(socket.id);
+      if (!seat) {
+        socket.emit('chat-error', { message: 'Join or spectate a room to chat' });
+        return;
+      }
+
+      const { allowed, retryAfterMs } = chatLimiter.take(socket.player.id);
+      if (!allowed) {
+        socket.emit('chat-error', { message: 'You are sending messages too quickly', retryAfterMs });
+        return;
+      }
+
+      const roomId = seat.room_id;
+      const channel = seat.role === 'spectator' ? 'spectators' : 'players';
+
+      try {
+        if (channel === 'spectators') {
+          const room = await roomStore.get(roomId);
+          if (room && room.spectator_chat === false) {
+            socket.emit('chat-error', { message: 'Spectator chat is disabled for this room' });
+            return;
+          }
+        }
+
+        const result = await chat.post(roomId, channel, socket.player, data);
+        if (result.error) {
+          socket.emit('chat-error', { message: result.error });
+          return;
+        }
+
+        io.to(channel === 'spectators' ? spectatorChannel(roomId) : roomId).emit('chat-message', result.message);
+      } catch (error) {
+        logger.error('Chat error', { err: error });
+        socket.emit('chat-error', { message: 'Failed to send message' });
+      }
+    });
+
+    // Test message system for debugging
+    socket.on('test-message', (data) => {
+      const { roomId, message } = data;
+      logger.debug('Test message', { roomId, message });
+      
+      socket.to(roomId).emit('test-message', {
         fromSocketId: socket.id,
-        candidate: candidate
+        message: message,
+        username: socket.player.username,
+        timestamp: Date.now()
       });
-      console.log(`✅ ICE candidate routed successfully`);
-    } else {
-      console.warn(`❌ Failed to route ICE candidate`);
-    }
-  });
+    });
 
-  // Room ping/pong system for peer discovery
-  socket.on('room-ping', (data) => {
-    const { roomId, username, isHost } = data;
-    console.log(`🏓 Ping in room ${roomId} from ${username}`);
-    
-    socket.to(roomId).emit('room-ping', {
-      fromSocketId: socket.id,
-      username: username,
-      isHost: isHost,
-      roomId: roomId
+    // Take back a held seat after a dropped connection, whichever instance held it
+    on('resume-session', async (data) => {
+      const token = data?.token;
+      const seat = await presence.findSeatByToken(token);
+
+      if (!seat || !seat.disconnected || seat.player_id !== socket.player.id) {
+        socket.emit('resume-failed', { message: 'No seat is being held for this session' });
+        return;
+      }
+
+      const { room_id: roomId, socket_id: oldSocketId } = seat;
+      clearTimeout(heldSeats.get(oldSocketId));
+      heldSeats.delete(oldSocketId);
+
+      // Move the seat over to the new socket
+      await handleSpectatorLeave(socket);
+      const moved = await presence.moveSeat(oldSocketId, socket.id, {
+        instance_id: instanceId,
+        disconnected: false,
+        expires_at: null
+      });
+      if (!moved) {
+        socket.emit('resume-failed', { message: 'No seat is being held for this session' });
+        return;
+      }
+
+      await presence.touchRoom(roomId);
+
+      socket.join(roomId);
+      socket.roomId = roomId;
+      addContext({ roomId });
+      socket.username = moved.username;
+      socket.isHost = moved.is_host;
+
+      logger.info('Seat resumed', { username: moved.username, roomId });
+
+      const current = await presence.getMatch(roomId);
+      socket.emit('session-resumed', {
+        roomCode: roomId,
+        token,
+        isHost: moved.is_host,
+        peers: await getRoomUsers(roomId, socket.id),
+        matchState: current ? matchEvents.serializeMatch(current.match) : null
+      });
+      await sendChatHistory(socket, roomId, 'players');
+
+      socket.to(roomId).emit('player-reconnected', {
+        oldSocketId,
+        socketId: socket.id,
+        playerId: moved.player_id,
+        username: moved.username,
+        isHost: moved.is_host
+      });
+    });
+
+    // Handle disconnection and cleanup
+    socket.on('disconnect', reason => withContext(socketContext(socket), async () => {
+      metrics.connectedSockets.dec();
+      logger.info('Client disconnected', { reason });
+      socketLimiter.reset(socket.id);
+      matchmaker.cancel(socket.player.id, socket.id);
+      await handleSpectatorLeave(socket);
+
+      const seat = await presence.getSeat(socket.id);
+      if (seat && seat.role === 'player' && RECONNECT_GRACE_MS > 0) {
+        await holdSeat(socket);
+      } else {
+        await handleUserLeaveRoom(socket, io);
+      }
+    }));
+
+    on('leave-video-room', async () => {
+      await handleUserLeaveRoom(socket, io);
     });
-    
-    console.log(`🏓 Ping broadcasted to room ${roomId}`);
   });
 
-  socket.on('room-pong', (data) => {
-    const { toSocketId, username, isHost } = data;
-    console.log(`🏓 Pong from ${socket.username} to ${toSocketId}`);
-    
-    const targetSocket = io.sockets.sockets.get(toSocketId);
-    if (targetSocket) {
-      targetSocket.emit('room-pong', {
-        fromSocketId: socket.id,
-        username: socket.username,
-        isHost: socket.isHost
-      });
-      console.log(`✅ Pong sent to ${toSocketId}`);
+  // Admin actions, shared by /api/admin and the /admin namespace. Everything that changes
+  // something is written to the audit log and streamed to connected admins
+  async function audit(action, admin, { target = null, details = null } = {}) {
+    const entry = await moderation.record(action, admin, { target, details });
+    logger.info('Admin action', { admin: admin.username, action, target });
+    adminNsp.emit('audit', entry);
+    return entry;
+  }
+
+  // Drop a socket for good: its seat is released instead of being held for a reconnect
+  async function removeSocket(socketId, event, payload) {
+    io.to(socketId).emit(event, payload);
+    await removeUserFromRoom(socketId);
+    io.in(socketId).disconnectSockets(true);
+  }
+
+  async function listConnectedUsers() {
+    const [sockets, seats] = await Promise.all([io.fetchSockets(), presence.listSeats()]);
+    const seatsBySocket = new Map(seats.map(seat => [seat.socket_id, seat]));
+
+    return sockets.map(remote => {
+      const seat = seatsBySocket.get(remote.id);
+      return {
+        socketId: remote.id,
+        player: remote.data.player,
+        ip: remote.data.ip,
+        connected: remote.data.connected,
+        roomCode: seat ? seat.room_id : null,
+        role: seat ? seat.role : null
+      };
+    });
+  }
+
+  async function listRoomsForAdmin() {
+    const [rooms, seats] = await Promise.all([roomStore.list(), presence.listSeats()]);
+
+    return rooms.map(room => ({
+      ...room,
+      seats: seats
+        .filter(seat => seat.room_id === room.code)
+        .map(seat => ({
+          socketId: seat.socket_id,
+          playerId: seat.player_id,
+          username: seat.username,
+          role: seat.role,
+          disconnected: !!seat.disconnected
+        }))
+    }));
+  }
+
+  async function kickSocket(socketId, { reason = null } = {}, admin) {
+    const [target] = await io.in(socketId).fetchSockets();
+    if (!target) return { error: 'Socket not found', statusCode: 404 };
+
+    await removeSocket(socketId, 'kicked', { reason });
+    const { player } = target.data;
+    await audit('kick', admin, { target: socketId, details: { playerId: player.id, username: player.username, reason } });
+    return { kicked: { socketId, player } };
+  }
+
+  async function banPlayer(changes, admin) {
+    const result = await moderation.ban(changes, admin);
+    if (result.error) return result;
+
+    // Connections the ban covers are dropped straight away
+    const { ban } = result;
+    const covered = (await io.fetchSockets()).filter(remote =>
+      (ban.player_id && remote.data.player.id === ban.player_id) || (ban.ip && remote.data.ip === ban.ip));
+    for (const remote of covered) {
+      await removeSocket(remote.id, 'banned', { reason: ban.reason, expires: ban.expires });
     }
-  });
 
-  // Test message system for debugging
-  socket.on('test-message', (data) => {
-    const { roomId, message } = data;
-    console.log(`🧪 Test message in room ${roomId}: ${message}`);
-    
-    socket.to(roomId).emit('test-message', {
-      fromSocketId: socket.id,
-      message: message,
-      username: socket.username,
-      timestamp: Date.now()
+    await audit('ban', admin, {
+      target: ban.player_id || ban.ip,
+      details: { banId: ban.id, playerId: ban.player_id, ip: ban.ip, reason: ban.reason, expires: ban.expires, disconnected: covered.length }
     });
-  });
+    return { ban, disconnected: covered.length };
+  }
+
+  async function unbanPlayer(banId, admin) {
+    const result = await moderation.unban(banId, admin);
+    if (result.error) return result;
+
+    await audit('unban', admin, { target: result.ban.player_id || result.ban.ip, details: { banId } });
+    return result;
+  }
+
+  async function forceEndRoom(roomCode, { reason = null } = {}, admin) {
+    const room = await roomStore.get(roomCode);
+    const seats = await presence.roomSeats(roomCode);
+    if (!room && seats.length === 0) return { error: 'Room not found', statusCode: 404 };
+
+    await endRoom(roomCode, { reason: 'ended-by-admin', message: reason });
+
+    await audit('end-room', admin, { target: roomCode, details: { reason, players: seats.map(seat => seat.username) } });
+    return { roomCode };
+  }
+
+  // Settle a disputed visit for both players: 'stand', 'void' or 'correct' with the corrected visit
+  async function resolveDispute(roomCode, { outcome, visit = null }, admin) {
+    const result = await applyMatchEvent(roomCode, { admin: admin.username }, { outcome, visit });
+    if (result.error) return result;
+
+    await audit('resolve-dispute', admin, { target: roomCode, details: { outcome, visit } });
+    return { roomCode, match: matchEvents.serializeMatch(result.match) };
+  }
 
-  // Handle disconnection and cleanup
-  socket.on('disconnect', async () => {
-    console.log('📴 Client disconnected:', socket.id);
-    await handleUserLeaveRoom(socket, io);
+  async function registerWebhook(fields, admin) {
+    const result = await webhooks.register(fields, admin);
+    if (result.error) return result;
+
+    const { webhook } = result;
+    await audit('register-webhook', admin, { target: webhook.id, details: { url: webhook.url, events: webhook.events, format: webhook.format } });
+    return result;
+  }
+
+  async function updateWebhook(webhookId, changes, admin) {
+    const result = await webhooks.update(webhookId, changes);
+    if (result.error) return result;
+
+    await audit('update-webhook', admin, { target: webhookId, details: changes });
+    return result;
+  }
+
+  async function removeWebhook(webhookId, admin) {
+    const result = await webhooks.remove(webhookId);
+    if (result.error) return result;
+
+    await audit('remove-webhook', admin, { target: webhookId, details: { url: result.webhook.url } });
+    return result;
+  }
+
+  async function announce({ message, level = 'info' }, admin) {
+    const announcement = {
+      id: crypto.randomUUID(),
+      message,
+      level,
+      from: admin.username,
+      sent: new Date().toISOString()
+    };
+    io.emit('announcement', announcement);
+
+    await audit('announce', admin, { details: { message, level } });
+    return { announcement };
+  }
+
+  // Admin namespace: the same actions over a socket, answered through acknowledgements
+  const adminNsp = io.of('/admin');
+
+  adminNsp.use(async (socket, next) => {
+    const token = socket.handshake.auth?.token || bearerToken(socket.handshake.headers.authorization);
+
+    try {
+      const player = await auth.authenticate(token);
+      if (!isAdmin(player)) {
+        next(new Error('Admin access required'));
+        return;
+      }
+
+      socket.player = publicPlayer(player);
+      next();
+    } catch (error) {
+      logger.error('Admin socket authentication error', { err: error });
+      next(new Error('Authentication failed'));
+    }
   });
 
-  socket.on('leave-video-room', async () => {
-    await handleUserLeaveRoom(socket, io);
+  adminNsp.on('connection', (socket) => {
+    logger.info('Admin connected', { username: socket.player.username });
+
+    const actions = {
+      'list-users': () => listConnectedUsers().then(users => ({ users })),
+      'list-rooms': () => listRoomsForAdmin().then(rooms => ({ rooms })),
+      'list-bans': data => moderation.listBans({ all: data?.all }).then(bans => ({ bans })),
+      'kick': data => kickSocket(data.socketId, data, socket.player),
+      'ban': data => banPlayer(data, socket.player),
+      'unban': data => unbanPlayer(data.banId, socket.player),
+      'end-room': data => forceEndRoom(data.roomCode, data, socket.player),
+      'resolve-dispute': data => resolveDispute(data.roomCode, data, socket.player),
+      'announce': data => announce(data, socket.player),
+      'audit-log': data => moderation.auditLog({ limit: data?.limit }).then(entries => ({ entries }))
+    };
+
+    Object.entries(actions).forEach(([event, action]) => {
+      socket.on(event, async (data, callback) => {
+        // The acknowledgement may be the only argument
+        if (typeof data === 'function') [data, callback] = [undefined, data];
+        const reply = typeof callback === 'function' ? callback : () => {};
+
+        const schema = ADMIN_EVENT_SCHEMAS[event];
+        const checked = schema ? validate(schema, data, 'payload') : { value: data };
+        if (checked.error) {
+          reply({ error: checked.error, details: checked.details });
+          return;
+        }
+
+        try {
+          reply(await action(checked.value));
+        } catch (error) {
+          logger.error('Admin action error', { event, err: error });
+          reply({ error: 'Internal server error' });
+        }
+      });
+    });
   });
-});
 
-// Periodic cleanup for stale rooms
-setInterval(async () => {
-  console.log('🔄 Running periodic room cleanup...');
-  
-  const now = Date.now();
-  const STALE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
-  
-  for (const [roomId, lifecycle] of roomLifecycle.entries()) {
-    const lastActivity = lifecycle.lastActivity.getTime();
-    
-    if (lifecycle.status === 'ended' || 
-        (lifecycle.participants.size === 0 && now - lastActivity > STALE_TIMEOUT)) {
-      await cleanupRoom(roomId);
-      console.log(`🧹 Cleaned up stale room: ${roomId}`);
+  // The oldest live instance leads: it alone runs the periodic jobs, so a cluster runs each once
+  // per interval and they carry on when that instance goes away
+  async function isLeader() {
+    const live = await presence.liveInstances(INSTANCE_TIMEOUT_MS);
+    return live.length > 0 && live[0].instance_id === instanceId;
+  }
+
+  // Deliveries that failed are retried by the leader once their backoff has passed
+  async function runWebhookRetries() {
+    if (!(await isLeader())) return false;
+    await webhooks.retryDue();
+    return true;
+  }
+
+  // Periodic cleanup, on the leader
+  async function runCleanup() {
+    if (!(await isLeader())) return false;
+
+    logger.debug('Running periodic room cleanup');
+
+    // Seats whose grace period ran out, and seats left behind by instances that stopped heartbeating
+    const now = Date.now();
+    const live = await presence.liveInstances(INSTANCE_TIMEOUT_MS);
+    const liveIds = new Set(live.map(instance => instance.instance_id));
+    for (const seat of await presence.listSeats()) {
+      const expiresAt = seat.expires_at ? new Date(seat.expires_at).getTime() : null;
+      const expired = expiresAt !== null && expiresAt <= now;
+      const orphaned = !liveIds.has(seat.instance_id) && expiresAt === null;
+      if (!expired && !orphaned) continue;
+
+      if (seat.role === 'spectator') {
+        await presence.removeSeat(seat.socket_id);
+        await broadcastSpectatorCount(seat.room_id);
+      } else {
+        await removeUserFromRoom(seat.socket_id);
+      }
+    }
+
+    for (const instance of await presence.listInstances()) {
+      if (!liveIds.has(instance.instance_id)) await presence.removeInstance(instance.instance_id);
+    }
+
+    const occupancy = await presence.occupancy();
+    for (const room of await presence.listRooms()) {
+      // Results whose confirmation window closed while the instance timing it was gone
+      await closeMatchResult(room.room_id);
+
+      const lastActivity = new Date(room.last_activity).getTime();
+      const participants = occupancy.has(room.room_id) ? occupancy.get(room.room_id).players : 0;
+
+      if (participants === 0 && now - lastActivity > STALE_ROOM_MS) {
+        // A scheduled room waits for its players until the no-show check settles it. Once both
+        // turned up, leaving without playing voids the match
+        const scheduledMatch = await schedule.findByRoom(room.room_id);
+        if (scheduledMatch && scheduledMatch.status === 'open') {
+          if (awaitingPlayers(scheduledMatch)) continue;
+          if (await schedule.abandon(scheduledMatch.id)) {
+            logger.info('Scheduled match abandoned', { scheduledMatchId: scheduledMatch.id, roomId: room.room_id });
+          }
+        }
+
+        await cleanupRoom(room.room_id);
+        logger.info('Cleaned up stale room', { roomId: room.room_id });
+      }
     }
+
+    return true;
   }
-  
-}, 5 * 60 * 1000); // Run every 5 minutes
 
-// Start server
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 DDL Arena Server v2.0 is running on port ${PORT}`);
-  console.log(`🌐 Allowed origins: ${ALLOWED_ORIGINS.join(', ')}`);
-  console.log(`🗄️ Database: ${supabase ? 'Supabase Connected' : 'In-memory fallback'}`);
-  console.log(`🎥 WebRTC Signaling: ✅ FIXED & Enhanced`);
-  console.log(`🎯 Xirsys Integration: ✅ Active`);
-  console.log(`   - Ident: ${XIRSYS_CONFIG.ident}`);
-  console.log(`   - Gateway: ${XIRSYS_CONFIG.gateway}`);
-  console.log(`   - Path: ${XIRSYS_CONFIG.path}`);
-  console.log(`🧹 Auto-cleanup: ✅ Enabled (5 min intervals)`);
-  console.log(`🔧 Debug Features: ✅ Ping/Pong, Test Messages`);
-});
+  // Save the rooms this instance has players in (room, match state and its player seats here)
+  // for the next instance to restore. Returns how many were saved
+  async function snapshotRooms() {
+    const seats = (await presence.listSeats()).filter(seat => seat.instance_id === instanceId && seat.role === 'player');
+    const roomIds = Array.from(new Set(seats.map(seat => seat.room_id)));
 
-server.on('error', (err) => {
-  console.error('❌ Server error:', err);
-});
+    let saved = 0;
+    for (const roomId of roomIds) {
+      try {
+        const room = await roomStore.get(roomId);
+        const current = await presence.getMatch(roomId);
+        await snapshots.save({
+          roomId,
+          instanceId,
+          room,
+          match: current ? current.match : null,
+          seats: seats.filter(seat => seat.room_id === roomId)
+        });
+        saved += 1;
+      } catch (error) {
+        logger.error('Failed to snapshot room', { roomId, err: error });
+      }
+    }
+    return saved;
+  }
 
-process.on('uncaughtException', (err) => {
-  console.error('❌ Uncaught exception:', err);
-});
+  // Put back a snapshotted room. Its seats are held for the reconnect grace period, so players
+  // carry on with `resume-session` and the token they already have
+  async function restoreRoom({ room_id: roomId, room, match, seats }) {
+    if (room && !(await roomStore.get(roomId))) await roomStore.create(room);
+    if (match && !(await presence.getMatch(roomId))) await presence.saveMatch(roomId, match);
+    if (match) scheduleResultClose(roomId, match);
+    await presence.touchRoom(roomId);
 
-process.on('unhandledRejection', (err) => {
-  console.error('❌ Unhandled rejection:', err);
-});
+    if (RECONNECT_GRACE_MS === 0) return;
+
+    const expiresAt = new Date(Date.now() + RECONNECT_GRACE_MS).toISOString();
+    for (const seat of seats) {
+      // The player already resumed on another instance
+      const current = await presence.getSeat(seat.socket_id);
+      if (current && !current.disconnected) continue;
+
+      const held = await presence.addSeat({ ...seat, instance_id: instanceId, disconnected: true, expires_at: expiresAt });
+      releaseSeatAfterGrace(held);
+    }
+  }
+
+  // Restore every snapshot left by instances that shut down. Each is claimed first, so with several
+  // instances starting at once every room is restored by exactly one of them
+  async function restoreSnapshots() {
+    let restored = 0;
+    for (const snapshot of await snapshots.list()) {
+      if (!(await snapshots.claim(snapshot.room_id))) continue;
+
+      try {
+        await restoreRoom(snapshot);
+        restored += 1;
+        logger.info('Restored room', { roomId: snapshot.room_id, fromInstance: snapshot.instance_id, seats: snapshot.seats.length });
+      } catch (error) {
+        logger.error('Failed to restore room', { roomId: snapshot.room_id, err: error });
+      }
+    }
+    return restored;
+  }
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('📴 SIGTERM received, shutting down gracefully...');
-  server.close(() => {
-    console.log('✅ Server closed');
-    process.exit(0);
+  function heartbeat() {
+    presence.heartbeat(instanceId).catch(error => {
+      logger.error('Instance heartbeat failed', { err: error });
+    });
+  }
+
+  heartbeat();
+  const heartbeatTimer = setInterval(heartbeat, INSTANCE_HEARTBEAT_MS);
+  const cleanupTimer = setInterval(() => {
+    runCleanup().catch(error => logger.error('Room cleanup failed', { err: error }));
+  }, CLEANUP_INTERVAL_MS);
+  const scheduleTimer = setInterval(() => {
+    runSchedule().catch(error => logger.error('Scheduled matches update failed', { err: error }));
+  }, SCHEDULE_TICK_MS);
+  const webhookTimer = setInterval(() => {
+    runWebhookRetries().catch(error => logger.error('Webhook retries failed', { err: error }));
+  }, WEBHOOK_RETRY_INTERVAL_MS);
+
+  server.on('error', (err) => {
+    logger.error('Server error', { err });
+  });
+
+  return {
+    instanceId,
+    server,
+    io,
+    runCleanup,
+    runSchedule,
+    runWebhookRetries,
+
+    restoreSnapshots,
+
+    // Stop for a redeploy: refuse new rooms, tell this instance's clients to reconnect after
+    // `retryAfterMs`, snapshot its rooms for the next instance, then close. Resolves with the number
+    // of rooms snapshotted
+    async shutdown({ retryAfterMs = config.shutdown.retryAfterMs } = {}) {
+      closing = true;
+      io.local.emit('server-restarting', {
+        message: 'The server is restarting - reconnect and resume your session shortly',
+        retryAfterMs
+      });
+
+      let saved = 0;
+      try {
+        saved = await snapshotRooms();
+      } catch (error) {
+        logger.error('Failed to snapshot rooms', { err: error });
+      }
+      if (saved > 0 && snapshots.kind === 'memory') {
+        logger.warn('Room snapshots are kept in memory and are lost when this process exits; configure Supabase to restore rooms after a restart', { rooms: saved });
+      }
+
+      await this.close();
+      return saved;
+    },
+
+    // Stop this instance. Seats it was holding stay in presence so players can resume elsewhere
+    async close() {
+      closing = true;
+      clearInterval(heartbeatTimer);
+      clearInterval(cleanupTimer);
+      clearInterval(scheduleTimer);
+      clearInterval(webhookTimer);
+      matchmaker.stop();
+      heldSeats.forEach(timer => clearTimeout(timer));
+      heldSeats.clear();
+      resultTimers.forEach(timer => clearTimeout(timer));
+      resultTimers.clear();
+
+      await new Promise(resolve => io.close(() => resolve()));
+      await presence.removeInstance(instanceId);
+    }
+  };
+}
+
+module.exports = { createArenaServer };
+
+// Start server
+if (require.main === module) {
+  const arena = createArenaServer();
+  const PORT = config.port;
+
+  arena.restoreSnapshots().then(restored => {
+    if (restored > 0) logger.info('Restored rooms from the last shutdown', { restored });
+  }).catch(error => logger.error('Failed to restore rooms', { err: error }));
+
+  arena.server.listen(PORT, '0.0.0.0', () => {
+    logger.info('DDL Arena server listening', {
+      port: PORT,
+      env: config.env,
+      origins: ALLOWED_ORIGINS,
+      database: supabase ? 'supabase' : 'memory',
+      cluster: CLUSTER_BACKEND,
+      instanceId: arena.instanceId,
+      iceProvider: iceService.provider,
+      xirsys: { ident: XIRSYS_CONFIG.ident, gateway: XIRSYS_CONFIG.gateway, path: XIRSYS_CONFIG.path },
+      cleanupIntervalMs: CLEANUP_INTERVAL_MS
+    });
   });
-});
 
-process.on('SIGINT', () => {
-  console.log('📴 SIGINT received, shutting down gracefully...');
-  server.close(() => {
-    console.log('✅ Server closed');
-    process.exit(0);
+  process.on('uncaughtException', (err) => {
+    logger.error('Uncaught exception', { err });
   });
-});
+
+  process.on('unhandledRejection', (err) => {
+    logger.error('Unhandled rejection', { err });
+  });
+
+  // Graceful shutdown, forced once the deadline passes or on a second signal
+  let shuttingDown = false;
+  function shutdown(signal) {
+    if (shuttingDown) {
+      logger.warn(`${signal} received again, exiting now`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+
+    const deadlineMs = config.shutdown.deadlineMs;
+    logger.info(`${signal} received, shutting down gracefully`, { deadlineMs });
+    setTimeout(() => {
+      logger.error('Shutdown deadline passed, exiting', { deadlineMs });
+      process.exit(1);
+    }, deadlineMs).unref();
+
+    arena.shutdown().then(snapshotted => {
+      logger.info('Server closed', { snapshotted });
+      process.exit(0);
+    }).catch(error => {
+      logger.error('Shutdown failed', { err: error });
+      process.exit(1);
+    });
+  }
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
@@ -0,0 +1,316 @@
+-- DDL Arena schema for the Supabase backend (SUPABASE_URL / SUPABASE_KEY).
+--
+-- Every table the server reads or writes, and the columns later versions added to `rooms`.
+-- Safe to run on a project that already has the original `rooms` table: tables are only
+-- created when missing and columns only added when missing. Apply it with the Supabase CLI
+-- (`supabase db push`) or paste it into the SQL editor before deploying.
+--
+-- IDs are text: players are keyed by their Supabase auth user id, everything else by a UUID the
+-- server generates. Timestamps are written as ISO strings. Lists the server filters on with
+-- `contains` (player_ids) are text arrays; other structured values are jsonb.
+--
+-- The server connects with the service role key, so row level security is left off here.
+
+-- Rooms ------------------------------------------------------------------------------------------
+
+create table if not exists rooms (
+  code text primary key,
+  host text,
+  host_id text,
+  players integer not null default 1,
+  max_players integer not null default 2,
+  status text not null default 'waiting',
+  game_settings jsonb,
+  created timestamptz not null default now(),
+  last_activity timestamptz,
+  is_live boolean not null default false
+);
+
+alter table rooms add column if not exists last_activity timestamptz;
+alter table rooms add column if not exists opponent text;
+alter table rooms add column if not exists opponent_id text;
+alter table rooms add column if not exists allow_spectators boolean not null default true;
+alter table rooms add column if not exists max_spectators integer;
+alter table rooms add column if not exists spectator_chat boolean;
+alter table rooms add column if not exists tournament_id text;
+alter table rooms add column if not exists tournament_match_id text;
+alter table rooms add column if not exists fixture_id text;
+alter table rooms add column if not exists scheduled_match_id text;
+
+create index if not exists rooms_status_idx on rooms (status);
+
+-- Players, matches and ratings -------------------------------------------------------------------
+
+create table if not exists players (
+  id text primary key,
+  username text not null,
+  -- lower-cased, trimmed username: usernames are unique case-insensitively
+  username_key text not null unique,
+  password_hash text,
+  provider text not null default 'local',
+  created timestamptz not null default now()
+);
+
+create table if not exists matches (
+  id text primary key,
+  room_code text,
+  game text,
+  settings jsonb,
+  players jsonb not null,
+  player_ids text[] not null,
+  winner_id text,
+  sets jsonb,
+  legs jsonb,
+  leg_winners jsonb,
+  visits jsonb,
+  started timestamptz,
+  finished timestamptz
+);
+
+create index if not exists matches_player_ids_idx on matches using gin (player_ids);
+
+create table if not exists ratings (
+  player_id text primary key,
+  username text,
+  rating double precision not null,
+  rd double precision not null,
+  volatility double precision not null,
+  games integer not null default 0,
+  wins integer not null default 0,
+  last_played timestamptz
+);
+
+create table if not exists rating_history (
+  id text primary key,
+  player_id text not null,
+  opponent_id text,
+  match_id text,
+  result text,
+  rating_before double precision,
+  rating_after double precision,
+  rd_before double precision,
+  rd_after double precision,
+  created timestamptz not null default now()
+);
+
+create index if not exists rating_history_player_idx on rating_history (player_id, created);
+
+-- Leagues ----------------------------------------------------------------------------------------
+
+create table if not exists leagues (
+  id text primary key,
+  name text not null,
+  description text,
+  points jsonb,
+  game_settings jsonb,
+  owner_id text not null,
+  created timestamptz not null default now()
+);
+
+create table if not exists league_seasons (
+  id text primary key,
+  league_id text not null,
+  name text,
+  status text not null,
+  created timestamptz not null default now()
+);
+
+create table if not exists league_divisions (
+  id text primary key,
+  season_id text not null,
+  league_id text not null,
+  name text,
+  tier integer,
+  fixtures_generated boolean not null default false,
+  created timestamptz not null default now()
+);
+
+create table if not exists league_registrations (
+  id text primary key,
+  division_id text not null,
+  season_id text not null,
+  player_id text not null,
+  username text,
+  registered timestamptz not null default now()
+);
+
+create table if not exists league_fixtures (
+  id text primary key,
+  division_id text not null,
+  season_id text not null,
+  league_id text not null,
+  round integer,
+  home_id text not null,
+  home_name text,
+  away_id text not null,
+  away_name text,
+  status text not null,
+  room_code text,
+  home_legs integer,
+  away_legs integer,
+  winner_id text,
+  match_id text,
+  forfeit boolean,
+  completed timestamptz
+);
+
+create index if not exists league_fixtures_division_idx on league_fixtures (division_id);
+create index if not exists league_fixtures_room_idx on league_fixtures (room_code);
+
+-- Tournaments and scheduled matches --------------------------------------------------------------
+
+create table if not exists tournaments (
+  id text primary key,
+  name text not null,
+  format text not null,
+  game_settings jsonb,
+  group_size integer,
+  advance_per_group integer,
+  owner_id text not null,
+  status text not null,
+  players jsonb not null default '[]',
+  groups jsonb,
+  matches jsonb not null default '[]',
+  winner_id text,
+  created timestamptz not null default now(),
+  completed timestamptz,
+  -- bumped on every save; saves compare it so concurrent updates are not lost
+  revision integer not null default 1
+);
+
+create table if not exists scheduled_matches (
+  id text primary key,
+  players jsonb not null,
+  player_ids text[] not null,
+  start_at timestamptz not null,
+  game_settings jsonb,
+  fixture_id text,
+  status text not null,
+  room_code text,
+  reminders_sent integer[] not null default '{}',
+  checked_in text[] not null default '{}',
+  winner_id text,
+  match_id text,
+  created_by text not null,
+  created timestamptz not null default now(),
+  settled timestamptz
+);
+
+create index if not exists scheduled_matches_player_ids_idx on scheduled_matches using gin (player_ids);
+create index if not exists scheduled_matches_room_idx on scheduled_matches (room_code);
+
+-- Live state shared between instances (CLUSTER_BACKEND=supabase) and shutdown snapshots -----------
+
+create table if not exists presence_seats (
+  socket_id text primary key,
+  room_id text not null,
+  role text not null,
+  player_id text,
+  username text,
+  is_host boolean not null default false,
+  instance_id text not null,
+  resume_token text,
+  disconnected boolean not null default false,
+  expires_at timestamptz,
+  joined timestamptz not null default now()
+);
+
+create index if not exists presence_seats_room_idx on presence_seats (room_id);
+create index if not exists presence_seats_token_idx on presence_seats (resume_token);
+
+create table if not exists presence_rooms (
+  room_id text primary key,
+  created timestamptz not null default now(),
+  last_activity timestamptz not null default now()
+);
+
+create table if not exists presence_matches (
+  room_id text primary key,
+  state jsonb not null,
+  updated timestamptz not null default now(),
+  -- compared on every save so two instances cannot overwrite each other's events
+  revision integer not null default 1
+);
+
+create table if not exists presence_instances (
+  instance_id text primary key,
+  started timestamptz not null default now(),
+  last_seen timestamptz not null default now()
+);
+
+create table if not exists room_snapshots (
+  room_id text primary key,
+  instance_id text,
+  room jsonb,
+  match jsonb,
+  seats jsonb,
+  created timestamptz not null default now()
+);
+
+-- Chat, moderation and webhooks ------------------------------------------------------------------
+
+create table if not exists chat_messages (
+  id text primary key,
+  room_id text not null,
+  channel text not null,
+  player_id text,
+  username text,
+  kind text not null,
+  text text,
+  emote text,
+  filtered boolean not null default false,
+  created timestamptz not null default now()
+);
+
+create index if not exists chat_messages_room_idx on chat_messages (room_id, channel, created);
+
+create table if not exists moderation_bans (
+  id text primary key,
+  player_id text,
+  ip text,
+  reason text,
+  active boolean not null default true,
+  created timestamptz not null default now(),
+  expires timestamptz,
+  created_by text,
+  revoked timestamptz,
+  revoked_by text
+);
+
+create table if not exists moderation_audit (
+  id text primary key,
+  action text not null,
+  admin_id text,
+  admin_username text,
+  target text,
+  details jsonb,
+  created timestamptz not null default now()
+);
+
+create table if not exists webhooks (
+  id text primary key,
+  url text not null,
+  events text[] not null,
+  format text not null default 'json',
+  description text,
+  secret text not null,
+  active boolean not null default true,
+  created timestamptz not null default now(),
+  created_by text
+);
+
+create table if not exists webhook_deliveries (
+  id text primary key,
+  webhook_id text not null,
+  event text not null,
+  data jsonb,
+  status text not null,
+  attempts integer not null default 0,
+  history jsonb not null default '[]',
+  next_attempt_at timestamptz,
+  created timestamptz not null default now(),
+  delivered timestamptz
+);
+
+create index if not exists webhook_deliveries_webhook_idx on webhook_deliveries (webhook_id, created);
+create index if not exists webhook_deliveries_pending_idx on webhook_deliveries (status, next_attempt_at);
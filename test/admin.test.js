@@ -0,0 +1,45 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Config is read when the server module loads. 'boss' is an admin's player id here, and also a
+// username anyone can pick
+process.env.LOG_LEVEL = 'error';
+process.env.SESSION_SECRET = 'admin-test-secret-0123456789';
+process.env.ADMIN_PLAYER_IDS = 'boss';
+
+const { createArenaServer } = require('../server');
+
+describe('admin access', () => {
+  let arena;
+  let base;
+
+  async function api(method, path, { body, token } = {}) {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async () => {
+    arena = createArenaServer({ instanceId: 'admin-test' });
+    await new Promise(resolve => arena.server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${arena.server.address().port}`;
+  });
+
+  after(() => arena.close());
+
+  it('is not granted by a username matching an admin', async () => {
+    const boss = (await api('POST', '/api/auth/register', { body: { username: 'boss', password: 'password123' } })).body;
+    assert.notEqual(boss.player.id, 'boss');
+
+    for (const path of ['/api/admin/config', '/api/admin/bans', '/api/admin/audit']) {
+      assert.equal((await api('GET', path, { token: boss.token })).status, 403, path);
+    }
+  });
+
+  it('needs a session', async () => {
+    assert.equal((await api('GET', '/api/admin/config')).status, 401);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const aroundTheClock = require('../lib/around-the-clock');
+
+const players = [{ id: 'p1', username: 'alice' }, { id: 'p2', username: 'bob' }];
+const MISS = [{ segment: 0 }];
+
+function darts(...labels) {
+  return labels.map(label => ({ segment: Number(label.slice(1)), multiplier: 'SDT'.indexOf(label[0]) + 1 }));
+}
+
+function throwDarts(match, playerIndex, ...labels) {
+  return aroundTheClock.applyVisit(match, playerIndex, { darts: darts(...labels) });
+}
+
+describe('around the clock order', () => {
+  it('only counts the next number', () => {
+    const match = aroundTheClock.createMatch({}, players);
+    const visit = throwDarts(match, 0, 'S2', 'S1', 'S2');
+
+    assert.equal(visit.hits, 2);
+    assert.equal(visit.targetBefore, 1);
+    assert.equal(visit.targetAfter, 3);
+  });
+
+  it('moves one number for a double or treble by default', () => {
+    const match = aroundTheClock.createMatch({}, players);
+    assert.equal(throwDarts(match, 0, 'T1', 'D2').targetAfter, 3);
+  });
+
+  it('skips two or three numbers for a double or treble with multipliersSkip', () => {
+    const match = aroundTheClock.createMatch({ multipliersSkip: true }, players);
+    const visit = throwDarts(match, 0, 'D1', 'T3', 'S6');
+
+    assert.equal(visit.hits, 3);
+    assert.equal(visit.targetAfter, 7);
+  });
+});
+
+describe('around the clock legs', () => {
+  // Alice reaches 19 in two visits with multipliersSkip: T1 T4 T7, T10 T13 T16
+  function atNineteen(settings) {
+    const match = aroundTheClock.createMatch({ legsToWin: 1, multipliersSkip: true, ...settings }, players);
+    throwDarts(match, 0, 'T1', 'T4', 'T7');
+    aroundTheClock.applyVisit(match, 1, { darts: MISS });
+    throwDarts(match, 0, 'T10', 'T13', 'T16');
+    aroundTheClock.applyVisit(match, 1, { darts: MISS });
+    return match;
+  }
+
+  it('ends on the bull when the room includes it', () => {
+    const match = atNineteen();
+    const visit = throwDarts(match, 0, 'S19', 'S20');
+
+    assert.equal(visit.legWon, false);
+    assert.equal(visit.targetAfter, 25);
+    aroundTheClock.applyVisit(match, 1, { darts: MISS });
+
+    assert.equal(aroundTheClock.applyVisit(match, 0, { darts: [{ segment: 25 }] }).legWon, true);
+    assert.equal(match.winner, 0);
+  });
+
+  it('ends on 20 without the bull, stopping at the winning dart', () => {
+    const match = atNineteen({ includeBull: false });
+    const visit = throwDarts(match, 0, 'S19', 'S20', 'S1');
+
+    assert.equal(visit.legWon, true);
+    assert.equal(visit.dartsUsed, 2);
+    assert.equal(visit.targetAfter, null);
+    assert.equal(match.status, 'finished');
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAuthenticator } = require('../lib/auth');
+const { createMemoryPlayerStore } = require('../lib/store/player-store');
+
+const secret = 'auth-test-secret-0123456789';
+
+// Stands in for the Supabase client: every token is the user it names
+function fakeSupabase(users) {
+  return {
+    auth: {
+      async getUser(token) {
+        return users[token] ? { data: { user: users[token] }, error: null } : { data: null, error: new Error('bad token') };
+      }
+    }
+  };
+}
+
+describe('player registration', () => {
+  it('trims the username before checking it is free', async () => {
+    const auth = createAuthenticator({ secret, players: createMemoryPlayerStore() });
+
+    const first = await auth.register('alice', 'password123');
+    assert.equal(first.player.username, 'alice');
+
+    const second = await auth.register('Alice ', 'password123');
+    assert.equal(second.statusCode, 409);
+
+    const padded = await auth.register('  bob  ', 'password123');
+    assert.equal(padded.player.username, 'bob');
+    assert.equal((await auth.login(' bob', 'password123')).player.id, padded.player.id);
+  });
+});
+
+describe('Supabase players', () => {
+  it('does not hand out a username another player has', async () => {
+    const players = createMemoryPlayerStore();
+    const users = {
+      first: { id: '11111111-2222-3333-4444-555555555555', user_metadata: { username: 'admin' } },
+      second: { id: '66666666-7777-8888-9999-000000000000', user_metadata: { username: 'Admin' } },
+      third: { id: 'aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee', email: 'alice@example.com' }
+    };
+    const auth = createAuthenticator({ secret, players, supabase: fakeSupabase(users) });
+    await auth.register('alice', 'password123');
+
+    assert.equal((await auth.authenticate('first')).username, 'admin');
+    assert.equal((await auth.authenticate('second')).username, 'Admin_66666666');
+    assert.equal((await auth.authenticate('third')).username, 'alice_aaaaaaaa');
+  });
+
+  it('keeps the username a player was first seen with', async () => {
+    const users = { token: { id: '11111111-2222-3333-4444-555555555555', user_metadata: { username: 'carol' } } };
+    const auth = createAuthenticator({ secret, players: createMemoryPlayerStore(), supabase: fakeSupabase(users) });
+
+    assert.equal((await auth.authenticate('token')).username, 'carol');
+    users.token.user_metadata.username = 'admin';
+    assert.equal((await auth.authenticate('token')).username, 'carol');
+  });
+
+  it('falls back to a generated name when the metadata name cannot be used', async () => {
+    const users = { token: { id: '11111111-2222-3333-4444-555555555555', user_metadata: { username: '<script>' } } };
+    const auth = createAuthenticator({ secret, players: createMemoryPlayerStore(), supabase: fakeSupabase(users) });
+
+    assert.equal((await auth.authenticate('token')).username, 'player');
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { suggestCheckout } = require('../lib/checkout');
+const { BOGEY_NUMBERS } = require('../lib/x01');
+
+function recommended(remaining, options) {
+  const suggestion = suggestCheckout(remaining, options);
+  return suggestion.recommended && suggestion.recommended.label;
+}
+
+function labels(remaining) {
+  const { routes } = suggestCheckout(remaining);
+  return Object.fromEntries(Object.entries(routes).map(([count, route]) => [count, route && route.label]));
+}
+
+describe('checkout suggestions', () => {
+  it('sets up on the big trebles and finishes on a preferred double', () => {
+    assert.equal(recommended(170), 'T20 T20 Bull');
+    assert.equal(recommended(160), 'T20 T20 D20');
+    assert.equal(recommended(158), 'T20 T20 D19');
+    assert.equal(recommended(141), 'T20 T19 D12');
+    assert.equal(recommended(100), 'T20 D20');
+  });
+
+  it('switches to another big treble rather than aiming at a small one', () => {
+    assert.equal(recommended(121), 'T18 T17 D8');
+  });
+
+  it('finishes on the bull only when no double goes out with as many darts', () => {
+    // The bull alone, a treble and the bull, or two trebles and the bull: nothing else scores these
+    // with a double last in as few darts
+    for (let remaining = 2; remaining <= 170; remaining++) {
+      const route = suggestCheckout(remaining).recommended;
+      if (!route || !route.label.endsWith('Bull')) continue;
+      assert.ok([50, 101, 104, 107, 110].includes(remaining) || remaining > 160, `${remaining} finishes on the bull with ${route.label}`);
+    }
+  });
+
+  it('never adds set-up darts when fewer darts finish', () => {
+    assert.deepEqual(labels(40), { 1: 'D20', 2: null, 3: null });
+    assert.deepEqual(labels(50), { 1: 'Bull', 2: null, 3: null });
+    assert.deepEqual(labels(101), { 1: null, 2: 'T17 Bull', 3: null });
+    assert.equal(suggestCheckout(101, { dartsLeft: 1 }).checkout, false);
+  });
+
+  it('has no checkout for the bogey numbers', () => {
+    for (let remaining = 2; remaining <= 170; remaining++) {
+      const suggestion = suggestCheckout(remaining);
+      assert.equal(suggestion.bogey, BOGEY_NUMBERS.has(remaining), `bogey ${remaining}`);
+      assert.equal(suggestion.checkout, !BOGEY_NUMBERS.has(remaining), `checkout ${remaining}`);
+    }
+  });
+});
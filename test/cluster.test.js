@@ -0,0 +1,157 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Config is read when the server module loads
+process.env.LOG_LEVEL = 'error';
+process.env.SESSION_SECRET = 'cluster-test-secret-0123456789';
+
+const { io: connect } = require('socket.io-client');
+const { createArenaServer } = require('../server');
+
+// Two instances in one process share the stores, presence and the in-memory bus, the same way
+// separate processes share them through Supabase
+
+function listen(arena) {
+  return new Promise(resolve => {
+    arena.server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${arena.server.address().port}`));
+  });
+}
+
+async function api(base, method, path, { body, token } = {}) {
+  const response = await fetch(`${base}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function once(socket, event, ms = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${event} within ${ms}ms`)), ms);
+    socket.once(event, data => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+async function connectAs(base, session) {
+  const socket = connect(base, { transports: ['websocket'], forceNew: true, auth: { token: session.token } });
+  await once(socket, 'connect');
+  return socket;
+}
+
+describe('two instances sharing one bus', () => {
+  let a;
+  let b;
+  let baseA;
+  let baseB;
+  let alice;
+  let bob;
+  let room;
+  let aliceSocket;
+  let bobSocket;
+  const sockets = [];
+
+  before(async () => {
+    a = createArenaServer({ instanceId: 'instance-a' });
+    // The first instance to heartbeat leads
+    await new Promise(resolve => setTimeout(resolve, 20));
+    b = createArenaServer({ instanceId: 'instance-b' });
+    [baseA, baseB] = await Promise.all([listen(a), listen(b)]);
+
+    alice = (await api(baseA, 'POST', '/api/auth/register', { body: { username: 'cluster-alice', password: 'password123' } })).body;
+    bob = (await api(baseB, 'POST', '/api/auth/register', { body: { username: 'cluster-bob', password: 'password123' } })).body;
+    room = (await api(baseA, 'POST', '/api/rooms', {
+      body: { gameSettings: { startingScore: 101, legsToWin: 1 } },
+      token: alice.token
+    })).body;
+  });
+
+  after(async () => {
+    sockets.forEach(socket => socket.close());
+    await Promise.all([a.close(), b.close()]);
+  });
+
+  it('lets a player on one instance join a room created on the other', async () => {
+    const joined = await api(baseB, 'POST', `/api/rooms/${room.code}/join`, { token: bob.token });
+    assert.equal(joined.status, 200);
+    assert.equal(joined.body.opponent_id, bob.player.id);
+  });
+
+  it('tells each player about the other across instances', async () => {
+    aliceSocket = await connectAs(baseA, alice);
+    bobSocket = await connectAs(baseB, bob);
+    sockets.push(aliceSocket, bobSocket);
+
+    aliceSocket.emit('join-video-room', { roomId: room.code });
+    assert.deepEqual(await once(aliceSocket, 'room-users'), []);
+
+    const userJoined = once(aliceSocket, 'user-joined');
+    bobSocket.emit('join-video-room', { roomId: room.code });
+    const roomUsers = await once(bobSocket, 'room-users');
+    assert.deepEqual(roomUsers.map(user => user.username), ['cluster-alice']);
+    assert.equal(roomUsers[0].socketId, aliceSocket.id);
+
+    const joined = await userJoined;
+    assert.equal(joined.socketId, bobSocket.id);
+    assert.equal(joined.playerId, bob.player.id);
+  });
+
+  it('relays signaling to a socket on the other instance', async () => {
+    const offer = once(bobSocket, 'webrtc-offer');
+    aliceSocket.emit('webrtc-offer', { targetSocketId: bobSocket.id, offer: { type: 'offer', sdp: 'v=0' } });
+    assert.deepEqual(await offer, { fromSocketId: aliceSocket.id, offer: { type: 'offer', sdp: 'v=0' } });
+
+    const answer = once(aliceSocket, 'webrtc-answer');
+    bobSocket.emit('webrtc-answer', { targetSocketId: aliceSocket.id, answer: { type: 'answer', sdp: 'v=0' } });
+    assert.equal((await answer).fromSocketId, bobSocket.id);
+  });
+
+  it('reports the players seated on either instance from both', async () => {
+    for (const base of [baseA, baseB]) {
+      const rooms = (await api(base, 'GET', '/api/rooms')).body;
+      const listed = rooms.find(entry => entry.code === room.code);
+      assert.equal(listed.actualParticipants, 2);
+      assert.equal(listed.hasLiveSession, true);
+    }
+  });
+
+  it('sends match state and events to both instances', async () => {
+    const bobState = once(bobSocket, 'match-state');
+    const aliceState = once(aliceSocket, 'match-state');
+    aliceSocket.emit('start-match');
+    assert.equal((await bobState).status, 'in_progress');
+    await aliceState;
+
+    // Alice throws on instance A; Bob sees the event and the new state on instance B
+    const event = once(bobSocket, 'match-event');
+    const state = once(bobSocket, 'match-state');
+    const ack = await aliceSocket.timeout(2000).emitWithAck('match-event', { type: 'visit', clientId: 'a-1', visit: { score: 60 } });
+    assert.equal(ack.type, 'visit');
+    assert.equal((await event).seq, ack.seq);
+    assert.deepEqual((await state).players.map(player => player.remaining), [41, 101]);
+
+    // and the other way round
+    const aliceEvent = once(aliceSocket, 'match-event');
+    await bobSocket.timeout(2000).emitWithAck('match-event', { type: 'visit', clientId: 'b-1', visit: { score: 45 } });
+    assert.equal((await aliceEvent).playerIndex, 1);
+  });
+
+  it('runs periodic jobs on one instance only', async () => {
+    assert.equal(await a.runCleanup(), true);
+    assert.equal(await b.runCleanup(), false);
+  });
+
+  it('sends everyone away when the host deletes the room', async () => {
+    const ended = [once(aliceSocket, 'room-ended'), once(bobSocket, 'room-ended')];
+    const deleted = await api(baseB, 'DELETE', `/api/rooms/${room.code}`, { token: alice.token });
+    assert.equal(deleted.status, 200);
+
+    for (const event of await Promise.all(ended)) {
+      assert.deepEqual(event, { roomCode: room.code, reason: 'deleted-by-host', message: null });
+    }
+    assert.equal((await api(baseA, 'GET', `/api/rooms/${room.code}`)).status, 404);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+
+describe('config', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ddl-config-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  function configFile(name, contents) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(contents));
+    return file;
+  }
+
+  function problemsOf(env) {
+    try {
+      loadConfig(env);
+    } catch (error) {
+      return error.problems;
+    }
+    assert.fail('the config loaded');
+  }
+
+  it('applies the NODE_ENV profile over the defaults', () => {
+    const development = loadConfig({ NODE_ENV: 'development' });
+    assert.equal(development.config.log.format, 'pretty');
+    assert.equal(development.sources['log.format'], 'profile');
+
+    const production = loadConfig({ NODE_ENV: 'production', SESSION_SECRET: 'production-secret-0123456789' });
+    assert.equal(production.config.http.trustProxy, 1);
+    assert.equal(production.sources['http.trustProxy'], 'profile');
+    assert.equal(production.sources['log.format'], 'default');
+  });
+
+  it('lets the file override the profile, and the file profile override the file', () => {
+    const CONFIG_FILE = configFile('profiles.json', {
+      log: { format: 'json' },
+      rooms: { maxPlayers: 4 },
+      profiles: { development: { rooms: { maxPlayers: 3 } }, production: { rooms: { maxPlayers: 8 } } }
+    });
+    const { config, sources } = loadConfig({ NODE_ENV: 'development', CONFIG_FILE });
+
+    assert.equal(config.log.format, 'json');
+    assert.equal(config.rooms.maxPlayers, 3);
+    assert.equal(sources['rooms.maxPlayers'], 'file');
+  });
+
+  it('lets environment variables override the file', () => {
+    const CONFIG_FILE = configFile('env.json', { port: 4000, cors: { origins: ['https://file.example'] } });
+    const { config, sources } = loadConfig({ NODE_ENV: 'test', CONFIG_FILE, PORT: '5000' });
+
+    assert.equal(config.port, 5000);
+    assert.equal(sources.port, 'env');
+    assert.deepEqual(config.cors.origins, ['https://file.example']);
+    assert.equal(sources['cors.origins'], 'file');
+  });
+
+  it('reads reminder minutes as numbers from the file or the environment', () => {
+    const CONFIG_FILE = configFile('reminders.json', { schedule: { reminderMinutes: [15, 60, 15] } });
+    assert.deepEqual(loadConfig({ NODE_ENV: 'test', CONFIG_FILE }).config.schedule.reminderMinutes, [60, 15]);
+    assert.deepEqual(loadConfig({ NODE_ENV: 'test', SCHEDULE_REMINDER_MINUTES: '5, 30' }).config.schedule.reminderMinutes, [30, 5]);
+    assert.deepEqual(loadConfig({ NODE_ENV: 'test' }).config.schedule.reminderMinutes, [1440, 60, 15]);
+  });
+
+  it('freezes the result', () => {
+    const { config } = loadConfig({ NODE_ENV: 'test' });
+    assert.ok(Object.isFrozen(config));
+    assert.ok(Object.isFrozen(config.rooms.defaultGameSettings));
+  });
+
+  it('reports every problem at once', () => {
+    const CONFIG_FILE = configFile('bad.json', { rooms: { maxPlayerz: 2 } });
+    const problems = problemsOf({
+      NODE_ENV: 'production',
+      CONFIG_FILE,
+      PORT: 'eighty',
+      LOG_LEVEL: 'loud',
+      SUPABASE_URL: 'https://project.supabase.co',
+      SCHEDULE_REMINDER_MINUTES: '60,0'
+    });
+
+    assert.equal(problems.length, 6, problems.join('\n'));
+    assert.match(problems.join('\n'), /Unknown setting "rooms.maxPlayerz"/);
+    assert.match(problems.join('\n'), /PORT \(port\) must be an integer/);
+    assert.match(problems.join('\n'), /LOG_LEVEL \(log.level\) must be one of/);
+    assert.match(problems.join('\n'), /SESSION_SECRET \(session.secret\) is required when NODE_ENV=production/);
+    assert.match(problems.join('\n'), /SUPABASE_URL and SUPABASE_KEY must be set together/);
+    assert.match(problems.join('\n'), /SCHEDULE_REMINDER_MINUTES \(schedule.reminderMinutes\) must all be at least 1/);
+  });
+
+  it('lists the problems in the error message', () => {
+    assert.throws(() => loadConfig({ NODE_ENV: 'staging' }), /Invalid configuration:\n {2}- NODE_ENV must be one of development, test, production/);
+  });
+});
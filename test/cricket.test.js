@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cricket = require('../lib/cricket');
+
+const players = [{ id: 'p1', username: 'alice' }, { id: 'p2', username: 'bob' }];
+const MISS = [{ segment: 0 }];
+
+function darts(...labels) {
+  return labels.map(label => {
+    if (label === 'Bull') return { segment: 25, multiplier: 2 };
+    return { segment: Number(label.slice(1)), multiplier: 'SDT'.indexOf(label[0]) + 1 };
+  });
+}
+
+function throwDarts(match, playerIndex, ...labels) {
+  return cricket.applyVisit(match, playerIndex, { darts: darts(...labels) });
+}
+
+describe('cricket marks', () => {
+  it('counts a single as one mark, a double as two and a treble as three', () => {
+    const match = cricket.createMatch({}, players);
+    const visit = throwDarts(match, 0, 'S20', 'D19', 'T18');
+
+    assert.equal(visit.marks, 6);
+    assert.deepEqual([match.marks[0][20], match.marks[0][19], match.marks[0][18]], [1, 2, 3]);
+  });
+
+  it('ignores numbers below 15', () => {
+    const match = cricket.createMatch({}, players);
+    const visit = throwDarts(match, 0, 'T14', 'D1', 'S5');
+
+    assert.equal(visit.marks, 0);
+    assert.ok(Object.values(match.marks[0]).every(marks => marks === 0));
+  });
+
+  it('closes a number at three marks', () => {
+    const match = cricket.createMatch({}, players);
+    throwDarts(match, 0, 'D20', 'S20');
+
+    assert.equal(match.marks[0][20], 3);
+    assert.equal(match.points[0], 0);
+  });
+});
+
+describe('cricket points', () => {
+  it('scores marks past closing while the opponent has the number open', () => {
+    const match = cricket.createMatch({}, players);
+    const visit = throwDarts(match, 0, 'D20', 'T20');
+
+    // One mark closes it, the other two score
+    assert.equal(visit.points, 40);
+    assert.deepEqual(match.points, [40, 0]);
+  });
+
+  it('scores nothing on a number both players have closed', () => {
+    const match = cricket.createMatch({}, players);
+    throwDarts(match, 0, 'T20');
+    throwDarts(match, 1, 'T20');
+
+    assert.equal(throwDarts(match, 0, 'T20').points, 0);
+    assert.deepEqual(match.points, [0, 0]);
+  });
+
+  it('gives the points to the opponent in cut-throat', () => {
+    const match = cricket.createMatch({ cutThroat: true }, players);
+    throwDarts(match, 0, 'T20', 'S20');
+
+    assert.deepEqual(match.points, [0, 20]);
+  });
+});
+
+describe('cricket legs', () => {
+  it('is won by closing everything while not behind', () => {
+    const match = cricket.createMatch({ legsToWin: 1 }, players);
+    throwDarts(match, 0, 'T20', 'T19', 'T18');
+    throwDarts(match, 1, 'T17', 'T17');
+    throwDarts(match, 0, 'T17', 'T16', 'T15');
+    cricket.applyVisit(match, 1, { darts: MISS });
+
+    // Everything is closed, but bob is 51 ahead
+    const closed = throwDarts(match, 0, 'Bull', 'S25');
+    assert.equal(closed.legWon, false);
+    assert.deepEqual(match.points, [0, 51]);
+    cricket.applyVisit(match, 1, { darts: MISS });
+
+    const won = throwDarts(match, 0, 'T20');
+    assert.equal(won.legWon, true);
+    assert.equal(match.status, 'finished');
+    assert.equal(match.winner, 0);
+  });
+
+  it('stops the visit at the winning dart', () => {
+    const match = cricket.createMatch({ legsToWin: 1 }, players);
+    throwDarts(match, 0, 'T20', 'T19', 'T18');
+    cricket.applyVisit(match, 1, { darts: MISS });
+    throwDarts(match, 0, 'T17', 'T16', 'T15');
+    cricket.applyVisit(match, 1, { darts: MISS });
+
+    const visit = throwDarts(match, 0, 'Bull', 'S25', 'S20');
+    assert.equal(visit.legWon, true);
+    assert.equal(visit.dartsUsed, 2);
+  });
+
+  it('needs darts', () => {
+    const match = cricket.createMatch({}, players);
+    assert.throws(() => cricket.applyVisit(match, 0, { score: 60 }), /needs darts/);
+  });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { turnCredentials, createCoturnProvider } = require('../lib/ice');
+
+describe('coturn credentials', () => {
+  // 2023-11-14T22:13:20Z, so a one hour ttl expires at 1700003600
+  const now = 1700000000000;
+
+  it('puts the expiry in the username and signs it with HMAC-SHA1 in base64', () => {
+    const credentials = turnCredentials('coturn-shared-secret', 'p1', 3600, now);
+
+    assert.equal(credentials.username, '1700003600:p1');
+    // Worked out independently: base64(HMAC-SHA1("coturn-shared-secret", "1700003600:p1"))
+    assert.equal(credentials.credential, 'AWMRtzvZy23hllaroT2+oHSqYBU=');
+  });
+
+  it('depends on the secret', () => {
+    assert.notEqual(
+      turnCredentials('another-secret', 'p1', 3600, now).credential,
+      turnCredentials('coturn-shared-secret', 'p1', 3600, now).credential
+    );
+  });
+
+  it('hands each player their own credentials, after any STUN urls', async () => {
+    const provider = createCoturnProvider({
+      urls: ['turn:turn.example.com:3478'],
+      stunUrls: ['stun:turn.example.com:3478'],
+      secret: 'coturn-shared-secret',
+      ttl: 600
+    });
+    const { iceServers, ttl } = await provider.getIceServers({ userId: 'p1' });
+
+    assert.equal(ttl, 600);
+    assert.deepEqual(iceServers[0], { urls: ['stun:turn.example.com:3478'] });
+    assert.match(iceServers[1].username, /^\d+:p1$/);
+    assert.notEqual((await provider.getIceServers({ userId: 'p2' })).iceServers[1].credential, iceServers[1].credential);
+  });
+
+  it('needs urls and a secret', () => {
+    assert.throws(() => createCoturnProvider({ urls: [], secret: 'coturn-shared-secret' }), /TURN urls and a shared secret/);
+    assert.throws(() => createCoturnProvider({ urls: ['turn:turn.example.com'] }), /TURN urls and a shared secret/);
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const matchEvents = require('../lib/match-events');
+
+const players = [{ id: 'p1', username: 'alice' }, { id: 'p2', username: 'bob' }];
+
+// 101, first to one leg: alice leaves 41, bob scores 20, alice checks out 41
+function wonMatch({ confirmWindowMs = 60000 } = {}) {
+  const match = matchEvents.startMatch({ startingScore: 101, legsToWin: 1 }, players, { confirmWindowMs });
+  play(match, 0, { type: 'visit', visit: { score: 60 } });
+  play(match, 1, { type: 'visit', visit: { score: 20 } });
+  const winning = play(match, 0, { type: 'visit', visit: { score: 41 } });
+  return { match, winning };
+}
+
+function play(match, playerIndex, event) {
+  return matchEvents.applyEvent(match, { playerIndex }, event).events;
+}
+
+function types(events) {
+  return events.map(event => event.type);
+}
+
+describe('match result confirmation', () => {
+  it('holds a win open until the result is confirmed', () => {
+    const { match, winning } = wonMatch();
+
+    assert.deepEqual(types(winning), ['visit', 'match-finished']);
+    assert.equal(match.status, 'finished');
+    assert.equal(matchEvents.isResultPending(match), true);
+    assert.deepEqual(matchEvents.serializeMatch(match).result.confirmed, [false, false]);
+  });
+
+  it('makes the result final once both players confirm it', () => {
+    const { match } = wonMatch();
+
+    assert.deepEqual(types(play(match, 1, { type: 'confirm-result' })), ['result-confirmed']);
+    assert.throws(() => play(match, 1, { type: 'confirm-result' }), /already confirmed/);
+
+    const events = play(match, 0, { type: 'confirm-result' });
+    assert.deepEqual(types(events), ['result-confirmed', 'result-final']);
+    assert.equal(events[1].closedBy, 'players');
+    assert.equal(events[1].playerId, 'p1');
+    assert.equal(matchEvents.isResultPending(match), false);
+  });
+
+  it('lets the winner undo the winning visit and play on', () => {
+    const { match } = wonMatch();
+
+    play(match, 0, { type: 'undo-request' });
+    const events = play(match, 1, { type: 'undo-response', accept: true });
+
+    assert.deepEqual(types(events), ['visit-undone', 'match-reopened']);
+    assert.equal(match.status, 'in_progress');
+    assert.equal(match.result, null);
+    assert.equal(match.remaining[0], 41);
+
+    // and win it again later
+    play(match, 0, { type: 'visit', visit: { score: 0 } });
+    play(match, 1, { type: 'visit', visit: { score: 0 } });
+    assert.deepEqual(types(play(match, 0, { type: 'visit', visit: { score: 41 } })), ['visit', 'match-finished']);
+  });
+
+  it('lets the loser dispute the winning visit', () => {
+    const { match } = wonMatch();
+
+    assert.deepEqual(types(play(match, 1, { type: 'dispute', reason: 'It hit the wire' })), ['dispute-raised']);
+    play(match, 0, { type: 'dispute-vote', outcome: 'void' });
+    const events = play(match, 1, { type: 'dispute-vote', outcome: 'void' });
+
+    assert.deepEqual(types(events), ['dispute-vote', 'dispute-resolved', 'match-reopened']);
+    assert.equal(match.status, 'in_progress');
+    // The voided visit is gone, so alice throws for the match again
+    assert.equal(match.currentPlayer, 0);
+    assert.equal(match.remaining[0], 41);
+  });
+
+  it('keeps the result when a dispute of the winning visit is rejected', () => {
+    const { match } = wonMatch();
+
+    play(match, 1, { type: 'dispute' });
+    play(match, 0, { type: 'dispute-vote', outcome: 'stand' });
+    const events = play(match, 1, { type: 'dispute-vote', outcome: 'stand' });
+
+    assert.deepEqual(types(events), ['dispute-vote', 'dispute-resolved']);
+    assert.equal(matchEvents.isResultPending(match), true);
+  });
+
+  it('makes the result final when the window closes, but not while it is disputed', () => {
+    const { match } = wonMatch();
+    const closesAt = Date.parse(match.result.closesAt);
+
+    assert.deepEqual(matchEvents.closeResult(match, { now: closesAt - 1 }), []);
+
+    play(match, 1, { type: 'dispute' });
+    assert.deepEqual(matchEvents.closeResult(match, { now: closesAt }), []);
+    assert.deepEqual(matchEvents.closeResult(match, { force: true }), []);
+
+    play(match, 0, { type: 'dispute-vote', outcome: 'stand' });
+    play(match, 1, { type: 'dispute-vote', outcome: 'stand' });
+    const [event] = matchEvents.closeResult(match, { now: closesAt });
+    assert.equal(event.type, 'result-final');
+    assert.equal(event.closedBy, 'window');
+
+    assert.throws(() => play(match, 0, { type: 'undo-request' }), /not in progress/);
+    assert.throws(() => play(match, 1, { type: 'dispute' }), /not in progress/);
+  });
+
+  it('closes the result early when forced', () => {
+    const { match } = wonMatch();
+    const [event] = matchEvents.closeResult(match, { force: true });
+    assert.equal(event.closedBy, 'room-closed');
+  });
+
+  it('makes the result final straight away without a window', () => {
+    const { match, winning } = wonMatch({ confirmWindowMs: 0 });
+    assert.deepEqual(types(winning), ['visit', 'match-finished', 'result-final']);
+    assert.equal(matchEvents.isResultPending(match), false);
+  });
+
+  it('takes no further visits once the match is won', () => {
+    const { match } = wonMatch();
+    assert.throws(() => play(match, 1, { type: 'visit', visit: { score: 20 } }), /not in progress/);
+  });
+});
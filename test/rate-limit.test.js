@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Config is read when the server module loads: two new rooms, then one a minute
+process.env.LOG_LEVEL = 'error';
+process.env.SESSION_SECRET = 'rate-limit-test-secret-0123456789';
+process.env.RATE_LIMIT_ROOM_CREATE_BURST = '2';
+process.env.RATE_LIMIT_ROOM_CREATE_PER_MINUTE = '1';
+
+const { createRateLimiter } = require('../lib/rate-limit');
+const { createArenaServer } = require('../server');
+
+describe('token bucket', () => {
+  function limiter() {
+    let time = 0;
+    const buckets = createRateLimiter({ burst: 3, perMinute: 6, now: () => time });
+    return { buckets, advance: ms => { time += ms; } };
+  }
+
+  it('allows a burst and then refuses with the time to the next token', () => {
+    const { buckets } = limiter();
+    for (let i = 0; i < 3; i++) assert.equal(buckets.take('a').allowed, true);
+
+    // Six a minute is one every 10 seconds
+    assert.deepEqual(buckets.take('a'), { allowed: false, retryAfterMs: 10000 });
+  });
+
+  it('refills over time, up to the burst', () => {
+    const { buckets, advance } = limiter();
+    for (let i = 0; i < 3; i++) buckets.take('a');
+
+    advance(5000);
+    assert.deepEqual(buckets.take('a'), { allowed: false, retryAfterMs: 5000 });
+    advance(5000);
+    assert.equal(buckets.take('a').allowed, true);
+
+    advance(60 * 60 * 1000);
+    for (let i = 0; i < 3; i++) assert.equal(buckets.take('a').allowed, true, `token ${i + 1}`);
+    assert.equal(buckets.take('a').allowed, false);
+  });
+
+  it('keeps a bucket per key', () => {
+    const { buckets } = limiter();
+    for (let i = 0; i < 3; i++) buckets.take('a');
+
+    assert.equal(buckets.take('a').allowed, false);
+    assert.equal(buckets.take('b').allowed, true);
+    buckets.reset('a');
+    assert.equal(buckets.take('a').allowed, true);
+  });
+});
+
+describe('room creation limit', () => {
+  let arena;
+  let base;
+
+  before(async () => {
+    arena = createArenaServer({ instanceId: 'rate-limit-test' });
+    await new Promise(resolve => arena.server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${arena.server.address().port}`;
+  });
+
+  after(() => arena.close());
+
+  it('answers 429 with Retry-After once the burst is spent', async () => {
+    const statuses = [];
+    let refused;
+    for (let i = 0; i < 3; i++) {
+      const response = await fetch(`${base}/api/rooms`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+      statuses.push(response.status);
+      if (response.status === 429) refused = { retryAfter: response.headers.get('retry-after'), body: await response.json() };
+    }
+
+    // The first two are only refused for the missing session
+    assert.deepEqual(statuses, [401, 401, 429]);
+    assert.equal(refused.body.error, 'Too many requests');
+    assert.equal(refused.retryAfter, '60');
+    assert.ok(refused.body.retryAfterMs > 59000 && refused.body.retryAfterMs <= 60000);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RD, glicko2, inflateDeviation, createRatingService } = require('../lib/ratings');
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+
+function close(actual, expected, tolerance, label) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+}
+
+describe('glicko-2', () => {
+  // The worked example in Glickman's "Example of the Glicko-2 system" (tau 0.5)
+  it('matches the worked example', () => {
+    const after = glicko2({ rating: 1500, rd: 200, volatility: 0.06 }, [
+      { rating: 1400, rd: 30, score: 1 },
+      { rating: 1550, rd: 100, score: 0 },
+      { rating: 1700, rd: 300, score: 0 }
+    ]);
+
+    close(after.rating, 1464.05, 0.01, 'rating');
+    close(after.rd, 151.52, 0.01, 'rd');
+    close(after.volatility, 0.059996, 0.000001, 'volatility');
+  });
+
+  it('leaves a player without results unchanged', () => {
+    const player = { rating: 1620, rd: 80, volatility: 0.06 };
+    assert.deepEqual(glicko2(player, []), player);
+  });
+});
+
+describe('rating deviation while inactive', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+
+  function playedAgo(ms, rd = 50) {
+    return { rd, volatility: 0.06, last_played: new Date(now - ms).toISOString() };
+  }
+
+  it('grows by the volatility once per full rating period', () => {
+    // sqrt(phi^2 + 3 sigma^2), back on the Glicko scale
+    close(inflateDeviation(playedAgo(3 * WEEK + DAY), now, WEEK), 53.159, 0.001, 'rd after three periods');
+  });
+
+  it('does not grow within the first period', () => {
+    assert.equal(inflateDeviation(playedAgo(WEEK - 1), now, WEEK), 50);
+    assert.equal(inflateDeviation({ rd: 50, volatility: 0.06, last_played: null }, now, WEEK), 50);
+  });
+
+  it('never grows past the deviation of a new player', () => {
+    assert.equal(inflateDeviation(playedAgo(1000 * WEEK, 340), now, WEEK), DEFAULT_RD);
+  });
+
+  it('is applied when a rating is read', async (t) => {
+    const service = createRatingService({ periodDays: 7 });
+    await service.recordMatch({
+      matchId: 'm1',
+      winner: { id: 'p1', username: 'alice' },
+      loser: { id: 'p2', username: 'bob' }
+    });
+    const fresh = await service.get('p1');
+
+    const later = Date.now() + 10 * WEEK;
+    t.mock.method(Date, 'now', () => later);
+    const idle = await service.get('p1');
+
+    assert.equal(idle.rating, fresh.rating);
+    assert.ok(idle.rd > fresh.rd, `rd ${idle.rd} should be above ${fresh.rd}`);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Config is read when the server module loads
+process.env.LOG_LEVEL = 'error';
+process.env.SESSION_SECRET = 'rooms-test-secret-0123456789';
+
+const { io: connect } = require('socket.io-client');
+const { createMemoryRoomStore } = require('../lib/store/room-store');
+const { createArenaServer } = require('../server');
+
+describe('room seats', () => {
+  async function roomWithOpponent() {
+    const store = createMemoryRoomStore();
+    await store.create({ code: 'ROOM01', host_id: 'p1', host: 'alice', opponent: null, opponent_id: null, players: 1, max_players: 2, status: 'waiting' });
+    const { room } = await store.join('ROOM01', { id: 'p2', username: 'bob' });
+    return { store, room };
+  }
+
+  it('seats the first player to join as the opponent', async () => {
+    const { room } = await roomWithOpponent();
+    assert.equal(room.opponent_id, 'p2');
+    assert.equal(room.players, 2);
+  });
+
+  it('keeps the seat for the opponent while their connection is down', async () => {
+    const { store } = await roomWithOpponent();
+    // What the live count becomes once the opponent's socket drops
+    await store.update('ROOM01', { players: 1 });
+
+    const result = await store.join('ROOM01', { id: 'p3', username: 'carol' });
+    assert.equal(result.statusCode, 409);
+    assert.equal((await store.get('ROOM01')).opponent_id, 'p2');
+
+    // and the opponent can still come back
+    assert.equal((await store.join('ROOM01', { id: 'p2', username: 'bob' })).room.opponent_id, 'p2');
+  });
+
+  it('gives the seat to only one of two players joining at once', async () => {
+    const store = createMemoryRoomStore();
+    await store.create({ code: 'ROOM02', host_id: 'p1', host: 'alice', opponent: null, opponent_id: null, players: 1, max_players: 2, status: 'waiting' });
+
+    const results = await Promise.all(['p2', 'p3'].map(id => store.join('ROOM02', { id, username: id })));
+    assert.deepEqual(results.map(result => result.statusCode || 200).sort(), [200, 409]);
+  });
+});
+
+describe('join-video-room', () => {
+  let arena;
+  let base;
+  const sockets = [];
+
+  async function api(method, path, { body, token } = {}) {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  function once(socket, event, ms = 2000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`No ${event} within ${ms}ms`)), ms);
+      socket.once(event, data => {
+        clearTimeout(timer);
+        resolve(data);
+      });
+    });
+  }
+
+  async function connectAs(session) {
+    const socket = connect(base, { transports: ['websocket'], forceNew: true, auth: { token: session.token } });
+    sockets.push(socket);
+    await once(socket, 'connect');
+    return socket;
+  }
+
+  before(async () => {
+    arena = createArenaServer({ instanceId: 'rooms-test' });
+    await new Promise(resolve => arena.server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${arena.server.address().port}`;
+  });
+
+  after(async () => {
+    sockets.forEach(socket => socket.close());
+    await arena.close();
+  });
+
+  it('only seats the host and the opponent', async () => {
+    const sessions = {};
+    for (const username of ['seat-alice', 'seat-bob', 'seat-carol']) {
+      sessions[username] = (await api('POST', '/api/auth/register', { body: { username, password: 'password123' } })).body;
+    }
+    const room = (await api('POST', '/api/rooms', { body: {}, token: sessions['seat-alice'].token })).body;
+    assert.equal((await api('POST', `/api/rooms/${room.code}/join`, { token: sessions['seat-bob'].token })).status, 200);
+    assert.equal((await api('POST', `/api/rooms/${room.code}/join`, { token: sessions['seat-carol'].token })).status, 409);
+
+    const carolSocket = await connectAs(sessions['seat-carol']);
+    carolSocket.emit('join-video-room', { roomId: room.code });
+    const error = await once(carolSocket, 'error');
+    assert.equal(error.event, 'join-video-room');
+
+    const bobSocket = await connectAs(sessions['seat-bob']);
+    bobSocket.emit('join-video-room', { roomId: room.code });
+    assert.deepEqual(await once(bobSocket, 'room-users'), []);
+  });
+
+  it('reports a room that does not exist', async () => {
+    const session = (await api('POST', '/api/auth/register', { body: { username: 'seat-dave', password: 'password123' } })).body;
+    const socket = await connectAs(session);
+    socket.emit('join-video-room', { roomId: 'NOPE99' });
+    assert.equal((await once(socket, 'error')).message, 'Room not found');
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Config is read when the server module loads
+process.env.LOG_LEVEL = 'error';
+process.env.SESSION_SECRET = 'schedule-test-secret-0123456789';
+
+const { createScheduleService } = require('../lib/schedule');
+const { createArenaServer } = require('../server');
+
+const MINUTE = 60 * 1000;
+const alice = { id: 'p1', username: 'alice' };
+const bob = { id: 'p2', username: 'bob' };
+
+// An open scheduled match kicking off at `start`
+async function openMatch(service, start) {
+  const { scheduledMatch } = await service.create({ players: [alice, bob], startAt: start }, alice, start - 60 * MINUTE);
+  await service.markOpened(scheduledMatch.id, 'ROOM01');
+  return scheduledMatch;
+}
+
+describe('scheduled match no-shows', () => {
+  const start = Date.now() + 60 * MINUTE;
+  const afterGrace = start + 11 * MINUTE;
+
+  it('forfeits the match to the player who checked in alone', async () => {
+    const service = createScheduleService();
+    const entry = await openMatch(service, start);
+    await service.checkIn('ROOM01', alice.id);
+
+    const { noShows } = await service.due(afterGrace);
+    assert.deepEqual(noShows.map(due => due.id), [entry.id]);
+
+    const settled = await service.settleNoShow(entry.id);
+    assert.equal(settled.status, 'forfeited');
+    assert.equal(settled.winner_id, alice.id);
+  });
+
+  it('voids the match when neither player checked in', async () => {
+    const service = createScheduleService();
+    const entry = await openMatch(service, start);
+
+    const settled = await service.settleNoShow(entry.id);
+    assert.equal(settled.status, 'void');
+    assert.equal(settled.winner_id, null);
+  });
+
+  it('leaves the match open once both players have checked in', async () => {
+    const service = createScheduleService();
+    const entry = await openMatch(service, start);
+    await service.checkIn('ROOM01', alice.id);
+    await service.checkIn('ROOM01', bob.id);
+
+    assert.deepEqual((await service.due(afterGrace)).noShows, []);
+    assert.equal(await service.settleNoShow(entry.id), null);
+    assert.equal((await service.get(entry.id)).status, 'open');
+
+    // and they can still start it
+    assert.equal((await service.markStarted('ROOM01')).status, 'in_progress');
+  });
+
+  it('voids a match both players left without starting', async () => {
+    const service = createScheduleService();
+    const entry = await openMatch(service, start);
+
+    assert.equal((await service.abandon(entry.id)).status, 'void');
+    assert.equal(await service.abandon(entry.id), null);
+  });
+});
+
+describe('GET /api/scheduled-matches/:id', () => {
+  let arena;
+  let base;
+  let scheduledMatch;
+  const sessions = {};
+
+  async function api(method, path, { body, token } = {}) {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async () => {
+    arena = createArenaServer({ instanceId: 'schedule-test' });
+    await new Promise(resolve => arena.server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${arena.server.address().port}`;
+
+    for (const username of ['sched-alice', 'sched-bob', 'sched-carol']) {
+      sessions[username] = (await api('POST', '/api/auth/register', { body: { username, password: 'password123' } })).body;
+    }
+    scheduledMatch = (await api('POST', '/api/scheduled-matches', {
+      body: { opponentId: sessions['sched-bob'].player.id, startAt: new Date(Date.now() + 24 * 60 * MINUTE).toISOString() },
+      token: sessions['sched-alice'].token
+    })).body;
+  });
+
+  after(() => arena.close());
+
+  it('needs a session', async () => {
+    assert.equal((await api('GET', `/api/scheduled-matches/${scheduledMatch.id}`)).status, 401);
+  });
+
+  it('shows the match to its players', async () => {
+    for (const username of ['sched-alice', 'sched-bob']) {
+      const response = await api('GET', `/api/scheduled-matches/${scheduledMatch.id}`, { token: sessions[username].token });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.id, scheduledMatch.id);
+    }
+  });
+
+  it('hides the match from anyone else', async () => {
+    const response = await api('GET', `/api/scheduled-matches/${scheduledMatch.id}`, { token: sessions['sched-carol'].token });
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const shanghai = require('../lib/shanghai');
+
+const players = [{ id: 'p1', username: 'alice' }, { id: 'p2', username: 'bob' }];
+
+function darts(...labels) {
+  return labels.map(label => {
+    if (label === 'Bull') return { segment: 25, multiplier: 2 };
+    if (label === '25') return { segment: 25, multiplier: 1 };
+    return { segment: Number(label.slice(1)), multiplier: 'SDT'.indexOf(label[0]) + 1 };
+  });
+}
+
+function throwDarts(match, playerIndex, ...labels) {
+  return shanghai.applyVisit(match, playerIndex, { darts: darts(...labels) });
+}
+
+describe('shanghai rounds', () => {
+  it('only scores the round number', () => {
+    const match = shanghai.createMatch({}, players);
+    const visit = throwDarts(match, 0, 'S1', 'T1', 'S20');
+
+    assert.equal(visit.target, 1);
+    assert.equal(visit.score, 4);
+    assert.equal(match.round, 1);
+
+    throwDarts(match, 1, 'D1');
+    assert.equal(match.round, 2);
+    assert.equal(throwDarts(match, 0, 'S1', 'T2').score, 6);
+    assert.deepEqual(match.scores, [10, 2]);
+  });
+
+  it('goes to the higher score after the last round', () => {
+    const match = shanghai.createMatch({ rounds: 2, legsToWin: 1 }, players);
+    throwDarts(match, 0, 'S1');
+    throwDarts(match, 1, 'S1');
+    throwDarts(match, 0, 'T2');
+
+    const last = throwDarts(match, 1, 'D2');
+    assert.equal(last.legWinner, 0);
+    assert.equal(match.winner, 0);
+  });
+
+  it('plays extra rounds on the bull after a tie', () => {
+    const match = shanghai.createMatch({ rounds: 1, legsToWin: 1 }, players);
+    throwDarts(match, 0, 'D1');
+    assert.equal(throwDarts(match, 1, 'S1', 'S1').legWinner, null);
+    assert.equal(match.round, 2);
+
+    assert.equal(throwDarts(match, 0, '25').target, 25);
+    assert.equal(throwDarts(match, 1, 'Bull').legWinner, 1);
+    assert.deepEqual(match.scores, [27, 52]);
+  });
+});
+
+describe('shanghai', () => {
+  it('wins the leg outright with a single, double and treble of the round number', () => {
+    const match = shanghai.createMatch({ legsToWin: 1 }, players);
+    throwDarts(match, 0, 'S1');
+    throwDarts(match, 1, 'S1');
+
+    const visit = throwDarts(match, 0, 'T2', 'S2', 'D2');
+    assert.equal(visit.shanghai, true);
+    assert.equal(visit.legWinner, 0);
+    // Won mid-round, and whatever the scores
+    assert.equal(match.status, 'finished');
+  });
+
+  it('needs all three multipliers of the round number', () => {
+    const match = shanghai.createMatch({}, players);
+    const visit = throwDarts(match, 0, 'S1', 'D1', 'D1');
+
+    assert.equal(visit.shanghai, false);
+    assert.equal(visit.legWinner, null);
+  });
+});
@@ -0,0 +1,261 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createMemoryRoomStore, createSupabaseRoomStore } = require('../lib/store/room-store');
+const { createMemoryPresenceStore, createSupabasePresenceStore } = require('../lib/store/presence-store');
+
+// One contract for every storage backend: the server must behave the same whichever one it runs
+// on. The Supabase adapters run against a real project when SUPABASE_TEST_URL and
+// SUPABASE_TEST_KEY are set (with the tables the server uses); otherwise they are skipped
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function supabaseClient() {
+  const { SUPABASE_TEST_URL: url, SUPABASE_TEST_KEY: key } = process.env;
+  if (!url || !key) return null;
+  const { createClient } = require('@supabase/supabase-js');
+  return createClient(url, key);
+}
+
+const BACKENDS = [
+  {
+    name: 'memory',
+    rooms: () => createMemoryRoomStore(),
+    presence: () => createMemoryPresenceStore()
+  },
+  {
+    name: 'supabase',
+    skip: supabaseClient() ? false : 'SUPABASE_TEST_URL and SUPABASE_TEST_KEY are not set',
+    rooms: () => createSupabaseRoomStore(supabaseClient()),
+    presence: () => createSupabasePresenceStore(supabaseClient())
+  }
+];
+
+function uniqueCode() {
+  return `T${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+}
+
+function roomFor(host, fields = {}) {
+  return {
+    code: uniqueCode(),
+    host: host.username,
+    host_id: host.id,
+    opponent: null,
+    opponent_id: null,
+    players: 1,
+    max_players: 2,
+    status: 'waiting',
+    game_settings: { startingScore: 501, legsToWin: 3 },
+    created: new Date().toISOString(),
+    is_live: false,
+    allow_spectators: true,
+    max_spectators: 20,
+    ...fields
+  };
+}
+
+function player(name) {
+  return { id: crypto.randomUUID(), username: name };
+}
+
+function seatFor(roomId, who, fields = {}) {
+  return {
+    socket_id: `socket-${crypto.randomUUID()}`,
+    room_id: roomId,
+    role: 'player',
+    player_id: who.id,
+    username: who.username,
+    is_host: false,
+    instance_id: 'instance-a',
+    resume_token: crypto.randomBytes(12).toString('base64url'),
+    ...fields
+  };
+}
+
+BACKENDS.forEach(backend => {
+  describe(`room store contract (${backend.name})`, { skip: backend.skip }, () => {
+    let rooms;
+    before(() => { rooms = backend.rooms(); });
+
+    it('creates a room and reads it back', async () => {
+      const room = roomFor(player('alice'));
+      const created = await rooms.create(room);
+      assert.equal(created.code, room.code);
+      assert.deepEqual((await rooms.get(room.code)).game_settings, room.game_settings);
+    });
+
+    it('refuses a duplicate room code', async () => {
+      const room = roomFor(player('alice'));
+      await rooms.create(room);
+      await assert.rejects(rooms.create(room));
+    });
+
+    it('returns null for an unknown room', async () => {
+      assert.equal(await rooms.get(uniqueCode()), null);
+    });
+
+    it('lists rooms that have not ended, newest first', async () => {
+      const older = await rooms.create(roomFor(player('a'), { created: new Date(Date.now() - 60000).toISOString() }));
+      const newer = await rooms.create(roomFor(player('b')));
+      const ended = await rooms.create(roomFor(player('c'), { status: 'ended' }));
+
+      const codes = (await rooms.list()).map(room => room.code);
+      assert.ok(codes.indexOf(newer.code) < codes.indexOf(older.code));
+      assert.ok(!codes.includes(ended.code));
+    });
+
+    it('seats an opponent once, and the host or opponent again without a new seat', async () => {
+      const host = player('alice');
+      const opponent = player('bob');
+      const room = await rooms.create(roomFor(host));
+
+      const joined = await rooms.join(room.code, opponent);
+      assert.equal(joined.room.opponent_id, opponent.id);
+      assert.equal(joined.room.players, 2);
+
+      assert.equal((await rooms.join(room.code, opponent)).room.players, 2);
+      assert.equal((await rooms.join(room.code, host)).room.players, 2);
+    });
+
+    it('refuses a player when every seat is taken', async () => {
+      const room = await rooms.create(roomFor(player('alice')));
+      await rooms.join(room.code, player('bob'));
+
+      const result = await rooms.join(room.code, player('carol'));
+      assert.equal(result.statusCode, 409);
+    });
+
+    it('gives the last seat to exactly one of two simultaneous joins', async () => {
+      const room = await rooms.create(roomFor(player('alice')));
+      const results = await Promise.all([rooms.join(room.code, player('bob')), rooms.join(room.code, player('carol'))]);
+
+      assert.equal(results.filter(result => result.room).length, 1);
+      assert.equal(results.filter(result => result.statusCode === 409).length, 1);
+      assert.equal((await rooms.get(room.code)).players, 2);
+    });
+
+    it('does not seat anyone in a missing or ended room', async () => {
+      assert.equal((await rooms.join(uniqueCode(), player('bob'))).statusCode, 404);
+
+      const ended = await rooms.create(roomFor(player('alice'), { status: 'ended' }));
+      assert.equal((await rooms.join(ended.code, player('bob'))).statusCode, 404);
+    });
+
+    it('updates a room and stamps its activity', async () => {
+      const room = await rooms.create(roomFor(player('alice')));
+      const updated = await rooms.update(room.code, { status: 'active', is_live: true });
+      assert.equal(updated.status, 'active');
+      assert.ok(updated.last_activity);
+      assert.equal(await rooms.update(uniqueCode(), { status: 'active' }), null);
+    });
+
+    it('removes a room', async () => {
+      const room = await rooms.create(roomFor(player('alice')));
+      assert.equal(await rooms.remove(room.code), true);
+      assert.equal(await rooms.get(room.code), null);
+      assert.equal(await rooms.remove(room.code), false);
+    });
+  });
+
+  describe(`presence store contract (${backend.name})`, { skip: backend.skip }, () => {
+    let presence;
+    before(() => { presence = backend.presence(); });
+
+    it('seats players and spectators and counts them per room', async () => {
+      const roomId = uniqueCode();
+      const alice = await presence.addSeat(seatFor(roomId, player('alice'), { is_host: true }));
+      await presence.addSeat(seatFor(roomId, player('bob')));
+      await presence.addSeat(seatFor(roomId, player('carol'), { role: 'spectator' }));
+
+      assert.equal(alice.disconnected, false);
+      assert.equal((await presence.roomSeats(roomId)).length, 2);
+      assert.equal((await presence.roomSeats(roomId, 'spectator')).length, 1);
+      assert.deepEqual((await presence.occupancy()).get(roomId), { players: 2, spectators: 1 });
+    });
+
+    it('finds a seat by its resume token and moves it to a new socket', async () => {
+      const roomId = uniqueCode();
+      const seat = await presence.addSeat(seatFor(roomId, player('alice')));
+
+      assert.equal((await presence.findSeatByToken(seat.resume_token)).socket_id, seat.socket_id);
+      assert.equal(await presence.findSeatByToken('no-such-token'), null);
+
+      const moved = await presence.moveSeat(seat.socket_id, 'socket-resumed', { disconnected: false });
+      assert.equal(moved.socket_id, 'socket-resumed');
+      assert.equal(await presence.getSeat(seat.socket_id), null);
+      assert.equal(await presence.moveSeat(seat.socket_id, 'socket-other'), null);
+      await presence.removeSeat('socket-resumed');
+    });
+
+    it('only removes a seat with the given role', async () => {
+      const seat = await presence.addSeat(seatFor(uniqueCode(), player('alice'), { role: 'spectator' }));
+      assert.equal(await presence.removeSeat(seat.socket_id, { role: 'player' }), null);
+      assert.equal((await presence.removeSeat(seat.socket_id, { role: 'spectator' })).socket_id, seat.socket_id);
+    });
+
+    it('holds a dropped seat until it expires', async () => {
+      const seat = await presence.addSeat(seatFor(uniqueCode(), player('alice')));
+      const expiresAt = new Date(Date.now() + 50).toISOString();
+      await presence.updateSeat(seat.socket_id, { disconnected: true, expires_at: expiresAt });
+
+      const held = await presence.getSeat(seat.socket_id);
+      assert.equal(held.disconnected, true);
+      assert.ok(new Date(held.expires_at).getTime() > Date.now());
+
+      await sleep(80);
+      assert.ok(new Date((await presence.getSeat(seat.socket_id)).expires_at).getTime() <= Date.now());
+      await presence.removeSeat(seat.socket_id);
+    });
+
+    it('saves a new match once, then only at the revision it was read at', async () => {
+      const roomId = uniqueCode();
+      assert.equal(await presence.saveMatch(roomId, { status: 'in_progress', seq: 1 }), true);
+      assert.equal(await presence.saveMatch(roomId, { status: 'in_progress', seq: 1 }), false);
+
+      const { revision } = await presence.getMatch(roomId);
+      assert.equal(await presence.saveMatch(roomId, { status: 'in_progress', seq: 2 }, revision), true);
+      // A writer still holding the old revision lost the race
+      assert.equal(await presence.saveMatch(roomId, { status: 'in_progress', seq: 3 }, revision), false);
+
+      const current = await presence.getMatch(roomId);
+      assert.equal(current.match.seq, 2);
+      assert.equal(current.revision, revision + 1);
+    });
+
+    it('lets exactly one of two writers at the same revision save', async () => {
+      const roomId = uniqueCode();
+      await presence.saveMatch(roomId, { seq: 1 });
+      const { revision } = await presence.getMatch(roomId);
+
+      const saved = await Promise.all([
+        presence.saveMatch(roomId, { seq: 2, by: 'a' }, revision),
+        presence.saveMatch(roomId, { seq: 2, by: 'b' }, revision)
+      ]);
+      assert.deepEqual(saved.filter(Boolean), [true]);
+    });
+
+    it('removes a room with its match', async () => {
+      const roomId = uniqueCode();
+      await presence.touchRoom(roomId);
+      await presence.saveMatch(roomId, { seq: 1 });
+      assert.ok((await presence.listRooms()).some(room => room.room_id === roomId));
+
+      await presence.removeRoom(roomId);
+      assert.ok(!(await presence.listRooms()).some(room => room.room_id === roomId));
+      assert.equal(await presence.getMatch(roomId), null);
+    });
+
+    it('treats an instance that stopped heartbeating as gone', async () => {
+      const instanceId = `instance-${crypto.randomUUID()}`;
+      await presence.heartbeat(instanceId);
+      assert.ok((await presence.liveInstances(60000)).some(instance => instance.instance_id === instanceId));
+
+      await sleep(30);
+      assert.ok(!(await presence.liveInstances(10)).some(instance => instance.instance_id === instanceId));
+
+      await presence.heartbeat(instanceId);
+      assert.ok((await presence.liveInstances(10)).some(instance => instance.instance_id === instanceId));
+      await presence.removeInstance(instanceId);
+    });
+  });
+});
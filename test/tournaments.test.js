@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTournamentService } = require('../lib/tournaments');
+
+const owner = { id: 'owner', username: 'owner' };
+const players = ['p1', 'p2', 'p3', 'p4'].map(id => ({ id, username: id }));
+
+async function startedTournament(service, format = 'single_elimination') {
+  const { tournament } = await service.create({ name: 'Cup', format }, owner);
+  for (const player of players) await service.register(tournament.id, player);
+  return service.start(tournament.id, {}, owner);
+}
+
+describe('tournament service', () => {
+  it('keeps both of two round-one results reported at the same time', async () => {
+    const service = createTournamentService();
+    const { tournament, ready } = await startedTournament(service);
+    assert.equal(ready.length, 2);
+
+    const results = await Promise.all(ready.map(match =>
+      service.reportResult(tournament.id, match.id, { winnerId: match.players[0] })));
+    results.forEach(result => assert.equal(result.error, undefined));
+
+    const saved = await service.get(tournament.id);
+    ready.forEach(match => {
+      assert.equal(saved.matches.find(m => m.id === match.id).status, 'completed');
+    });
+
+    // Only the second result to land sees both semi-finals done and readies the final
+    const final = saved.matches.find(m => m.final);
+    assert.deepEqual([...final.players].sort(), ready.map(match => match.players[0]).sort());
+    assert.equal(final.status, 'ready');
+    assert.equal(results.flatMap(result => result.ready).length, 1);
+  });
+
+  it('keeps rooms set for several matches at once', async () => {
+    const service = createTournamentService();
+    const { tournament, ready } = await startedTournament(service);
+
+    await Promise.all(ready.map((match, index) => service.setMatchRoom(tournament.id, match.id, `ROOM${index}`)));
+
+    const saved = await service.get(tournament.id);
+    ready.forEach((match, index) => {
+      assert.equal(saved.matches.find(m => m.id === match.id).room_code, `ROOM${index}`);
+    });
+  });
+
+  it('registers every one of several players signing up at once', async () => {
+    const service = createTournamentService();
+    const { tournament } = await service.create({ name: 'Cup', format: 'single_elimination' }, owner);
+
+    await Promise.all(players.map(player => service.register(tournament.id, player)));
+    assert.equal((await service.get(tournament.id)).players.length, players.length);
+  });
+
+  it('refuses a second result for the same match', async () => {
+    const service = createTournamentService();
+    const { tournament, ready: [match] } = await startedTournament(service);
+
+    const [first, second] = await Promise.all([
+      service.reportResult(tournament.id, match.id, { winnerId: match.players[0] }),
+      service.reportResult(tournament.id, match.id, { winnerId: match.players[1] })
+    ]);
+    assert.equal(first.error, undefined);
+    assert.equal(second.statusCode, 409);
+    assert.equal((await service.get(tournament.id)).matches.find(m => m.id === match.id).winner_id, match.players[0]);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Config is read when the server module loads
+process.env.LOG_LEVEL = 'error';
+process.env.SESSION_SECRET = 'validation-test-secret-0123456789';
+
+const { validate } = require('../lib/validation');
+const { createArenaServer } = require('../server');
+
+describe('schema validation', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      name: { type: 'string', required: true, maxLength: 5 },
+      legs: { type: 'integer', min: 1, max: 5 },
+      tags: { type: 'array', maxItems: 2, items: { type: 'string' } }
+    }
+  };
+
+  it('lists every problem, not just the first', () => {
+    const result = validate(schema, { name: 'far too long', legs: 9, tags: ['a', 3] });
+
+    assert.deepEqual(result.details, [
+      'body.name must be at most 5 characters',
+      'body.legs must be at most 5',
+      'body.tags[1] must be a string'
+    ]);
+    assert.equal(result.error, result.details.join('; '));
+  });
+
+  it('reports missing required fields and wrong types', () => {
+    assert.deepEqual(validate(schema, { legs: 'two' }).details, ['body.name is required', 'body.legs must be an integer']);
+    assert.deepEqual(validate(schema, []).details, ['body must be an object']);
+  });
+
+  it('drops unknown keys and converts numeric strings', () => {
+    assert.deepEqual(validate(schema, { name: 'bob', legs: '3', admin: true }), { value: { name: 'bob', legs: 3 } });
+  });
+});
+
+describe('request bodies', () => {
+  let arena;
+  let base;
+
+  before(async () => {
+    arena = createArenaServer({ instanceId: 'validation-test' });
+    await new Promise(resolve => arena.server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${arena.server.address().port}`;
+  });
+
+  after(() => arena.close());
+
+  async function post(path, body) {
+    const response = await fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('are rejected with 400 and the details of every problem', async () => {
+    const { status, body } = await post('/api/auth/register', { username: 42 });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.details, ['body.username must be a string', 'body.password is required']);
+    assert.equal(body.error, body.details.join('; '));
+  });
+
+  it('are rejected with 400 when they are not JSON', async () => {
+    const { status, body } = await post('/api/auth/register', '{"username":');
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid JSON');
+  });
+});
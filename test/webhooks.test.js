@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { createWebhookService, sign } = require('../lib/webhooks');
+
+const admin = { id: 'admin' };
+
+// A local endpoint that records every request and answers each with the next queued response
+// ({ status, headers }), or 200 once the queue is empty
+function createReceiver() {
+  const requests = [];
+  const responses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      const { status = 200, headers = {} } = responses.shift() || {};
+      res.writeHead(status, headers);
+      res.end();
+    });
+  });
+  return { server, requests, responses };
+}
+
+describe('webhook deliveries', () => {
+  let receiver;
+  let url;
+
+  before(async () => {
+    receiver = createReceiver();
+    await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+  });
+
+  after(() => new Promise(resolve => receiver.server.close(resolve)));
+
+  // A service with one webhook subscribed to match.finished, and an empty receiver
+  async function subscribed(options = {}, webhookOptions = {}) {
+    receiver.requests.length = 0;
+    receiver.responses.length = 0;
+    const service = createWebhookService({ backoffMs: 1000, ...options });
+    const { webhook } = await service.register({ url, events: ['match.finished'], secret: 'shh', ...webhookOptions }, admin);
+    return { service, webhook };
+  }
+
+  const finished = { roomCode: 'ROOM01', winner: 'alice', players: ['alice', 'bob'], legsWon: [3, 1], sets: [] };
+
+  it('signs the timestamp and body with the webhook secret', async () => {
+    const { service } = await subscribed();
+    const [delivery] = await service.dispatch('match.finished', finished);
+    assert.equal(delivery.status, 'delivered');
+
+    const [{ headers, body }] = receiver.requests;
+    const timestamp = headers['x-ddl-timestamp'];
+    const expected = crypto.createHmac('sha256', 'shh').update(`${timestamp}.${body}`).digest('hex');
+    assert.equal(headers['x-ddl-signature'], `sha256=${expected}`);
+    assert.equal(sign('shh', timestamp, body), expected);
+    assert.equal(headers['x-ddl-event'], 'match.finished');
+    assert.equal(headers['x-ddl-delivery'], delivery.id);
+    assert.deepEqual(JSON.parse(body), { id: delivery.id, event: 'match.finished', created: delivery.created, data: finished });
+  });
+
+  it('retries a server error with a doubling backoff', async () => {
+    const { service } = await subscribed();
+    receiver.responses.push({ status: 500 }, { status: 503 });
+
+    const started = Date.now();
+    const [first] = await service.dispatch('match.finished', finished);
+    assert.equal(first.status, 'pending');
+    assert.deepEqual(first.history.map(entry => entry.statusCode), [500]);
+    const firstRetry = Date.parse(first.next_attempt_at);
+    assert.ok(firstRetry >= started + 1000 && firstRetry < Date.now() + 1000 + 100);
+
+    // Not due yet
+    assert.equal(await service.retryDue(firstRetry - 1), 0);
+    assert.equal(receiver.requests.length, 1);
+
+    const beforeSecond = Date.now();
+    assert.equal(await service.retryDue(firstRetry), 1);
+    const [second] = await service.deliveries(first.webhook_id);
+    assert.equal(second.status, 'pending');
+    assert.ok(Date.parse(second.next_attempt_at) >= beforeSecond + 2000);
+
+    assert.equal(await service.retryDue(Date.parse(second.next_attempt_at)), 1);
+    const [delivered] = await service.deliveries(first.webhook_id);
+    assert.equal(delivered.status, 'delivered');
+    assert.deepEqual(delivered.history.map(entry => entry.statusCode), [500, 503, 200]);
+  });
+
+  it('waits as long as a rate limit asks', async () => {
+    const { service } = await subscribed();
+    receiver.responses.push({ status: 429, headers: { 'Retry-After': '30' } });
+
+    const started = Date.now();
+    const [delivery] = await service.dispatch('match.finished', finished);
+    assert.equal(delivery.status, 'pending');
+    assert.ok(Date.parse(delivery.next_attempt_at) >= started + 30 * 1000);
+    assert.equal(await service.retryDue(started + 29 * 1000), 0);
+  });
+
+  it('gives up on a client error without retrying', async () => {
+    const { service } = await subscribed();
+    receiver.responses.push({ status: 404 });
+
+    const [delivery] = await service.dispatch('match.finished', finished);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.next_attempt_at, null);
+    assert.equal(await service.retryDue(Date.now() + 60 * 60 * 1000), 0);
+    assert.equal(receiver.requests.length, 1);
+  });
+
+  it('stops after the last attempt', async () => {
+    const { service } = await subscribed({ maxAttempts: 2 });
+    receiver.responses.push({ status: 500 }, { status: 500 });
+
+    await service.dispatch('match.finished', finished);
+    assert.equal(await service.retryDue(Date.now() + 60 * 1000), 1);
+    const [delivery] = await service.deliveries((await service.list())[0].id);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 2);
+  });
+
+  it('keeps the newest logLimit finished deliveries', async () => {
+    const { service, webhook } = await subscribed({ logLimit: 2 });
+    for (let i = 0; i < 4; i++) {
+      await service.dispatch('match.finished', finished);
+    }
+    assert.equal((await service.deliveries(webhook.id)).length, 4);
+
+    await service.retryDue();
+    assert.equal((await service.deliveries(webhook.id)).length, 2);
+  });
+
+  it('posts a Discord embed to a discord webhook', async () => {
+    const { service } = await subscribed({}, { format: 'discord' });
+    const [delivery] = await service.dispatch('match.finished', finished);
+
+    assert.deepEqual(JSON.parse(receiver.requests[0].body), {
+      username: 'DDL Arena',
+      embeds: [{
+        title: 'alice wins',
+        description: 'alice 3 - 1 bob',
+        color: 0x9b59b6,
+        footer: { text: 'match.finished' },
+        timestamp: delivery.created
+      }]
+    });
+  });
+});
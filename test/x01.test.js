@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const x01 = require('../lib/x01');
+const matchEvents = require('../lib/match-events');
+
+const players = [{ id: 'p1', username: 'alice' }, { id: 'p2', username: 'bob' }];
+
+function darts(...labels) {
+  return labels.map(label => {
+    if (label === 'Bull') return { segment: 25, multiplier: 2 };
+    return { segment: Number(label.slice(1)), multiplier: 'SDT'.indexOf(label[0]) + 1 };
+  });
+}
+
+// A 101 leg where alice has `remaining` left and it is her throw
+function leaving(remaining, settings = {}) {
+  const match = x01.createMatch({ startingScore: 101, legsToWin: 1, ...settings }, players);
+  x01.applyVisit(match, 0, { score: 101 - remaining });
+  x01.applyVisit(match, 1, { score: 0 });
+  return match;
+}
+
+describe('x01 busts', () => {
+  it('busts a visit that goes below zero and keeps the score', () => {
+    const match = leaving(41);
+    const visit = x01.applyVisit(match, 0, { score: 45 });
+
+    assert.equal(visit.bust, true);
+    assert.equal(visit.score, 0);
+    assert.equal(match.remaining[0], 41);
+    assert.equal(match.currentPlayer, 1);
+  });
+
+  it('busts a visit that leaves 1 on double-out, but not on straight-out', () => {
+    assert.equal(x01.applyVisit(leaving(41), 0, { darts: darts('S20', 'S20') }).bust, true);
+    assert.equal(x01.applyVisit(leaving(41, { doubleOut: false }), 0, { darts: darts('S20', 'S20') }).bust, false);
+  });
+});
+
+describe('x01 double-out', () => {
+  it('only checks out on a double', () => {
+    assert.equal(x01.applyVisit(leaving(41), 0, { darts: darts('S1', 'S20', 'S20') }).bust, true);
+
+    const match = leaving(41);
+    const visit = x01.applyVisit(match, 0, { darts: darts('S1', 'D20') });
+    assert.equal(visit.checkout, true);
+    assert.equal(match.status, 'finished');
+  });
+
+  it('checks out on any dart when straight-out', () => {
+    assert.equal(x01.applyVisit(leaving(41, { doubleOut: false }), 0, { darts: darts('S1', 'S20', 'S20') }).checkout, true);
+  });
+});
+
+describe('x01 double-in', () => {
+  it('scores nothing before the first double when entered dart by dart', () => {
+    const match = x01.createMatch({ startingScore: 101, doubleIn: true }, players);
+    const visit = x01.applyVisit(match, 0, { darts: darts('S20', 'D10', 'S5') });
+
+    assert.equal(visit.score, 25);
+    assert.equal(match.remaining[0], 76);
+    assert.equal(match.opened[0], true);
+  });
+
+  it('needs to know whether a total opened on a double', () => {
+    const match = x01.createMatch({ startingScore: 101, doubleIn: true }, players);
+
+    assert.throws(() => x01.applyVisit(match, 0, { score: 60 }), /openedOnDouble/);
+    assert.throws(() => x01.applyVisit(match, 0, { score: 60, openedOnDouble: false }), /double in/);
+    assert.equal(match.visits.length, 0);
+
+    // A visit that misses every double is entered as 0 and leaves the player still to double in
+    x01.applyVisit(match, 0, { score: 0 });
+    assert.equal(match.opened[0], false);
+
+    x01.applyVisit(match, 1, { score: 40, openedOnDouble: true });
+    assert.equal(match.opened[1], true);
+    assert.equal(match.remaining[1], 61);
+
+    // Once in, totals need no flag
+    x01.applyVisit(match, 0, { score: 0 });
+    x01.applyVisit(match, 1, { score: 20 });
+    assert.equal(match.remaining[1], 41);
+  });
+});
+
+describe('x01 total entry', () => {
+  it('checks out when the score can be finished with the darts used', () => {
+    const match = leaving(41);
+    const visit = x01.applyVisit(match, 0, { score: 41, dartsUsed: 2 });
+
+    assert.equal(visit.checkout, true);
+    assert.equal(visit.dartsUsed, 2);
+    assert.equal(match.winner, 0);
+  });
+
+  it('rejects a checkout that needs more darts than were used', () => {
+    const match = leaving(41);
+    assert.throws(() => x01.applyVisit(match, 0, { score: 41, dartsUsed: 1 }), /cannot be checked out with 1 dart$/);
+    assert.equal(match.remaining[0], 41);
+
+    assert.throws(() => x01.applyVisit(leaving(100), 0, { score: 100, dartsUsed: 1 }), /1 dart/);
+    assert.equal(x01.applyVisit(leaving(50), 0, { score: 50, dartsUsed: 1 }).checkout, true);
+  });
+
+  it('rejects bogey checkouts and invalid totals', () => {
+    const match = x01.createMatch({ startingScore: 301 }, players);
+    x01.applyVisit(match, 0, { score: 142 });
+    assert.equal(match.remaining[0], 159);
+    x01.applyVisit(match, 1, { score: 0 });
+
+    assert.throws(() => x01.applyVisit(match, 0, { score: 159 }), /159 cannot be checked out/);
+    assert.throws(() => x01.applyVisit(match, 0, { score: 169 }), /Invalid visit score/);
+    assert.throws(() => x01.applyVisit(match, 0, { score: 60, dartsUsed: 4 }), /Invalid darts used/);
+    assert.throws(() => x01.applyVisit(match, 0, { score: 181 }), /Invalid visit score/);
+  });
+
+  it('counts three darts for a visit that does not finish', () => {
+    const match = x01.createMatch({ startingScore: 501 }, players);
+    assert.equal(x01.applyVisit(match, 0, { score: 60, dartsUsed: 1 }).dartsUsed, 3);
+  });
+});
+
+describe('x01 undo', () => {
+  function play(match, playerIndex, event) {
+    return matchEvents.applyEvent(match, { playerIndex }, event).events;
+  }
+
+  it('restores the score and the turn', () => {
+    const match = matchEvents.startMatch({ startingScore: 101, legsToWin: 1 }, players);
+    play(match, 0, { type: 'visit', visit: { score: 60 } });
+
+    play(match, 0, { type: 'undo-request' });
+    play(match, 1, { type: 'undo-response', accept: true });
+
+    assert.equal(match.remaining[0], 101);
+    assert.equal(match.currentPlayer, 0);
+  });
+
+  it('takes back doubling in along with the visit', () => {
+    const match = matchEvents.startMatch({ startingScore: 101, legsToWin: 1, doubleIn: true }, players);
+    play(match, 0, { type: 'visit', visit: { score: 40, openedOnDouble: true } });
+    assert.equal(match.opened[0], true);
+
+    play(match, 0, { type: 'undo-request' });
+    play(match, 1, { type: 'undo-response', accept: true });
+
+    assert.equal(match.opened[0], false);
+    assert.equal(match.remaining[0], 101);
+  });
+});